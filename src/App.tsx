@@ -1,10 +1,44 @@
-import { useMemo, useRef, useState } from "react";
+import { useEffect, useMemo, useRef, useState } from "react";
 import SplashScreen from "./components/SplashScreen";
 import {
   TerrainViewport,
   type TerrainViewportHandle
 } from "./components/TerrainViewport";
-import type { NavigationMode, TerrainParams, TerrainStats } from "./engine/terrainEngine";
+import { biomeLegend, type Rgb } from "./engine/biomes";
+import { defaultClouds } from "./engine/clouds";
+import { downloadBytes, downloadText, safeFileName } from "./engine/download";
+import type { ExportJob, ExportResult } from "./engine/exportJobs";
+import { startExport, type ExportTask } from "./engine/exportTask";
+import { defaultHydraulicErosion } from "./engine/hydraulicErosion";
+import type { ShadowQuality } from "./engine/shadowMap";
+import { defaultSun } from "./engine/sunPath";
+import { defaultThermalErosion } from "./engine/thermalErosion";
+import type { WeatherMode } from "./engine/weather";
+import type { HeightmapFormat, HeightmapRegion } from "./engine/heightmapExport";
+import type { MeshFormat } from "./engine/meshExport";
+import {
+  terrainShapeFromParams,
+  type NavigationMode,
+  type TerrainParams,
+  type TerrainStats
+} from "./engine/terrainEngine";
+import {
+  builtInPresets,
+  createWorldId,
+  loadStoredWorlds,
+  mergeWorlds,
+  parseWorldLibraryText,
+  serializeWorldLibrary,
+  storeWorlds,
+  type SavedWorld,
+  type WorldPreset
+} from "./worldLibrary";
+import { encodeWorldLink, parseWorldLink, worldLinkUrl } from "./worldLink";
+import {
+  matchViewDistanceProfile,
+  viewDistanceProfiles,
+  type ViewDistanceProfile
+} from "./engine/viewDistance";
 
 const initialParams: TerrainParams = {
   seed: "terra-core-001",
@@ -12,28 +46,256 @@ const initialParams: TerrainParams = {
   humidity: 1,
   temperature: 1,
   dayNightEnabled: true,
-  mode: "orbit"
+  timeOfDay: defaultSun.timeOfDay,
+  daySpeed: defaultSun.daySpeed,
+  latitude: defaultSun.latitude,
+  season: defaultSun.season,
+  mode: "orbit",
+  ...viewDistanceProfiles.standard,
+  autoQuality: false,
+  targetFps: 50,
+  hydraulicErosion: false,
+  erosionDroplets: defaultHydraulicErosion.dropletDensity,
+  erosionRate: defaultHydraulicErosion.erosionRate,
+  depositionRate: defaultHydraulicErosion.depositionRate,
+  evaporationRate: defaultHydraulicErosion.evaporationRate,
+  thermalErosion: false,
+  talusAngle: defaultThermalErosion.talusAngle,
+  thermalIterations: defaultThermalErosion.iterations,
+  rivers: false,
+  seaLevel: 0,
+  shadowQuality: "low",
+  cloudCoverage: defaultClouds.coverage,
+  cloudAltitude: defaultClouds.altitude,
+  windSpeed: defaultClouds.windSpeed,
+  windDirection: defaultClouds.windDirection,
+  weather: "auto"
 };
 
+const sharedWorld = parseWorldLink(window.location.hash);
+
+const startupParams: TerrainParams = { ...initialParams, ...sharedWorld?.params };
+
+const heightmapResolutions = [257, 513, 1025, 2049];
+
+type RegionDraft = Record<keyof HeightmapRegion, string>;
+
+const regionFields: Array<{ key: keyof HeightmapRegion; label: string }> = [
+  { key: "minX", label: "Min X" },
+  { key: "minZ", label: "Min Z" },
+  { key: "maxX", label: "Max X" },
+  { key: "maxZ", label: "Max Z" }
+];
+
+const defaultExportSpan = 768;
+
+const heightmapFormats: Array<{ format: HeightmapFormat; label: string }> = [
+  { format: "png16", label: "16-bit PNG" },
+  { format: "raw16", label: "RAW" },
+  { format: "float32", label: "Float32" }
+];
+
+const meshLods = [18, 30, 52];
+
+const meshFormats: Array<{ format: MeshFormat; label: string }> = [
+  { format: "glb", label: "GLB" },
+  { format: "gltf", label: "glTF" },
+  { format: "obj", label: "OBJ" }
+];
+
+const viewDistanceOptions: Array<{ profile: ViewDistanceProfile; label: string }> = [
+  { profile: "laptop", label: "Laptop" },
+  { profile: "standard", label: "Standard" },
+  { profile: "vista", label: "Vista" }
+];
+
+const shadowQualityOptions: Array<{ quality: ShadowQuality; label: string }> = [
+  { quality: "off", label: "Off" },
+  { quality: "low", label: "Low" },
+  { quality: "high", label: "High" }
+];
+
+const weatherOptions: Array<{ mode: WeatherMode; label: string }> = [
+  { mode: "auto", label: "Auto" },
+  { mode: "clear", label: "Clear" },
+  { mode: "overcast", label: "Overcast" },
+  { mode: "rain", label: "Rain" },
+  { mode: "snow", label: "Snow" },
+  { mode: "fog", label: "Fog" }
+];
+
+type NumericParam = {
+  [Key in keyof TerrainParams]: TerrainParams[Key] extends number ? Key : never;
+}[keyof TerrainParams];
+
+interface ParamSlider {
+  key: NumericParam;
+  label: string;
+  min: number;
+  max: number;
+  step: number;
+  digits: number;
+  // Rebuilds the terrain field, so it only applies once the slider rests.
+  rebuildsTerrain?: boolean;
+}
+
+const TERRAIN_REBUILD_DELAY_MS = 300;
+
+const erosionSliders: ParamSlider[] = [
+  { key: "erosionDroplets", label: "Droplets per cell", min: 0.1, max: 1.5, step: 0.05, digits: 2, rebuildsTerrain: true },
+  { key: "erosionRate", label: "Erosion", min: 0.05, max: 0.9, step: 0.05, digits: 2, rebuildsTerrain: true },
+  { key: "depositionRate", label: "Deposition", min: 0.05, max: 0.9, step: 0.05, digits: 2, rebuildsTerrain: true },
+  { key: "evaporationRate", label: "Evaporation", min: 0.005, max: 0.08, step: 0.005, digits: 3, rebuildsTerrain: true }
+];
+
+const thermalSliders: ParamSlider[] = [
+  { key: "talusAngle", label: "Talus angle", min: 25, max: 70, step: 1, digits: 0, rebuildsTerrain: true },
+  { key: "thermalIterations", label: "Iterations", min: 1, max: 60, step: 1, digits: 0, rebuildsTerrain: true }
+];
+
+// Rivers drain to the sea, so with them on it rebuilds the terrain too.
+const seaLevelSlider: ParamSlider = { key: "seaLevel", label: "Sea Level", min: -24, max: 24, step: 0.5, digits: 1 };
+
+const sunSliders: ParamSlider[] = [
+  { key: "daySpeed", label: "Cycle speed (hours/s)", min: 0.05, max: 4, step: 0.05, digits: 2 },
+  { key: "latitude", label: "Latitude", min: -80, max: 80, step: 1, digits: 0 }
+];
+
+const cloudSliders: ParamSlider[] = [
+  { key: "cloudCoverage", label: "Cloud cover", min: 0, max: 1, step: 0.01, digits: 2 },
+  { key: "cloudAltitude", label: "Cloud altitude", min: 120, max: 500, step: 5, digits: 0 },
+  { key: "windSpeed", label: "Wind speed", min: 0, max: 40, step: 0.5, digits: 1 },
+  { key: "windDirection", label: "Wind direction", min: 0, max: 355, step: 5, digits: 0 }
+];
+
 function clamp(value: number, min: number, max: number): number {
   return Math.min(max, Math.max(min, value));
 }
 
+function regionDraft(region: HeightmapRegion): RegionDraft {
+  return {
+    minX: String(Math.round(region.minX)),
+    minZ: String(Math.round(region.minZ)),
+    maxX: String(Math.round(region.maxX)),
+    maxZ: String(Math.round(region.maxZ))
+  };
+}
+
+function parseRegionDraft(draft: RegionDraft): HeightmapRegion | null {
+  const region = {
+    minX: Number(draft.minX),
+    minZ: Number(draft.minZ),
+    maxX: Number(draft.maxX),
+    maxZ: Number(draft.maxZ)
+  };
+  const valid =
+    Object.values(draft).every((value) => value.trim() !== "") &&
+    Object.values(region).every(Number.isFinite) &&
+    region.maxX > region.minX &&
+    region.maxZ > region.minZ;
+  return valid ? region : null;
+}
+
+function formatClock(hours: number): string {
+  const minutes = Math.floor(hours * 60) % (24 * 60);
+  return `${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+// Calendar date of a season fraction, counted from the March equinox.
+function formatSeason(season: number): string {
+  const equinox = Date.UTC(2001, 2, 20);
+  const date = new Date(equinox + season * 365 * 24 * 60 * 60 * 1000);
+  return date.toLocaleDateString(undefined, { month: "short", day: "numeric", timeZone: "UTC" });
+}
+
 function toPercent(value: number, min: number, max: number): number {
   return ((clamp(value, min, max) - min) / (max - min)) * 100;
 }
 
+function biomeChipStyle(color: Rgb): { background: string; color?: string } {
+  const [r, g, b] = color.map((channel) => Math.round(channel * 255));
+  const luminance = 0.2126 * color[0] + 0.7152 * color[1] + 0.0722 * color[2];
+  return {
+    background: `rgba(${r}, ${g}, ${b}, 0.62)`,
+    color: luminance > 0.6 ? "#0f1e33" : undefined
+  };
+}
+
 export default function App(): JSX.Element {
   const viewportRef = useRef<TerrainViewportHandle>(null);
-  const [params, setParams] = useState<TerrainParams>(initialParams);
-  const [seedDraft, setSeedDraft] = useState(initialParams.seed);
+  const [params, setParams] = useState<TerrainParams>(startupParams);
+  const [draftParams, setDraftParams] = useState<Partial<Record<NumericParam, number>>>({});
+  const [seedDraft, setSeedDraft] = useState(startupParams.seed);
+  const [linkCopied, setLinkCopied] = useState(false);
   const [panelCollapsed, setPanelCollapsed] = useState(false);
+  const [exportRegion, setExportRegion] = useState<RegionDraft>(() =>
+    regionDraft({
+      minX: -defaultExportSpan * 0.5,
+      minZ: -defaultExportSpan * 0.5,
+      maxX: defaultExportSpan * 0.5,
+      maxZ: defaultExportSpan * 0.5
+    })
+  );
+  const [exportProgress, setExportProgress] = useState<{ label: string; fraction: number } | null>(null);
+  const [exportMessage, setExportMessage] = useState("");
+  const exportTaskRef = useRef<ExportTask | null>(null);
+  // The heightmap's JSON description, downloaded by its own click since
+  // browsers often block a second automatic download.
+  const [heightmapSidecar, setHeightmapSidecar] = useState<{ fileName: string; text: string } | null>(null);
+  const [heightmapResolution, setHeightmapResolution] = useState(513);
+  const [meshLod, setMeshLod] = useState(30);
+  const [storedLibrary] = useState(() => loadStoredWorlds(initialParams));
+  const [savedWorlds, setSavedWorlds] = useState<SavedWorld[]>(storedLibrary.worlds);
+  const [worldName, setWorldName] = useState("");
+  // Names being edited, applied when the field loses focus.
+  const [nameDrafts, setNameDrafts] = useState<Record<string, string>>({});
+  const [libraryMessage, setLibraryMessage] = useState(
+    storedLibrary.errors.length > 0
+      ? `Stored worlds could not be read (${storedLibrary.errors.join("; ")}). They are left untouched; ` +
+          "changes here are not saved."
+      : ""
+  );
+  const libraryInputRef = useRef<HTMLInputElement>(null);
   const [stats, setStats] = useState<TerrainStats>({
     fps: 0,
     chunkCount: 0,
-    mode: initialParams.mode
+    mode: startupParams.mode,
+    qualityTier: "high",
+    queuedChunks: 0,
+    chunkBuildMs: 0,
+    drawnChunks: 0,
+    culledChunks: 0,
+    cachedChunks: 0,
+    cacheHits: 0,
+    cacheMisses: 0,
+    shadowsAvailable: true,
+    weather: "clear",
+    timeOfDay: startupParams.timeOfDay,
+    terrainLoading: true
   });
 
+  useEffect(() => {
+    if (storedLibrary.errors.length > 0) {
+      return;
+    }
+    if (!storeWorlds(savedWorlds)) {
+      setLibraryMessage("Browser storage is unavailable; export the library to keep it.");
+    }
+  }, [savedWorlds, storedLibrary]);
+
+  useEffect(() => {
+    if (Object.keys(draftParams).length === 0) {
+      return undefined;
+    }
+    const timer = window.setTimeout(() => {
+      setParams((current) => ({ ...current, ...draftParams }));
+      setDraftParams({});
+    }, TERRAIN_REBUILD_DELAY_MS);
+    return () => window.clearTimeout(timer);
+  }, [draftParams]);
+
+  useEffect(() => () => exportTaskRef.current?.cancel(), []);
+
   const instructions = useMemo(() => {
     if (params.mode === "firstPerson") {
       return "Drag mouse to look around. Move with WASD, Space/Shift for up/down.";
@@ -62,14 +324,65 @@ export default function App(): JSX.Element {
     [params.elevation, params.humidity, params.temperature]
   );
 
-  const setNumericParam = (key: "elevation" | "humidity" | "temperature", value: number) => {
+  const setNumericParam = (key: NumericParam, value: number) => {
     setParams((current) => ({ ...current, [key]: value }));
   };
 
+  const setDraftParam = (key: NumericParam, value: number) => {
+    setDraftParams((current) => ({ ...current, [key]: value }));
+  };
+
+  const renderParamSlider = (slider: ParamSlider) => {
+    const value = draftParams[slider.key] ?? params[slider.key];
+    const setValue = slider.rebuildsTerrain ? setDraftParam : setNumericParam;
+    return (
+      <label className="field" key={slider.key}>
+        <span>
+          {slider.label} {value.toFixed(slider.digits)}
+        </span>
+        <input
+          type="range"
+          min={slider.min}
+          max={slider.max}
+          step={slider.step}
+          value={value}
+          onChange={(event: { target: HTMLInputElement }) =>
+            setValue(slider.key, clamp(Number(event.target.value), slider.min, slider.max))
+          }
+        />
+      </label>
+    );
+  };
+
   const setMode = (mode: NavigationMode) => {
     setParams((current) => ({ ...current, mode }));
   };
 
+  const activeViewProfile = matchViewDistanceProfile(params);
+
+  const setViewProfile = (profile: ViewDistanceProfile) => {
+    setParams((current) => ({ ...current, ...viewDistanceProfiles[profile] }));
+  };
+
+  // Params with the clock where the engine has run it to, so saved and shared
+  // worlds light exactly as on screen.
+  const paramsWithLiveClock = (): TerrainParams => ({
+    ...params,
+    timeOfDay: viewportRef.current?.getTimeOfDay() ?? params.timeOfDay
+  });
+
+  const toggleDayCycle = () => {
+    const live = paramsWithLiveClock();
+    setParams({ ...live, dayNightEnabled: !live.dayNightEnabled });
+  };
+
+  const setTimeOfDay = (hours: number) => {
+    viewportRef.current?.setTimeOfDay(hours);
+    setNumericParam("timeOfDay", hours);
+  };
+
+  const clockTime = params.dayNightEnabled ? stats.timeOfDay : params.timeOfDay;
+
   const applySeed = () => {
     const normalized = seedDraft.trim();
     if (!normalized) {
@@ -78,6 +391,234 @@ export default function App(): JSX.Element {
     setParams((current) => ({ ...current, seed: normalized }));
   };
 
+  const parsedExportRegion = parseRegionDraft(exportRegion);
+
+  const centreRegionOnView = () => {
+    const focus = viewportRef.current?.getFocusPoint() ?? { x: 0, z: 0 };
+    const region = parsedExportRegion;
+    const halfWidth = (region ? region.maxX - region.minX : defaultExportSpan) * 0.5;
+    const halfDepth = (region ? region.maxZ - region.minZ : defaultExportSpan) * 0.5;
+    setExportRegion(
+      regionDraft({
+        minX: focus.x - halfWidth,
+        minZ: focus.z - halfDepth,
+        maxX: focus.x + halfWidth,
+        maxZ: focus.z + halfDepth
+      })
+    );
+  };
+
+  const fillLoadedRegion = () => {
+    const region = viewportRef.current?.getLoadedRegion();
+    if (region) {
+      setExportRegion(regionDraft(region));
+    }
+  };
+
+  const runExport = (label: string, job: ExportJob, onDone: (result: ExportResult) => void) => {
+    const task = startExport(job, (fraction) => setExportProgress({ label, fraction }));
+    exportTaskRef.current = task;
+    setExportProgress({ label, fraction: 0 });
+    setExportMessage("");
+    task.promise
+      .then(onDone)
+      .catch((error: Error) => setExportMessage(error.message))
+      .finally(() => {
+        if (exportTaskRef.current === task) {
+          exportTaskRef.current = null;
+          setExportProgress(null);
+        }
+      });
+  };
+
+  // The resolution covers the region's longer side; the other side gets as
+  // many samples as keep them square.
+  const exportHeightmap = (format: HeightmapFormat) => {
+    const region = parsedExportRegion;
+    if (!region) {
+      setExportMessage("The export region needs four numbers, with each max above its min.");
+      return;
+    }
+
+    const spanX = region.maxX - region.minX;
+    const spanZ = region.maxZ - region.minZ;
+    const cell = Math.max(spanX, spanZ) / (heightmapResolution - 1);
+    const width = Math.max(2, Math.round(spanX / cell) + 1);
+    const height = Math.max(2, Math.round(spanZ / cell) + 1);
+    const baseName = `terragen-${safeFileName(params.seed)}-${width}x${height}`;
+
+    setHeightmapSidecar(null);
+    runExport(
+      "Heightmap",
+      {
+        kind: "heightmap",
+        request: {
+          seed: params.seed,
+          shape: terrainShapeFromParams(params),
+          region,
+          width,
+          height,
+          elevation: params.elevation
+        },
+        format
+      },
+      (result) => {
+        const fileName = `${baseName}.${result.extension}`;
+        downloadBytes(result.bytes, fileName, result.mimeType);
+        if (result.metadata) {
+          setHeightmapSidecar({ fileName: `${baseName}.json`, text: JSON.stringify(result.metadata, null, 2) });
+        }
+        setExportMessage(`Saved ${fileName}.`);
+      }
+    );
+  };
+
+  // The mesh is rebuilt over the export region at the chosen LOD, whatever
+  // is loaded there.
+  const exportMesh = (format: MeshFormat) => {
+    const region = parsedExportRegion;
+    if (!region) {
+      setExportMessage("The export region needs four numbers, with each max above its min.");
+      return;
+    }
+
+    const fileName = `terragen-${safeFileName(params.seed)}-lod${meshLod}`;
+    runExport(
+      "Mesh",
+      {
+        kind: "mesh",
+        request: {
+          seed: params.seed,
+          shape: terrainShapeFromParams(params),
+          region,
+          spacing: params.chunkSize / meshLod,
+          elevation: params.elevation,
+          humidity: params.humidity,
+          temperature: params.temperature,
+          waterLevel: params.seaLevel * params.elevation
+        },
+        format
+      },
+      (result) => {
+        downloadBytes(result.bytes, `${fileName}.${result.extension}`, result.mimeType);
+        setExportMessage(`Saved ${fileName}.${result.extension}.`);
+      }
+    );
+  };
+
+  const copyWorldLink = () => {
+    const view = viewportRef.current?.getViewState();
+    if (!view) {
+      return;
+    }
+
+    const hash = encodeWorldLink(paramsWithLiveClock(), view);
+    window.history.replaceState(null, "", `#${hash}`);
+
+    if (!navigator.clipboard) {
+      return;
+    }
+    navigator.clipboard
+      .writeText(worldLinkUrl(hash))
+      .then(() => {
+        setLinkCopied(true);
+        setTimeout(() => setLinkCopied(false), 1600);
+      })
+      .catch(() => setLinkCopied(false));
+  };
+
+  const loadWorld = (nextParams: TerrainParams, view: SavedWorld["view"]) => {
+    setDraftParams({});
+    viewportRef.current?.loadWorld(nextParams, view);
+    setParams(nextParams);
+    setSeedDraft(nextParams.seed);
+  };
+
+  // A link pasted into an open tab only changes the hash, so it is applied
+  // here; links carry no view distance or quality, which stay as they are.
+  useEffect(() => {
+    const applyWorldLink = () => {
+      const link = parseWorldLink(window.location.hash);
+      if (link) {
+        loadWorld({ ...params, ...link.params }, link.view);
+      }
+    };
+    window.addEventListener("hashchange", applyWorldLink);
+    return () => window.removeEventListener("hashchange", applyWorldLink);
+  });
+
+  // Presets only carry terrain settings; view distance and quality stay as the
+  // user has tuned them for their machine.
+  const applyPreset = (preset: WorldPreset) => {
+    loadWorld({ ...params, ...preset.params }, preset.view ?? {});
+  };
+
+  const saveWorld = () => {
+    const view = viewportRef.current?.getViewState();
+    if (!view) {
+      return;
+    }
+
+    const name = worldName.trim() || `${params.seed} (${new Date().toLocaleString()})`;
+    const now = new Date().toISOString();
+    setSavedWorlds((current) => [
+      ...current,
+      { id: createWorldId(), name, params: paramsWithLiveClock(), view, createdAt: now, updatedAt: now }
+    ]);
+    setWorldName("");
+    setLibraryMessage(`Saved "${name}".`);
+  };
+
+  // A name left blank keeps the old one.
+  const renameWorld = (id: string) => {
+    const name = nameDrafts[id]?.trim();
+    setNameDrafts((current) => {
+      const next = { ...current };
+      delete next[id];
+      return next;
+    });
+    if (!name) {
+      return;
+    }
+    setSavedWorlds((current) =>
+      current.map((world) =>
+        world.id === id && world.name !== name
+          ? { ...world, name, updatedAt: new Date().toISOString() }
+          : world
+      )
+    );
+  };
+
+  const deleteWorld = (id: string) => {
+    setSavedWorlds((current) => current.filter((world) => world.id !== id));
+  };
+
+  const exportLibrary = () => {
+    downloadText(serializeWorldLibrary(savedWorlds), "terragen-worlds.json", "application/json");
+  };
+
+  const importLibrary = (file: File | undefined) => {
+    if (!file) {
+      return;
+    }
+
+    file
+      .text()
+      .then((text) => {
+        const { worlds, errors } = parseWorldLibraryText(text, initialParams);
+        if (worlds.length === 0 && errors.length > 0) {
+          setLibraryMessage(`Import failed: ${errors.join("; ")}`);
+          return;
+        }
+        setSavedWorlds((current) => mergeWorlds(current, worlds));
+        const skipped = errors.length > 0 ? ` Skipped: ${errors.join("; ")}` : "";
+        setLibraryMessage(`Imported ${worlds.length} world${worlds.length === 1 ? "" : "s"}.${skipped}`);
+      })
+      .catch((error: unknown) =>
+        setLibraryMessage(`Import failed: ${error instanceof Error ? error.message : String(error)}`)
+      );
+  };
+
   const randomizeSeed = () => {
     const next = `terra-${Math.random().toString(36).slice(2, 10)}`;
     setSeedDraft(next);
@@ -88,8 +629,14 @@ export default function App(): JSX.Element {
     <SplashScreen>
     <div className="app-shell">
       <div className="viewport-wrap">
-        <TerrainViewport ref={viewportRef} params={params} onStats={setStats} />
+        <TerrainViewport
+          ref={viewportRef}
+          params={params}
+          initialView={sharedWorld?.view}
+          onStats={setStats}
+        />
         <div className="cinematic-vignette" aria-hidden="true" />
+        {stats.terrainLoading && <div className="terrain-loading">Building terrain...</div>}
       </div>
 
       <button
@@ -121,7 +668,9 @@ export default function App(): JSX.Element {
 
           <div className="preview-meta">
             <span>{params.mode === "firstPerson" ? "First Person" : "Orbit"} mode</span>
-            <span>{params.dayNightEnabled ? "Cycle On" : "Cycle Off"}</span>
+            <span>
+              {formatClock(clockTime)} {params.dayNightEnabled ? "Cycle On" : "Cycle Off"}
+            </span>
             <span>{stats.chunkCount} chunks</span>
           </div>
         </div>
@@ -148,9 +697,77 @@ export default function App(): JSX.Element {
                 <button type="button" onClick={() => viewportRef.current?.captureScreenshot()}>
                   Screenshot PNG
                 </button>
+                <button type="button" onClick={copyWorldLink}>
+                  {linkCopied ? "Link Copied" : "Copy Link"}
+                </button>
               </div>
             </label>
 
+            <div className="field">
+              <span>Worlds</span>
+              <div className="inline-row segmented">
+                {builtInPresets.map((preset) => (
+                  <button type="button" key={preset.id} onClick={() => applyPreset(preset)}>
+                    {preset.name}
+                  </button>
+                ))}
+              </div>
+              <div className="inline-row">
+                <input
+                  type="text"
+                  value={worldName}
+                  onChange={(event: { target: HTMLInputElement }) => setWorldName(event.target.value)}
+                  placeholder="Name this world"
+                />
+                <button type="button" onClick={saveWorld}>
+                  Save
+                </button>
+              </div>
+              {savedWorlds.map((world) => (
+                <div className="inline-row" key={world.id}>
+                  <input
+                    type="text"
+                    value={nameDrafts[world.id] ?? world.name}
+                    aria-label="World name"
+                    onChange={(event: { target: HTMLInputElement }) =>
+                      setNameDrafts((current) => ({ ...current, [world.id]: event.target.value }))
+                    }
+                    onBlur={() => renameWorld(world.id)}
+                    onKeyDown={(event: { key: string; currentTarget: HTMLInputElement }) => {
+                      if (event.key === "Enter") {
+                        event.currentTarget.blur();
+                      }
+                    }}
+                  />
+                  <button type="button" onClick={() => loadWorld(world.params, world.view)}>
+                    Load
+                  </button>
+                  <button type="button" onClick={() => deleteWorld(world.id)}>
+                    Delete
+                  </button>
+                </div>
+              ))}
+              <div className="inline-row segmented">
+                <button type="button" onClick={exportLibrary} disabled={savedWorlds.length === 0}>
+                  Export Library
+                </button>
+                <button type="button" onClick={() => libraryInputRef.current?.click()}>
+                  Import Library
+                </button>
+              </div>
+              <input
+                ref={libraryInputRef}
+                type="file"
+                accept="application/json,.json"
+                hidden
+                onChange={(event: { target: HTMLInputElement }) => {
+                  importLibrary(event.target.files?.[0]);
+                  event.target.value = "";
+                }}
+              />
+              {libraryMessage && <div className="instructions">{libraryMessage}</div>}
+            </div>
+
             <label className="field">
               <span>Elevation {params.elevation.toFixed(2)}x</span>
               <input
@@ -193,17 +810,128 @@ export default function App(): JSX.Element {
               />
             </label>
 
+            {renderParamSlider({ ...seaLevelSlider, rebuildsTerrain: params.rivers })}
+
+            <div className="field">
+              <span>Time of Day {formatClock(clockTime)}</span>
+              <div className="inline-row">
+                <input
+                  type="range"
+                  min={0}
+                  max={24}
+                  step={0.05}
+                  value={clockTime}
+                  onChange={(event: { target: HTMLInputElement }) =>
+                    setTimeOfDay(clamp(Number(event.target.value), 0, 24) % 24)
+                  }
+                />
+                <button type="button" onClick={toggleDayCycle}>
+                  {params.dayNightEnabled ? "Pause" : "Play"}
+                </button>
+              </div>
+            </div>
+
+            {sunSliders.map(renderParamSlider)}
+
+            <label className="field">
+              <span>Season {formatSeason(params.season)}</span>
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={1 / 365}
+                value={params.season}
+                onChange={(event: { target: HTMLInputElement }) =>
+                  setNumericParam("season", clamp(Number(event.target.value), 0, 1) % 1)
+                }
+              />
+            </label>
+
+            <label className="toggle">
+              <input
+                type="checkbox"
+                checked={params.autoQuality}
+                onChange={(event: { target: HTMLInputElement }) =>
+                  setParams((current) => ({ ...current, autoQuality: event.target.checked }))
+                }
+              />
+              <span>Adaptive Quality</span>
+            </label>
+
+            {params.autoQuality && (
+              <label className="field">
+                <span>Target FPS {params.targetFps}</span>
+                <input
+                  type="range"
+                  min={24}
+                  max={90}
+                  step={1}
+                  value={params.targetFps}
+                  onChange={(event: { target: HTMLInputElement }) =>
+                    setParams((current) => ({
+                      ...current,
+                      targetFps: clamp(Number(event.target.value), 24, 90)
+                    }))
+                  }
+                />
+              </label>
+            )}
+
+            <label className="toggle">
+              <input
+                type="checkbox"
+                checked={params.hydraulicErosion}
+                onChange={(event: { target: HTMLInputElement }) =>
+                  setParams((current) => ({ ...current, hydraulicErosion: event.target.checked }))
+                }
+              />
+              <span>Hydraulic Erosion</span>
+            </label>
+
+            {params.hydraulicErosion && erosionSliders.map(renderParamSlider)}
+
             <label className="toggle">
               <input
                 type="checkbox"
-                checked={params.dayNightEnabled}
+                checked={params.thermalErosion}
                 onChange={(event: { target: HTMLInputElement }) =>
-                  setParams((current) => ({ ...current, dayNightEnabled: event.target.checked }))
+                  setParams((current) => ({ ...current, thermalErosion: event.target.checked }))
                 }
               />
-              <span>Day/Night Cycle Animation</span>
+              <span>Thermal Weathering</span>
             </label>
 
+            {params.thermalErosion && thermalSliders.map(renderParamSlider)}
+
+            <label className="toggle">
+              <input
+                type="checkbox"
+                checked={params.rivers}
+                onChange={(event: { target: HTMLInputElement }) =>
+                  setParams((current) => ({ ...current, rivers: event.target.checked }))
+                }
+              />
+              <span>Rivers &amp; Lakes</span>
+            </label>
+
+            {cloudSliders.map(renderParamSlider)}
+
+            <div className="field">
+              <span>Weather{params.weather === "auto" ? ` (now ${stats.weather})` : ""}</span>
+              <div className="inline-row segmented">
+                {weatherOptions.map((option) => (
+                  <button
+                    type="button"
+                    key={option.mode}
+                    className={params.weather === option.mode ? "active" : ""}
+                    onClick={() => setParams((current) => ({ ...current, weather: option.mode }))}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
             <div className="mode-selector">
               <button
                 type="button"
@@ -221,9 +949,163 @@ export default function App(): JSX.Element {
               </button>
             </div>
 
+            <div className="field">
+              <span>View Distance</span>
+              <div className="inline-row segmented">
+                {viewDistanceOptions.map((option) => (
+                  <button
+                    type="button"
+                    key={option.profile}
+                    className={activeViewProfile === option.profile ? "active" : ""}
+                    onClick={() => setViewProfile(option.profile)}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="field">
+              <span>Shadows{stats.shadowsAvailable ? "" : " (not supported by this GPU)"}</span>
+              <div className="inline-row segmented">
+                {shadowQualityOptions.map((option) => (
+                  <button
+                    type="button"
+                    key={option.quality}
+                    className={params.shadowQuality === option.quality ? "active" : ""}
+                    disabled={!stats.shadowsAvailable && option.quality !== "off"}
+                    onClick={() => setParams((current) => ({ ...current, shadowQuality: option.quality }))}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="field">
+              <span>
+                Export Region{" "}
+                {parsedExportRegion
+                  ? `${Math.round(parsedExportRegion.maxX - parsedExportRegion.minX)} x ${Math.round(
+                      parsedExportRegion.maxZ - parsedExportRegion.minZ
+                    )}m`
+                  : "(invalid)"}
+              </span>
+              <div className="inline-row">
+                {regionFields.map((field) => (
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    key={field.key}
+                    aria-label={field.label}
+                    placeholder={field.label}
+                    value={exportRegion[field.key]}
+                    onChange={(event: { target: HTMLInputElement }) =>
+                      setExportRegion((current) => ({ ...current, [field.key]: event.target.value }))
+                    }
+                  />
+                ))}
+              </div>
+              <div className="inline-row segmented">
+                <button type="button" onClick={centreRegionOnView}>
+                  Centre on View
+                </button>
+                <button type="button" onClick={fillLoadedRegion}>
+                  Loaded Area
+                </button>
+              </div>
+            </div>
+
+            <div className="field">
+              <span>Heightmap Export {heightmapResolution}px</span>
+              <div className="inline-row segmented">
+                {heightmapResolutions.map((resolution) => (
+                  <button
+                    type="button"
+                    key={resolution}
+                    className={heightmapResolution === resolution ? "active" : ""}
+                    onClick={() => setHeightmapResolution(resolution)}
+                  >
+                    {resolution}
+                  </button>
+                ))}
+              </div>
+              <div className="inline-row segmented">
+                {heightmapFormats.map((option) => (
+                  <button
+                    type="button"
+                    key={option.format}
+                    disabled={exportProgress !== null}
+                    onClick={() => exportHeightmap(option.format)}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+              {heightmapSidecar && (
+                <button
+                  type="button"
+                  onClick={() => downloadText(heightmapSidecar.text, heightmapSidecar.fileName, "application/json")}
+                >
+                  Metadata {heightmapSidecar.fileName}
+                </button>
+              )}
+            </div>
+
+            <div className="field">
+              <span>Mesh Export (export region, LOD {meshLod})</span>
+              <div className="inline-row segmented">
+                {meshLods.map((lod) => (
+                  <button
+                    type="button"
+                    key={lod}
+                    className={meshLod === lod ? "active" : ""}
+                    onClick={() => setMeshLod(lod)}
+                  >
+                    {lod}
+                  </button>
+                ))}
+              </div>
+              <div className="inline-row segmented">
+                {meshFormats.map((option) => (
+                  <button
+                    type="button"
+                    key={option.format}
+                    disabled={exportProgress !== null}
+                    onClick={() => exportMesh(option.format)}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {exportProgress && (
+              <div className="inline-row">
+                <span className="instructions">
+                  {exportProgress.label} export {Math.round(exportProgress.fraction * 100)}%
+                </span>
+                <button type="button" onClick={() => exportTaskRef.current?.cancel()}>
+                  Cancel
+                </button>
+              </div>
+            )}
+            {exportMessage && <div className="instructions">{exportMessage}</div>}
+
             <div className="stats">
               <div>FPS: {stats.fps.toFixed(0)}</div>
               <div>Loaded Chunks: {stats.chunkCount}</div>
+              <div>
+                Drawn / Culled: {stats.drawnChunks} / {stats.culledChunks}
+              </div>
+              <div>
+                Chunk Cache: {stats.cachedChunks} held, {stats.cacheHits} hits / {stats.cacheMisses} misses
+              </div>
+              <div>
+                Chunk Queue: {stats.queuedChunks} ({stats.chunkBuildMs.toFixed(1)} ms/chunk)
+              </div>
+              <div>View Radius: {params.chunkRadius} chunks</div>
+              <div>Quality: {stats.qualityTier}{params.autoQuality ? " (auto)" : ""}</div>
               <div>Mode: {stats.mode}</div>
               <div className="instructions">{instructions}</div>
             </div>
@@ -231,11 +1113,11 @@ export default function App(): JSX.Element {
             <div className="legend">
               <span>Biomes</span>
               <div className="chips">
-                <em className="chip ocean">Ocean</em>
-                <em className="chip beach">Beach</em>
-                <em className="chip grass">Grassland</em>
-                <em className="chip forest">Forest</em>
-                <em className="chip snow">Snow Mountain</em>
+                {biomeLegend.map((biome) => (
+                  <em className="chip" key={biome.id} style={biomeChipStyle(biome.color)}>
+                    {biome.name}
+                  </em>
+                ))}
               </div>
             </div>
           </>
@@ -6,23 +6,32 @@ import {
   useImperativeHandle,
   useRef
 } from "react";
+import type { HeightmapRegion } from "../engine/heightmapExport";
 import {
   TerrainEngine,
   type TerrainParams,
-  type TerrainStats
+  type TerrainStats,
+  type TerrainViewState
 } from "../engine/terrainEngine";
 
 export interface TerrainViewportHandle {
   captureScreenshot: () => void;
+  getFocusPoint: () => { x: number; z: number } | null;
+  getLoadedRegion: () => HeightmapRegion | null;
+  getTimeOfDay: () => number | null;
+  getViewState: () => Required<TerrainViewState> | null;
+  setTimeOfDay: (hours: number) => void;
+  loadWorld: (params: TerrainParams, view: TerrainViewState) => void;
 }
 
 interface TerrainViewportProps {
   params: TerrainParams;
+  initialView?: TerrainViewState;
   onStats: (stats: TerrainStats) => void;
 }
 
 export const TerrainViewport = forwardRef<TerrainViewportHandle, TerrainViewportProps>(
-  function TerrainViewport({ params, onStats }, ref) {
+  function TerrainViewport({ params, initialView, onStats }, ref) {
     const engineRef = useRef<TerrainEngine | null>(null);
 
     const handleCanvasCreated = useCallback(
@@ -30,9 +39,9 @@ export const TerrainViewport = forwardRef<TerrainViewportHandle, TerrainViewport
         if (engineRef.current) {
           return;
         }
-        engineRef.current = new TerrainEngine(canvas, gl, params, onStats);
+        engineRef.current = new TerrainEngine(canvas, gl, params, onStats, initialView);
       },
-      [onStats, params]
+      [initialView, onStats, params]
     );
 
     useEffect(() => {
@@ -44,6 +53,19 @@ export const TerrainViewport = forwardRef<TerrainViewportHandle, TerrainViewport
       () => ({
         captureScreenshot: () => {
           engineRef.current?.captureScreenshot();
+        },
+        getFocusPoint: () => engineRef.current?.getFocusPoint() ?? null,
+        getLoadedRegion: () => engineRef.current?.getLoadedRegion() ?? null,
+        getTimeOfDay: () => engineRef.current?.getTimeOfDay() ?? null,
+        getViewState: () => engineRef.current?.getViewState() ?? null,
+        setTimeOfDay: (hours) => {
+          engineRef.current?.setTimeOfDay(hours);
+        },
+        // Params go in first so a mode switch cannot overwrite the loaded pose.
+        loadWorld: (nextParams, view) => {
+          engineRef.current?.updateParams(nextParams);
+          engineRef.current?.setTimeOfDay(nextParams.timeOfDay);
+          engineRef.current?.setViewState(view);
         }
       }),
       []
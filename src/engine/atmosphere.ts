@@ -0,0 +1,73 @@
+import { Vector3 } from "three";
+
+// Single-scattering sky with a flat-earth optical depth: cheap enough for a
+// per-pixel sky and matched exactly by the CPU version below, which the
+// engine uses for fog and the clear colour. Keep both in step with
+// atmosphereShaderSource in shaders.ts.
+
+// Scattering coefficients per unit of zenith optical depth.
+export const RAYLEIGH_SCATTERING: [number, number, number] = [0.058, 0.135, 0.331];
+export const MIE_SCATTERING = 0.021;
+// Henyey-Greenstein asymmetry; strongly forward, which gives the glow around
+// the sun.
+export const MIE_ANISOTROPY = 0.76;
+export const SUN_INTENSITY = 26;
+// The moon sits opposite the sun and lights the night sky faintly.
+export const MOON_INTENSITY = 0.45;
+export const NIGHT_SKY: [number, number, number] = [0.002, 0.004, 0.011];
+export const SKY_EXPOSURE = 1.6;
+// Optical depth at the horizon relative to the zenith is roughly
+// (1 + HORIZON_SOFTNESS) / HORIZON_SOFTNESS.
+export const HORIZON_SOFTNESS = 0.12;
+
+function opticalDepth(height: number): number {
+  return (1 + HORIZON_SOFTNESS) / (Math.max(height, 0) + HORIZON_SOFTNESS);
+}
+
+function smoothstep(edge0: number, edge1: number, value: number): number {
+  const t = Math.min(1, Math.max(0, (value - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
+
+function addInscatter(
+  direction: Vector3,
+  light: Vector3,
+  intensity: number,
+  out: [number, number, number]
+): void {
+  const mu = direction.dot(light);
+  const phaseRayleigh = 0.0597 * (1 + mu * mu);
+  const g = MIE_ANISOTROPY;
+  const phaseMie = (1 - g * g) / (4 * Math.PI * Math.pow(1 + g * g - 2 * g * mu, 1.5));
+  const viewDepth = opticalDepth(direction.y);
+  // Light is scattered on average about halfway up the atmosphere, so it
+  // crosses only part of the column a ground observer would see.
+  const lightDepth = opticalDepth(light.y) * 0.5;
+  const lightVisible = smoothstep(-0.12, 0.02, light.y);
+
+  for (let channel = 0; channel < 3; channel += 1) {
+    const rayleigh = RAYLEIGH_SCATTERING[channel];
+    const extinction = rayleigh + MIE_SCATTERING;
+    const scattering = (rayleigh * phaseRayleigh + MIE_SCATTERING * phaseMie) / extinction;
+    out[channel] +=
+      intensity *
+      lightVisible *
+      scattering *
+      (1 - Math.exp(-extinction * viewDepth)) *
+      Math.exp(-extinction * lightDepth);
+  }
+}
+
+// Tone-mapped sky colour seen along a unit direction, without the sun and
+// moon discs or stars.
+export function skyRadiance(direction: Vector3, sunDirection: Vector3, target: Vector3): Vector3 {
+  const color: [number, number, number] = [...NIGHT_SKY];
+  addInscatter(direction, sunDirection, SUN_INTENSITY, color);
+  addInscatter(direction, sunDirection.clone().multiplyScalar(-1), MOON_INTENSITY, color);
+
+  return target.set(
+    1 - Math.exp(-color[0] * SKY_EXPOSURE),
+    1 - Math.exp(-color[1] * SKY_EXPOSURE),
+    1 - Math.exp(-color[2] * SKY_EXPOSURE)
+  );
+}
@@ -0,0 +1,265 @@
+import { detailLayers, type DetailLayer } from "./detailTextures";
+
+export type Rgb = [number, number, number];
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(max, Math.max(min, value));
+}
+
+function smoothstep(edge0: number, edge1: number, value: number): number {
+  const normalized = clamp((value - edge0) / Math.max(edge1 - edge0, 0.00001), 0, 1);
+  return normalized * normalized * (3 - 2 * normalized);
+}
+
+function mixRgb(a: Rgb, b: Rgb, t: number): Rgb {
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+}
+
+function scaleRgb(color: Rgb, scale: number): Rgb {
+  return [color[0] * scale, color[1] * scale, color[2] * scale];
+}
+
+export interface BiomeRange {
+  min: number;
+  max: number;
+  // Half-width of the smooth transition at each end of the range.
+  blend: number;
+}
+
+export interface BiomeDefinition {
+  id: string;
+  name: string;
+  color: Rgb;
+  // Close-up texture layer that modulates the colour.
+  detail: DetailLayer;
+  // World units above the water level, after elevation scaling.
+  height: BiomeRange;
+  humidity: BiomeRange;
+  temperature: BiomeRange;
+  // 1 - normal.y of the shaded surface: 0 on flat ground, ~0.6 near 66 degrees.
+  slope: BiomeRange;
+}
+
+export interface BiomeSample {
+  height: number;
+  humidity: number;
+  temperature: number;
+  slope: number;
+}
+
+export interface BiomeBlend {
+  color: Rgb;
+  biome: BiomeDefinition;
+}
+
+// Size of terrainFragmentShader's biome uniform arrays.
+export const MAX_BIOMES = 16;
+
+const OPEN = 10000;
+
+function range(min: number, max: number, blend = 0): BiomeRange {
+  return { min, max, blend };
+}
+
+const anyHeight = range(-OPEN, OPEN);
+const anyClimate = range(-1, 2);
+
+function biome(
+  id: string,
+  name: string,
+  color: Rgb,
+  detail: DetailLayer,
+  ranges: Partial<Pick<BiomeDefinition, "height" | "humidity" | "temperature" | "slope">>
+): BiomeDefinition {
+  return {
+    id,
+    name,
+    color,
+    detail,
+    height: ranges.height ?? anyHeight,
+    humidity: ranges.humidity ?? anyClimate,
+    temperature: ranges.temperature ?? anyClimate,
+    slope: ranges.slope ?? anyClimate
+  };
+}
+
+// Rows are matched in order: each biome takes whatever share of a sample the
+// rows above it left unclaimed, so earlier rows win where ranges overlap.
+// Land rows follow a Whittaker layout over temperature x humidity, after the
+// overrides for water, shoreline, cliffs and ice. A biome whose rule is an
+// either-or takes one row per alternative, all under the same id.
+export const biomeTable: BiomeDefinition[] = [
+  biome("deep-ocean", "Deep Ocean", [0.01, 0.08, 0.3], "sand", { height: range(-OPEN, -12.75, 13.25) }),
+  biome("ocean", "Ocean", [0.03, 0.2, 0.5], "sand", { height: range(-OPEN, 0.55) }),
+  biome("beach", "Beach", [0.85, 0.7, 0.36], "sand", {
+    height: range(-OPEN, 3.2, 0.3),
+    slope: range(-1, 0.6, 0.06)
+  }),
+  biome("rock", "Bare Rock", [0.42, 0.4, 0.38], "rock", { slope: range(0.6, 2, 0.06) }),
+  biome("snow", "Snow Mountain", [0.96, 0.98, 1.0], "snow", { temperature: range(-1, 0.16, 0.02) }),
+  biome("snow", "Snow Mountain", [0.96, 0.98, 1.0], "snow", { height: range(84, OPEN, 2) }),
+  biome("snow", "Snow Mountain", [0.96, 0.98, 1.0], "snow", {
+    height: range(64, OPEN, 2),
+    temperature: range(-1, 0.36, 0.02)
+  }),
+  biome("tundra", "Tundra", [0.56, 0.56, 0.47], "soil", { temperature: range(-1, 0.27, 0.03) }),
+  biome("swamp", "Swamp", [0.2, 0.29, 0.15], "soil", {
+    height: range(-OPEN, 14, 3),
+    humidity: range(0.68, 2, 0.03),
+    temperature: range(0.42, 2, 0.04)
+  }),
+  biome("taiga", "Boreal Forest", [0.11, 0.27, 0.2], "leaves", {
+    humidity: range(0.42, 2, 0.04),
+    temperature: range(-1, 0.38, 0.03)
+  }),
+  biome("rainforest", "Rainforest", [0.02, 0.35, 0.09], "leaves", {
+    humidity: range(0.64, 2, 0.04),
+    temperature: range(0.58, 2, 0.04)
+  }),
+  biome("forest", "Forest", [0.05, 0.29, 0.14], "leaves", { humidity: range(0.58, 2, 0.04) }),
+  biome("desert", "Desert", [0.87, 0.74, 0.5], "sand", {
+    humidity: range(-1, 0.4, 0.03),
+    temperature: range(0.5, 2, 0.04)
+  }),
+  biome("savanna", "Savanna", [0.62, 0.6, 0.29], "grass", {
+    humidity: range(-1, 0.52, 0.03),
+    temperature: range(0.52, 2, 0.04)
+  }),
+  biome("grassland", "Grassland", [0.2, 0.63, 0.24], "grass", {})
+];
+
+// One entry per biome, for the legend.
+export const biomeLegend: BiomeDefinition[] = biomeTable.filter(
+  (entry, index) => biomeTable.findIndex((other) => other.id === entry.id) === index
+);
+
+function biomeWindow(value: number, { min, max, blend }: BiomeRange): number {
+  const width = Math.max(blend, 0.00001);
+  return smoothstep(min - width, min + width, value) * (1 - smoothstep(max - width, max + width, value));
+}
+
+// Share of the sample each row claims, in table order. The shares sum to at
+// most 1; whatever is left no row covers. Callers in hot loops pass their own
+// array to fill.
+export function biomeShares(
+  sample: BiomeSample,
+  waterLevel: number,
+  table: BiomeDefinition[] = biomeTable,
+  shares: number[] = new Array(table.length)
+): number[] {
+  const relativeHeight = sample.height - waterLevel;
+  let remaining = 1;
+
+  for (let index = 0; index < table.length; index += 1) {
+    const entry = table[index];
+    const weight =
+      biomeWindow(relativeHeight, entry.height) *
+      biomeWindow(sample.humidity, entry.humidity) *
+      biomeWindow(sample.temperature, entry.temperature) *
+      biomeWindow(sample.slope, entry.slope);
+    const share = remaining * weight;
+    remaining -= share;
+    shares[index] = share;
+  }
+  return shares;
+}
+
+// CPU twin of pickBiome in terrainFragmentShader; keep the two in step.
+export function blendBiomes(
+  sample: BiomeSample,
+  waterLevel: number,
+  table: BiomeDefinition[] = biomeTable
+): BiomeBlend {
+  const shares = biomeShares(sample, waterLevel, table);
+  const color: Rgb = [0, 0, 0];
+  const sharesById = new Map<string, number>();
+  let covered = 0;
+  let biome = table[table.length - 1];
+  let biomeShare = 0;
+
+  table.forEach((entry, index) => {
+    const share = shares[index];
+    color[0] += entry.color[0] * share;
+    color[1] += entry.color[1] * share;
+    color[2] += entry.color[2] * share;
+    covered += share;
+
+    const total = (sharesById.get(entry.id) ?? 0) + share;
+    sharesById.set(entry.id, total);
+    if (total > biomeShare) {
+      biome = entry;
+      biomeShare = total;
+    }
+  });
+
+  if (covered <= 0.00001) {
+    return { color: [...biome.color], biome };
+  }
+  return { color: scaleRgb(color, 1 / covered), biome };
+}
+
+export function pickBiomeColor(sample: BiomeSample, waterLevel: number): Rgb {
+  return blendBiomes(sample, waterLevel).color;
+}
+
+export function classifyBiomeSample(sample: BiomeSample, waterLevel: number): BiomeDefinition {
+  return blendBiomes(sample, waterLevel).biome;
+}
+
+export interface BiomeUniforms {
+  count: number;
+  colors: Float32Array;
+  heights: Float32Array;
+  humidity: Float32Array;
+  temperature: Float32Array;
+  slopes: Float32Array;
+  details: Int32Array;
+}
+
+// Flattens the table into the vec3 arrays pickBiome reads: colour, and
+// (min, max, blend) per range.
+export function packBiomeUniforms(table: BiomeDefinition[] = biomeTable): BiomeUniforms {
+  if (table.length === 0 || table.length > MAX_BIOMES) {
+    throw new Error(`Biome table must have between 1 and ${MAX_BIOMES} entries.`);
+  }
+
+  const packed: BiomeUniforms = {
+    count: table.length,
+    colors: new Float32Array(MAX_BIOMES * 3),
+    heights: new Float32Array(MAX_BIOMES * 3),
+    humidity: new Float32Array(MAX_BIOMES * 3),
+    temperature: new Float32Array(MAX_BIOMES * 3),
+    slopes: new Float32Array(MAX_BIOMES * 3),
+    details: new Int32Array(MAX_BIOMES)
+  };
+
+  table.forEach((entry, index) => {
+    const offset = index * 3;
+    packed.colors.set(entry.color, offset);
+    packed.heights.set([entry.height.min, entry.height.max, entry.height.blend], offset);
+    packed.humidity.set([entry.humidity.min, entry.humidity.max, entry.humidity.blend], offset);
+    packed.temperature.set(
+      [entry.temperature.min, entry.temperature.max, entry.temperature.blend],
+      offset
+    );
+    packed.slopes.set([entry.slope.min, entry.slope.max, entry.slope.blend], offset);
+    packed.details[index] = detailLayers.indexOf(entry.detail);
+  });
+
+  return packed;
+}
+
+// Unlit surface colour as terrainFragmentShader computes it before lighting:
+// biome colour with steep slopes darkened. The shader's detail textures
+// average out to 1, so this is also the mean of what it draws up close.
+export function terrainAlbedo(
+  height: number,
+  humidity: number,
+  temperature: number,
+  normalY: number,
+  waterLevel: number
+): Rgb {
+  const slope = 1 - clamp(normalY, 0, 1);
+  const biome = pickBiomeColor({ height, humidity, temperature, slope }, waterLevel);
+  return mixRgb(biome, scaleRgb(biome, 0.58), smoothstep(0.34, 0.98, slope));
+}
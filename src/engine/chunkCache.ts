@@ -0,0 +1,96 @@
+export interface CacheableChunk {
+  gpuBytes: number;
+}
+
+// Cache keys start with the terrain field and chunk size they were built
+// for, so every entry of one field shares a prefix.
+export function chunkCachePrefix(fieldKey: string, chunkSize: number): string {
+  return `${fieldKey}|${chunkSize}|`;
+}
+
+export function chunkCacheKey(
+  fieldKey: string,
+  chunkSize: number,
+  chunk: { key: string; lod: number; morphLod: number; scatter: boolean }
+): string {
+  const scatter = chunk.scatter ? "scatter" : "bare";
+  return `${chunkCachePrefix(fieldKey, chunkSize)}${chunk.key}|${chunk.lod}|${chunk.morphLod}|${scatter}`;
+}
+
+// Least-recently-used store for chunks that left the active set. Map keeps
+// insertion order, so the first entry is always the oldest.
+export class ChunkCache<T extends CacheableChunk> {
+  private readonly entries = new Map<string, T>();
+
+  private readonly maxEntries: number;
+
+  private readonly maxBytes: number;
+
+  private readonly onEvict: (value: T) => void;
+
+  private totalBytes = 0;
+
+  constructor(maxEntries: number, maxBytes: number, onEvict: (value: T) => void) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.onEvict = onEvict;
+  }
+
+  get size(): number {
+    return this.entries.size;
+  }
+
+  get bytes(): number {
+    return this.totalBytes;
+  }
+
+  take(key: string): T | undefined {
+    const value = this.entries.get(key);
+    if (value) {
+      this.entries.delete(key);
+      this.totalBytes -= value.gpuBytes;
+    }
+    return value;
+  }
+
+  put(key: string, value: T): void {
+    const previous = this.take(key);
+    if (previous) {
+      this.onEvict(previous);
+    }
+
+    this.entries.set(key, value);
+    this.totalBytes += value.gpuBytes;
+
+    while (this.entries.size > this.maxEntries || this.totalBytes > this.maxBytes) {
+      const oldestKey = this.entries.keys().next().value;
+      if (oldestKey === undefined) {
+        break;
+      }
+      const oldest = this.take(oldestKey);
+      if (oldest) {
+        this.onEvict(oldest);
+      }
+    }
+  }
+
+  // Evicts every entry whose key matches.
+  evictWhere(predicate: (key: string) => boolean): void {
+    for (const key of [...this.entries.keys()]) {
+      if (predicate(key)) {
+        const value = this.take(key);
+        if (value) {
+          this.onEvict(value);
+        }
+      }
+    }
+  }
+
+  clear(): void {
+    for (const value of this.entries.values()) {
+      this.onEvict(value);
+    }
+    this.entries.clear();
+    this.totalBytes = 0;
+  }
+}
@@ -0,0 +1,313 @@
+import {
+  buildScatterCandidates,
+  SCATTER_CANDIDATE_STRIDE,
+  scatterLayers,
+  type ScatterCandidates
+} from "./scatter";
+import type { TerrainField } from "./terrainField";
+
+export const CHUNK_VERTEX_STRIDE = 9;
+
+// Skirts hang below every chunk edge so neighbours built at a different LOD
+// never leave a visible crack, whatever their resolutions are.
+export function chunkSkirtDepth(lod: number, chunkSize: number): number {
+  return 4 + (chunkSize / lod) * 2.5;
+}
+
+export function chunkEdgeIndices(lod: number): number[][] {
+  const row = lod + 1;
+  const north: number[] = [];
+  const south: number[] = [];
+  const west: number[] = [];
+  const east: number[] = [];
+
+  for (let i = 0; i <= lod; i += 1) {
+    north.push(i);
+    south.push(lod * row + i);
+    west.push(i * row);
+    east.push(i * row + lod);
+  }
+
+  return [north, south, west, east];
+}
+
+// Height at (localX, localZ), measured in cells, of the surface a chunk of
+// the given LOD draws through its grid of heights, interpolated across the
+// same triangles its mesh uses. A fully morphed vertex sampled this way lies
+// exactly on the coarser chunk that replaces it.
+export function sampleGridSurface(
+  heights: Float32Array,
+  lod: number,
+  localX: number,
+  localZ: number
+): number {
+  const cellX = Math.min(lod - 1, Math.floor(localX));
+  const cellZ = Math.min(lod - 1, Math.floor(localZ));
+  const fx = localX - cellX;
+  const fz = localZ - cellZ;
+
+  const row = lod + 1;
+  const h0 = heights[cellZ * row + cellX];
+  const h1 = heights[cellZ * row + cellX + 1];
+  const h2 = heights[(cellZ + 1) * row + cellX];
+  const h3 = heights[(cellZ + 1) * row + cellX + 1];
+
+  if (fx + fz <= 1) {
+    return h0 + (h1 - h0) * fx + (h2 - h0) * fz;
+  }
+  return h3 + (h2 - h3) * (1 - fx) + (h1 - h3) * (1 - fz);
+}
+
+function smoothstep(edge0: number, edge1: number, value: number): number {
+  const t = Math.min(1, Math.max(0, (value - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
+
+// How far a vertex at world (x, z) is morphed towards its chunk's coarser LOD,
+// as the terrain and shadow shaders work it out. The distance is measured per
+// vertex, in chunks from the centre of the ring's focus chunk, so the outer
+// edge of a ring is fully morphed and the inner edge of the next one is not.
+export function lodMorphWeight(
+  x: number,
+  z: number,
+  focusX: number,
+  focusZ: number,
+  chunkSize: number,
+  morphEnd: number
+): number {
+  const ringDistance = Math.max(Math.abs(x - focusX), Math.abs(z - focusZ)) / chunkSize;
+  return smoothstep(morphEnd - 0.35, morphEnd, ringDistance);
+}
+
+// Fresh-water cells fainter than this are left out of a chunk's water mesh.
+const MIN_WATER_COVERAGE = 0.05;
+// Dry corners of a shoreline quad sink this far under the ground so the
+// surface dips out of sight instead of ending in a hard edge.
+const WATER_SHORE_DROP = 1;
+
+export interface ChunkMeshData {
+  vertices: Float32Array;
+  indices: Uint16Array;
+  // Lakes and rivers on the chunk's grid, xyz per vertex; empty when dry.
+  waterVertices: Float32Array;
+  waterIndices: Uint16Array;
+  // Places trees, bushes and rocks may grow; none for chunks built without.
+  scatter: ScatterCandidates;
+  minHeight: number;
+  maxHeight: number;
+}
+
+function buildWaterMesh(
+  field: TerrainField,
+  vertices: Float32Array,
+  lod: number
+): Pick<ChunkMeshData, "waterVertices" | "waterIndices"> {
+  const row = lod + 1;
+  const coverage = new Float32Array(row * row);
+  const waterVertices = new Float32Array(row * row * 3);
+  let wet = false;
+
+  for (let i = 0; i < row * row; i += 1) {
+    const from = i * CHUNK_VERTEX_STRIDE;
+    const x = vertices[from];
+    const z = vertices[from + 2];
+    const water = field.sampleFreshWater(x, z);
+    if (!water) {
+      break;
+    }
+
+    coverage[i] = water.coverage;
+    wet ||= water.coverage > MIN_WATER_COVERAGE;
+    waterVertices[i * 3] = x;
+    waterVertices[i * 3 + 1] = water.coverage > 0.01 ? water.level : vertices[from + 1] - WATER_SHORE_DROP;
+    waterVertices[i * 3 + 2] = z;
+  }
+
+  if (!wet) {
+    return { waterVertices: new Float32Array(0), waterIndices: new Uint16Array(0) };
+  }
+
+  const indices: number[] = [];
+  for (let z = 0; z < lod; z += 1) {
+    for (let x = 0; x < lod; x += 1) {
+      const i0 = z * row + x;
+      const i1 = i0 + 1;
+      const i2 = i0 + row;
+      const i3 = i2 + 1;
+      if (Math.max(coverage[i0], coverage[i1], coverage[i2], coverage[i3]) > MIN_WATER_COVERAGE) {
+        indices.push(i0, i2, i1, i1, i2, i3);
+      }
+    }
+  }
+
+  return { waterVertices, waterIndices: Uint16Array.from(indices) };
+}
+
+export function buildChunkMesh(
+  field: TerrainField,
+  chunkX: number,
+  chunkZ: number,
+  lod: number,
+  morphLod: number,
+  chunkSize: number,
+  withScatter = true
+): ChunkMeshData {
+  const gridVertexCount = (lod + 1) * (lod + 1);
+  const edges = chunkEdgeIndices(lod);
+  const vertexCount = gridVertexCount + edges.length * (lod + 1);
+  const stride = CHUNK_VERTEX_STRIDE;
+
+  const vertices = new Float32Array(vertexCount * stride);
+  const step = chunkSize / lod;
+  const baseX = chunkX * chunkSize - chunkSize * 0.5;
+  const baseZ = chunkZ * chunkSize - chunkSize * 0.5;
+  const normalStep = step * 0.5;
+
+  let coarseHeights: Float32Array | null = null;
+  const coarseStep = chunkSize / morphLod;
+  if (morphLod !== lod) {
+    coarseHeights = new Float32Array((morphLod + 1) * (morphLod + 1));
+    let coarseCursor = 0;
+    for (let z = 0; z <= morphLod; z += 1) {
+      for (let x = 0; x <= morphLod; x += 1) {
+        coarseHeights[coarseCursor] = field.sampleHeight(baseX + x * coarseStep, baseZ + z * coarseStep);
+        coarseCursor += 1;
+      }
+    }
+  }
+
+  let minHeight = Number.POSITIVE_INFINITY;
+  let maxHeight = Number.NEGATIVE_INFINITY;
+
+  let cursor = 0;
+  for (let z = 0; z <= lod; z += 1) {
+    for (let x = 0; x <= lod; x += 1) {
+      const worldX = baseX + x * step;
+      const worldZ = baseZ + z * step;
+
+      const height = field.sampleHeight(worldX, worldZ);
+      const humidity = field.sampleHumidity(worldX, worldZ);
+      const temperature = field.sampleTemperature(worldX, worldZ, height);
+
+      const hL = field.sampleHeight(worldX - normalStep, worldZ);
+      const hR = field.sampleHeight(worldX + normalStep, worldZ);
+      const hD = field.sampleHeight(worldX, worldZ - normalStep);
+      const hU = field.sampleHeight(worldX, worldZ + normalStep);
+
+      const nx = hL - hR;
+      const ny = 2 * normalStep;
+      const nz = hD - hU;
+      const invLen = 1 / Math.sqrt(nx * nx + ny * ny + nz * nz);
+
+      vertices[cursor + 0] = worldX;
+      vertices[cursor + 1] = height;
+      vertices[cursor + 2] = worldZ;
+      vertices[cursor + 3] = nx * invLen;
+      vertices[cursor + 4] = ny * invLen;
+      vertices[cursor + 5] = nz * invLen;
+      vertices[cursor + 6] = humidity;
+      vertices[cursor + 7] = temperature;
+      vertices[cursor + 8] = coarseHeights
+        ? sampleGridSurface(coarseHeights, morphLod, (x * step) / coarseStep, (z * step) / coarseStep)
+        : height;
+
+      minHeight = Math.min(minHeight, height, vertices[cursor + 8]);
+      maxHeight = Math.max(maxHeight, height, vertices[cursor + 8]);
+
+      cursor += stride;
+    }
+  }
+
+  const skirtDepth = chunkSkirtDepth(lod, chunkSize);
+  minHeight -= skirtDepth;
+  let skirtVertex = gridVertexCount;
+  for (const edge of edges) {
+    for (const source of edge) {
+      const from = source * stride;
+      const to = skirtVertex * stride;
+      vertices.copyWithin(to, from, from + stride);
+      vertices[to + 1] -= skirtDepth;
+      vertices[to + 8] -= skirtDepth;
+      skirtVertex += 1;
+    }
+  }
+
+  const indices = new Uint16Array(lod * lod * 6 + edges.length * lod * 12);
+  let indexCursor = 0;
+
+  for (let z = 0; z < lod; z += 1) {
+    for (let x = 0; x < lod; x += 1) {
+      const row = z * (lod + 1);
+      const i0 = row + x;
+      const i1 = i0 + 1;
+      const i2 = i0 + (lod + 1);
+      const i3 = i2 + 1;
+
+      indices[indexCursor + 0] = i0;
+      indices[indexCursor + 1] = i2;
+      indices[indexCursor + 2] = i1;
+      indices[indexCursor + 3] = i1;
+      indices[indexCursor + 4] = i2;
+      indices[indexCursor + 5] = i3;
+
+      indexCursor += 6;
+    }
+  }
+
+  // Skirt quads are emitted with both windings so they close the gap from
+  // whichever side of the seam the camera is looking.
+  for (let edgeIndex = 0; edgeIndex < edges.length; edgeIndex += 1) {
+    const edge = edges[edgeIndex];
+    const skirtBase = gridVertexCount + edgeIndex * (lod + 1);
+
+    for (let i = 0; i < lod; i += 1) {
+      const a = edge[i];
+      const b = edge[i + 1];
+      const sa = skirtBase + i;
+      const sb = sa + 1;
+
+      indices[indexCursor + 0] = a;
+      indices[indexCursor + 1] = sa;
+      indices[indexCursor + 2] = b;
+      indices[indexCursor + 3] = b;
+      indices[indexCursor + 4] = sa;
+      indices[indexCursor + 5] = sb;
+
+      indices[indexCursor + 6] = a;
+      indices[indexCursor + 7] = b;
+      indices[indexCursor + 8] = sa;
+      indices[indexCursor + 9] = b;
+      indices[indexCursor + 10] = sb;
+      indices[indexCursor + 11] = sa;
+
+      indexCursor += 12;
+    }
+  }
+
+  // A lake's level is set by a spill point that may lie outside this chunk.
+  const { waterVertices, waterIndices } = buildWaterMesh(field, vertices, lod);
+  for (let i = 1; i < waterVertices.length; i += 3) {
+    maxHeight = Math.max(maxHeight, waterVertices[i]);
+  }
+
+  const scatter = withScatter
+    ? buildScatterCandidates(field, chunkX, chunkZ, chunkSize)
+    : { data: new Float32Array(0), counts: scatterLayers.map(() => 0) };
+
+  // Candidates stand on the surface the chunk draws, at its LOD and at the
+  // coarser one it morphs to, rather than on the exact field.
+  const surface = new Float32Array(gridVertexCount);
+  for (let i = 0; i < gridVertexCount; i += 1) {
+    surface[i] = vertices[i * stride + 1];
+  }
+  for (let from = 0; from < scatter.data.length; from += SCATTER_CANDIDATE_STRIDE) {
+    const localX = scatter.data[from] - baseX;
+    const localZ = scatter.data[from + 2] - baseZ;
+    scatter.data[from + 1] = sampleGridSurface(surface, lod, localX / step, localZ / step);
+    scatter.data[from + 12] = coarseHeights
+      ? sampleGridSurface(coarseHeights, morphLod, localX / coarseStep, localZ / coarseStep)
+      : scatter.data[from + 1];
+  }
+
+  return { vertices, indices, waterVertices, waterIndices, scatter, minHeight, maxHeight };
+}
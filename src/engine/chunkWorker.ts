@@ -0,0 +1,45 @@
+import { buildChunkMesh } from "./chunkMesh";
+import type { ChunkWorkerRequest, ChunkWorkerResponse } from "./chunkWorkerPool";
+import { TerrainField, terrainFieldKey } from "./terrainField";
+
+let field: TerrainField | null = null;
+
+self.addEventListener("message", (event: MessageEvent<ChunkWorkerRequest>) => {
+  const request = event.data;
+
+  if (!field || field.key !== terrainFieldKey(request.seed, request.shape)) {
+    field = new TerrainField(request.seed, request.shape);
+  }
+
+  const startedAt = performance.now();
+  const mesh = buildChunkMesh(
+    field,
+    request.chunkX,
+    request.chunkZ,
+    request.lod,
+    request.morphLod,
+    request.chunkSize,
+    request.scatter
+  );
+  const response: ChunkWorkerResponse = {
+    id: request.id,
+    vertices: mesh.vertices,
+    indices: mesh.indices,
+    waterVertices: mesh.waterVertices,
+    waterIndices: mesh.waterIndices,
+    scatter: mesh.scatter,
+    minHeight: mesh.minHeight,
+    maxHeight: mesh.maxHeight,
+    buildMs: performance.now() - startedAt
+  };
+
+  self.postMessage(response, {
+    transfer: [
+      mesh.vertices.buffer,
+      mesh.indices.buffer,
+      mesh.waterVertices.buffer,
+      mesh.waterIndices.buffer,
+      mesh.scatter.data.buffer
+    ]
+  });
+});
@@ -0,0 +1,218 @@
+import type { ScatterCandidates } from "./scatter";
+import type { TerrainShape } from "./terrainField";
+
+export interface ChunkBuildJob {
+  key: string;
+  chunkX: number;
+  chunkZ: number;
+  lod: number;
+  morphLod: number;
+  chunkSize: number;
+  seed: string;
+  shape: TerrainShape;
+  // Whether the chunk builds scatter candidates.
+  scatter: boolean;
+}
+
+export interface ChunkBuildResult {
+  job: ChunkBuildJob;
+  vertices: Float32Array;
+  indices: Uint16Array;
+  waterVertices: Float32Array;
+  waterIndices: Uint16Array;
+  scatter: ScatterCandidates;
+  minHeight: number;
+  maxHeight: number;
+  buildMs: number;
+}
+
+export interface ChunkWorkerRequest {
+  id: number;
+  seed: string;
+  shape: TerrainShape;
+  chunkX: number;
+  chunkZ: number;
+  lod: number;
+  morphLod: number;
+  chunkSize: number;
+  scatter: boolean;
+}
+
+export interface ChunkWorkerResponse {
+  id: number;
+  vertices: Float32Array;
+  indices: Uint16Array;
+  waterVertices: Float32Array;
+  waterIndices: Uint16Array;
+  scatter: ScatterCandidates;
+  minHeight: number;
+  maxHeight: number;
+  buildMs: number;
+}
+
+interface ActiveJob {
+  id: number;
+  job: ChunkBuildJob;
+  cancelled: boolean;
+}
+
+interface PoolWorker {
+  worker: Worker;
+  active: ActiveJob | null;
+}
+
+export function defaultWorkerCount(): number {
+  if (typeof Worker === "undefined") {
+    return 0;
+  }
+  const cores = typeof navigator !== "undefined" ? navigator.hardwareConcurrency || 2 : 2;
+  return Math.max(1, Math.min(4, cores - 1));
+}
+
+export class ChunkWorkerPool {
+  private readonly workers: PoolWorker[] = [];
+
+  private readonly onResult: (result: ChunkBuildResult) => void;
+
+  private readonly onError: (job: ChunkBuildJob) => void;
+
+  private nextJobId = 1;
+
+  private disposed = false;
+
+  constructor(
+    size: number,
+    onResult: (result: ChunkBuildResult) => void,
+    onError: (job: ChunkBuildJob) => void
+  ) {
+    this.onResult = onResult;
+    this.onError = onError;
+
+    for (let i = 0; i < size; i += 1) {
+      let worker: Worker;
+      try {
+        worker = new Worker(new URL("./chunkWorker.ts", import.meta.url), { type: "module" });
+      } catch {
+        break;
+      }
+
+      const entry: PoolWorker = { worker, active: null };
+      worker.addEventListener("message", (event: MessageEvent<ChunkWorkerResponse>) => {
+        this.handleMessage(entry, event.data);
+      });
+      worker.addEventListener("error", (event: ErrorEvent) => {
+        event.preventDefault();
+        this.handleError(entry);
+      });
+      this.workers.push(entry);
+    }
+  }
+
+  get size(): number {
+    return this.workers.length;
+  }
+
+  get busyCount(): number {
+    let busy = 0;
+    for (const entry of this.workers) {
+      if (entry.active) {
+        busy += 1;
+      }
+    }
+    return busy;
+  }
+
+  hasIdleWorker(): boolean {
+    return !this.disposed && this.workers.some((entry) => entry.active === null);
+  }
+
+  submit(job: ChunkBuildJob): boolean {
+    if (this.disposed) {
+      return false;
+    }
+
+    const entry = this.workers.find((candidate) => candidate.active === null);
+    if (!entry) {
+      return false;
+    }
+
+    const id = this.nextJobId;
+    this.nextJobId += 1;
+    entry.active = { id, job, cancelled: false };
+
+    const request: ChunkWorkerRequest = {
+      id,
+      seed: job.seed,
+      shape: job.shape,
+      chunkX: job.chunkX,
+      chunkZ: job.chunkZ,
+      lod: job.lod,
+      morphLod: job.morphLod,
+      chunkSize: job.chunkSize,
+      scatter: job.scatter
+    };
+    entry.worker.postMessage(request);
+    return true;
+  }
+
+  cancel(predicate: (job: ChunkBuildJob) => boolean): ChunkBuildJob[] {
+    const cancelled: ChunkBuildJob[] = [];
+
+    for (const entry of this.workers) {
+      if (entry.active && !entry.active.cancelled && predicate(entry.active.job)) {
+        entry.active.cancelled = true;
+        cancelled.push(entry.active.job);
+      }
+    }
+
+    return cancelled;
+  }
+
+  dispose(): void {
+    if (this.disposed) {
+      return;
+    }
+    this.disposed = true;
+
+    for (const entry of this.workers) {
+      entry.worker.terminate();
+      entry.active = null;
+    }
+    this.workers.length = 0;
+  }
+
+  private handleMessage(entry: PoolWorker, response: ChunkWorkerResponse): void {
+    const active = entry.active;
+    if (!active || active.id !== response.id) {
+      return;
+    }
+
+    entry.active = null;
+    if (this.disposed || active.cancelled) {
+      return;
+    }
+
+    this.onResult({
+      job: active.job,
+      vertices: response.vertices,
+      indices: response.indices,
+      waterVertices: response.waterVertices,
+      waterIndices: response.waterIndices,
+      scatter: response.scatter,
+      minHeight: response.minHeight,
+      maxHeight: response.maxHeight,
+      buildMs: response.buildMs
+    });
+  }
+
+  private handleError(entry: PoolWorker): void {
+    const active = entry.active;
+    entry.active = null;
+
+    if (!active || this.disposed || active.cancelled) {
+      return;
+    }
+
+    this.onError(active.job);
+  }
+}
@@ -0,0 +1,22 @@
+export interface CloudSettings {
+  // Rough fraction of the sky covered, 0 for a clear sky.
+  coverage: number;
+  // World height of the layer, independent of the elevation slider.
+  altitude: number;
+  // World units per second.
+  windSpeed: number;
+  // Degrees clockwise from +z, the direction the wind blows towards.
+  windDirection: number;
+}
+
+export const defaultClouds: CloudSettings = {
+  coverage: 0.4,
+  altitude: 240,
+  windSpeed: 8,
+  windDirection: 45
+};
+
+// Horizontal world distance covered by the cloud plane around the camera.
+export function cloudExtent(viewRange: number): number {
+  return Math.max(1800, viewRange * 4);
+}
@@ -0,0 +1,136 @@
+export type DetailLayer = "grass" | "leaves" | "rock" | "sand" | "snow" | "soil";
+
+// Layer order of the detail texture array.
+export const detailLayers: readonly DetailLayer[] = ["grass", "leaves", "rock", "sand", "snow", "soil"];
+
+export const DETAIL_TEXTURE_SIZE = 256;
+
+type Rgb = [number, number, number];
+
+function hash(x: number, y: number, seed: number): number {
+  let h = Math.imul(x, 374761393) ^ Math.imul(y, 668265263) ^ Math.imul(seed, 2246822519);
+  h = Math.imul(h ^ (h >>> 13), 1274126177);
+  h ^= h >>> 16;
+  return (h >>> 0) / 4294967296;
+}
+
+function fade(t: number): number {
+  return t * t * (3 - 2 * t);
+}
+
+function wrap(value: number, period: number): number {
+  return ((value % period) + period) % period;
+}
+
+// Value noise over a lattice that repeats every period cells, so a texture
+// sampled across [0, 1) tiles seamlessly.
+function tileNoise(u: number, v: number, periodX: number, periodY: number, seed: number): number {
+  const x = u * periodX;
+  const y = v * periodY;
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const fx = fade(x - x0);
+  const fy = fade(y - y0);
+  const ax = wrap(x0, periodX);
+  const ay = wrap(y0, periodY);
+  const bx = wrap(x0 + 1, periodX);
+  const by = wrap(y0 + 1, periodY);
+
+  const top = hash(ax, ay, seed) + (hash(bx, ay, seed) - hash(ax, ay, seed)) * fx;
+  const bottom = hash(ax, by, seed) + (hash(bx, by, seed) - hash(ax, by, seed)) * fx;
+  return top + (bottom - top) * fy;
+}
+
+function tileFbm(u: number, v: number, period: number, octaves: number, seed: number): number {
+  let value = 0;
+  let amplitude = 0.5;
+  let total = 0;
+  for (let octave = 0; octave < octaves; octave += 1) {
+    value += tileNoise(u, v, period, period, seed + octave) * amplitude;
+    total += amplitude;
+    period *= 2;
+    amplitude *= 0.5;
+  }
+  return value / total;
+}
+
+// Each pattern returns a colour multiplier around 1 for a texel at (u, v) in
+// [0, 1); (x, y) are its integer texel coordinates for per-texel grain.
+const patterns: Record<DetailLayer, (u: number, v: number, x: number, y: number) => Rgb> = {
+  grass: (u, v, x, y) => {
+    const clumps = tileFbm(u, v, 8, 4, 11);
+    const blades = tileNoise(u, v, 96, 12, 12);
+    const dry = tileFbm(u, v, 4, 3, 13);
+    const value = 0.7 + clumps * 0.35 + blades * 0.25 + hash(x, y, 14) * 0.08;
+    return [value * (0.9 + dry * 0.25), value, value * (0.95 - dry * 0.1)];
+  },
+  leaves: (u, v, x, y) => {
+    const litter = tileFbm(u, v, 12, 4, 21);
+    const shade = tileFbm(u, v, 5, 3, 22);
+    const spot = tileNoise(u, v, 40, 40, 23) > 0.78 ? 0.65 : 1;
+    const value = (0.65 + litter * 0.5 + hash(x, y, 24) * 0.06) * spot * (0.85 + shade * 0.3);
+    return [value * (0.95 + litter * 0.12), value, value * 0.95];
+  },
+  rock: (u, v, x, y) => {
+    const body = tileFbm(u, v, 4, 5, 31);
+    const ridge = 1 - Math.abs(tileFbm(u, v, 6, 3, 32) * 2 - 1);
+    const crack = ridge > 0.9 ? 0.55 : 1;
+    const strata = Math.sin((v * 6 + body * 0.8) * Math.PI * 2) * 0.06;
+    const value = (0.62 + body * 0.7 + strata + hash(x, y, 33) * 0.07) * crack;
+    return [value, value, value * (0.97 + body * 0.06)];
+  },
+  sand: (u, v, x, y) => {
+    const warp = tileFbm(u, v, 4, 3, 41);
+    const ripple = Math.sin((v * 10 + warp * 0.9) * Math.PI * 2) * 0.1;
+    const value = 0.9 + ripple + tileFbm(u, v, 16, 2, 42) * 0.12 + hash(x, y, 43) * 0.12;
+    return [value, value, value * 0.98];
+  },
+  snow: (u, v, x, y) => {
+    const drift = tileFbm(u, v, 4, 4, 51);
+    const sparkle = hash(x, y, 52) > 0.996 ? 0.3 : 0;
+    const value = 0.9 + drift * 0.14 + sparkle;
+    return [value * 0.99, value, value * 1.02];
+  },
+  soil: (u, v, x, y) => {
+    const clods = tileFbm(u, v, 10, 4, 61);
+    const pebble = tileNoise(u, v, 28, 28, 62) > 0.74 ? 1.25 : 1;
+    const value = (0.7 + clods * 0.5 + hash(x, y, 63) * 0.1) * pebble;
+    return [value, value * 0.98, value * 0.94];
+  }
+};
+
+// All layers, layer after layer, as RGBA8 texels for a texture array. Texels
+// encode a multiplier on the biome colour with 128 as 1; each channel is
+// normalised to average 1, so fading the detail out with distance changes no
+// colour on average and the CPU biome colours stay the mean of what is drawn.
+export function generateDetailTextures(size = DETAIL_TEXTURE_SIZE): Uint8Array {
+  const texels = size * size;
+  const data = new Uint8Array(texels * 4 * detailLayers.length);
+  const values = new Float32Array(texels * 3);
+
+  detailLayers.forEach((layer, layerIndex) => {
+    const pattern = patterns[layer];
+    const sums = [0, 0, 0];
+    for (let y = 0; y < size; y += 1) {
+      for (let x = 0; x < size; x += 1) {
+        const texel = (y * size + x) * 3;
+        const color = pattern(x / size, y / size, x, y);
+        for (let channel = 0; channel < 3; channel += 1) {
+          values[texel + channel] = color[channel];
+          sums[channel] += color[channel];
+        }
+      }
+    }
+
+    const offset = layerIndex * texels * 4;
+    for (let i = 0; i < texels; i += 1) {
+      for (let channel = 0; channel < 3; channel += 1) {
+        const value = (values[i * 3 + channel] / (sums[channel] / texels)) * 128;
+        data[offset + i * 4 + channel] = Math.min(255, Math.max(0, Math.round(value)));
+      }
+      data[offset + i * 4 + 3] = 255;
+    }
+  });
+
+  return data;
+}
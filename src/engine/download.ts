@@ -0,0 +1,22 @@
+export function downloadBlob(blob: Blob, filename: string): void {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.download = filename;
+  link.href = url;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function downloadBytes(bytes: Uint8Array, filename: string, mimeType: string): void {
+  downloadBlob(new Blob([new Uint8Array(bytes)], { type: mimeType }), filename);
+}
+
+export function downloadText(text: string, filename: string, mimeType = "text/plain"): void {
+  downloadBlob(new Blob([text], { type: mimeType }), filename);
+}
+
+// Seeds are free text; keep only what every file system accepts.
+export function safeFileName(part: string): string {
+  const safe = part.replace(/[^A-Za-z0-9._-]+/g, "-").replace(/^[-.]+|-+$/g, "");
+  return safe || "world";
+}
@@ -0,0 +1,246 @@
+import type { TerrainTileOptions } from "./terrainTiles";
+
+// Drainage works on whole catchments, so its tiles are far larger and coarser
+// than erosion's.
+//
+// Each tile traces its rivers on its own, with its border as an outlet, so
+// two tiles disagree about any river whose catchment crosses that border.
+// Blending them would leave faded or doubled channels across the overlap, so
+// rivers are read from the nearest tile and only cross-fade over a short seam;
+// a river can still start or shift sideways at that seam.
+export const drainageTileOptions: TerrainTileOptions = {
+  spacing: 1024,
+  cell: 8,
+  channels: 3,
+  maxCachedTiles: 16,
+  seamWidth: 48
+};
+
+// Output channels of computeDrainage.
+export const DRAINAGE_CARVE = 0;
+export const DRAINAGE_WATER_LEVEL = 1;
+export const DRAINAGE_WATER_COVERAGE = 2;
+
+// Upstream cells (64 m^2 each at the drainage cell size) before a flow path
+// becomes a visible river.
+const RIVER_MIN_ACCUMULATION = 64;
+const RIVER_MAX_DEPTH = 5;
+const RIVER_MAX_HALF_WIDTH = 22;
+// Water stands this far up a river's carved depth.
+const RIVER_FILL = 0.62;
+const LAKE_MIN_DEPTH = 1.5;
+const LAKE_SHORE_DEPTH = 0.2;
+// Slope added across filled flats so every cell keeps a downhill path.
+const FILL_EPSILON = 0.0005;
+
+// Binary min-heap of cell indices keyed by fill height; ties break on index
+// so the pop order, and with it the drainage tree, is deterministic.
+class CellQueue {
+  private readonly cells: number[] = [];
+
+  constructor(private readonly keys: Float64Array) {}
+
+  get size(): number {
+    return this.cells.length;
+  }
+
+  push(cell: number): void {
+    const cells = this.cells;
+    cells.push(cell);
+    let child = cells.length - 1;
+    while (child > 0) {
+      const parent = (child - 1) >> 1;
+      if (!this.less(cells[child], cells[parent])) {
+        break;
+      }
+      [cells[child], cells[parent]] = [cells[parent], cells[child]];
+      child = parent;
+    }
+  }
+
+  pop(): number {
+    const cells = this.cells;
+    const top = cells[0];
+    const last = cells.pop() as number;
+    if (cells.length > 0) {
+      cells[0] = last;
+      let parent = 0;
+      for (;;) {
+        const left = parent * 2 + 1;
+        const right = left + 1;
+        let smallest = parent;
+        if (left < cells.length && this.less(cells[left], cells[smallest])) {
+          smallest = left;
+        }
+        if (right < cells.length && this.less(cells[right], cells[smallest])) {
+          smallest = right;
+        }
+        if (smallest === parent) {
+          break;
+        }
+        [cells[parent], cells[smallest]] = [cells[smallest], cells[parent]];
+        parent = smallest;
+      }
+    }
+    return top;
+  }
+
+  private less(a: number, b: number): boolean {
+    const keyA = this.keys[a];
+    const keyB = this.keys[b];
+    return keyA < keyB || (keyA === keyB && a < b);
+  }
+}
+
+function smoothstep(edge0: number, edge1: number, value: number): number {
+  const t = Math.min(1, Math.max(0, (value - edge0) / (edge1 - edge0)));
+  return t * t * (3 - 2 * t);
+}
+
+// Priority-flood depression filling from the region border and the sea, which
+// yields lake levels and a drainage tree in one pass; flow is then
+// accumulated down that tree and large flows carve river channels.
+//
+// Returns, per sample: the carve depth to add to the terrain (<= 0), the
+// water level premultiplied by coverage, and the water coverage (0..1).
+export function computeDrainage(
+  heights: Float32Array,
+  size: number,
+  cellSize: number,
+  seaLevel: number
+): Float32Array[] {
+  const count = size * size;
+  const filled = new Float64Array(count);
+  const receiver = new Int32Array(count).fill(-1);
+  const visited = new Uint8Array(count);
+  const order = new Int32Array(count);
+  const queue = new CellQueue(filled);
+
+  for (let i = 0; i < count; i += 1) {
+    const x = i % size;
+    const z = (i - x) / size;
+    const border = x === 0 || z === 0 || x === size - 1 || z === size - 1;
+    if (border || heights[i] < seaLevel) {
+      filled[i] = heights[i];
+      visited[i] = 1;
+      queue.push(i);
+    }
+  }
+
+  let popped = 0;
+  while (queue.size > 0) {
+    const cell = queue.pop();
+    order[popped] = cell;
+    popped += 1;
+
+    const x = cell % size;
+    const z = (cell - x) / size;
+    for (let dz = -1; dz <= 1; dz += 1) {
+      for (let dx = -1; dx <= 1; dx += 1) {
+        const nx = x + dx;
+        const nz = z + dz;
+        if ((dx === 0 && dz === 0) || nx < 0 || nz < 0 || nx >= size || nz >= size) {
+          continue;
+        }
+        const neighbour = nz * size + nx;
+        if (visited[neighbour]) {
+          continue;
+        }
+        visited[neighbour] = 1;
+        filled[neighbour] = Math.max(heights[neighbour], filled[cell] + FILL_EPSILON);
+        queue.push(neighbour);
+      }
+    }
+  }
+
+  // Each cell drains to its steepest neighbour on the filled surface. The
+  // flood's own visiting links would also reach the outlet, but they fan out
+  // so widely that flow never gathers into channels.
+  for (let i = 0; i < count; i += 1) {
+    const x = i % size;
+    const z = (i - x) / size;
+    if (x === 0 || z === 0 || x === size - 1 || z === size - 1 || heights[i] < seaLevel) {
+      continue;
+    }
+    let steepest = 0;
+    for (let dz = -1; dz <= 1; dz += 1) {
+      for (let dx = -1; dx <= 1; dx += 1) {
+        const neighbour = (z + dz) * size + x + dx;
+        const drop = (filled[i] - filled[neighbour]) / Math.sqrt(dx * dx + dz * dz);
+        if (drop > steepest) {
+          steepest = drop;
+          receiver[i] = neighbour;
+        }
+      }
+    }
+  }
+
+  // Cells pop in order of fill height and every receiver sits lower, so
+  // walking the pop order backwards visits each cell after all of its
+  // upstream cells.
+  const accumulation = new Float32Array(count).fill(1);
+  for (let i = count - 1; i >= 0; i -= 1) {
+    const cell = order[i];
+    if (receiver[cell] >= 0) {
+      accumulation[receiver[cell]] += accumulation[cell];
+    }
+  }
+
+  const carve = new Float32Array(count);
+  const level = new Float32Array(count);
+  const coverage = new Float32Array(count);
+
+  // Filled depressions hold lakes; coverage fades out over the shallows so
+  // the surface meets the shore instead of ending in a step.
+  for (let i = 0; i < count; i += 1) {
+    const depth = filled[i] - heights[i];
+    if (heights[i] >= seaLevel && depth > LAKE_SHORE_DEPTH) {
+      level[i] = filled[i];
+      coverage[i] = smoothstep(LAKE_SHORE_DEPTH, LAKE_MIN_DEPTH, depth);
+    }
+  }
+
+  for (let i = 0; i < count; i += 1) {
+    const flow = accumulation[i] / RIVER_MIN_ACCUMULATION;
+    if (flow < 1 || heights[i] < seaLevel || coverage[i] >= 1) {
+      continue;
+    }
+
+    const depth = Math.min(RIVER_MAX_DEPTH, 1.2 + Math.log2(flow) * 0.8);
+    const halfWidth = Math.min(RIVER_MAX_HALF_WIDTH, 2.5 + Math.sqrt(flow) * 2.2);
+    const surface = filled[i] - depth * (1 - RIVER_FILL);
+    const reach = Math.ceil((halfWidth + cellSize) / cellSize);
+
+    const x = i % size;
+    const z = (i - x) / size;
+    for (let dz = -reach; dz <= reach; dz += 1) {
+      for (let dx = -reach; dx <= reach; dx += 1) {
+        const nx = x + dx;
+        const nz = z + dz;
+        if (nx < 0 || nz < 0 || nx >= size || nz >= size) {
+          continue;
+        }
+        const neighbour = nz * size + nx;
+        const distance = Math.sqrt(dx * dx + dz * dz) * cellSize;
+        const profile = smoothstep(halfWidth + cellSize, halfWidth * 0.4, distance);
+        if (profile <= 0) {
+          continue;
+        }
+
+        // Overlapping reaches keep the deepest cut, not the sum.
+        carve[neighbour] = Math.min(carve[neighbour], -depth * profile);
+        const wet = smoothstep(halfWidth + cellSize * 0.5, halfWidth * 0.6, distance);
+        if (wet > coverage[neighbour]) {
+          level[neighbour] = surface;
+          coverage[neighbour] = wet;
+        }
+      }
+    }
+  }
+
+  for (let i = 0; i < count; i += 1) {
+    level[i] *= coverage[i];
+  }
+
+  return [carve, level, coverage];
+}
@@ -0,0 +1,60 @@
+import {
+  encodeHeightmap,
+  heightmapFileTypes,
+  heightmapMetadata,
+  sampleHeightmap,
+  type HeightmapFormat,
+  type HeightmapMetadata,
+  type HeightmapRequest
+} from "./heightmapExport";
+import {
+  buildTerrainMesh,
+  encodeGlb,
+  encodeGltf,
+  encodeObj,
+  meshFileTypes,
+  type MeshFormat,
+  type TerrainMeshRequest
+} from "./meshExport";
+
+export type ExportJob =
+  | { kind: "heightmap"; request: HeightmapRequest; format: HeightmapFormat }
+  | { kind: "mesh"; request: TerrainMeshRequest; format: MeshFormat };
+
+export interface ExportResult {
+  bytes: Uint8Array;
+  extension: string;
+  mimeType: string;
+  // Bounds and scale of an exported heightmap, for its JSON sidecar.
+  metadata?: HeightmapMetadata;
+}
+
+export type ExportWorkerMessage =
+  | { type: "progress"; fraction: number }
+  | { type: "done"; result: ExportResult }
+  | { type: "error"; message: string };
+
+// Samples and encodes one export. Runs inside exportWorker, or inline where
+// workers are unavailable.
+export function runExportJob(job: ExportJob, onProgress?: (fraction: number) => void): ExportResult {
+  if (job.kind === "mesh") {
+    const mesh = buildTerrainMesh(job.request, undefined, onProgress);
+    const fileType = meshFileTypes[job.format];
+    let bytes: Uint8Array;
+    if (job.format === "glb") {
+      bytes = encodeGlb(mesh);
+    } else {
+      bytes = new TextEncoder().encode(job.format === "gltf" ? encodeGltf(mesh) : encodeObj(mesh));
+    }
+    return { bytes, extension: fileType.extension, mimeType: fileType.mimeType };
+  }
+
+  const heightmap = sampleHeightmap(job.request, undefined, onProgress);
+  const fileType = heightmapFileTypes[job.format];
+  return {
+    bytes: encodeHeightmap(heightmap, job.format),
+    extension: fileType.extension,
+    mimeType: fileType.mimeType,
+    metadata: heightmapMetadata(heightmap, job.format)
+  };
+}
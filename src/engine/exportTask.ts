@@ -0,0 +1,68 @@
+import { runExportJob, type ExportJob, type ExportResult, type ExportWorkerMessage } from "./exportJobs";
+
+export interface ExportTask {
+  promise: Promise<ExportResult>;
+  // Stops the export; the promise rejects.
+  cancel: () => void;
+}
+
+// Runs an export off the main thread so large regions don't freeze the page.
+export function startExport(job: ExportJob, onProgress: (fraction: number) => void): ExportTask {
+  if (typeof Worker === "undefined") {
+    let cancelled = false;
+    const promise = new Promise<ExportResult>((resolve, reject) => {
+      setTimeout(() => {
+        if (cancelled) {
+          reject(new Error("Export cancelled."));
+          return;
+        }
+        try {
+          resolve(runExportJob(job, onProgress));
+        } catch (error) {
+          reject(error);
+        }
+      }, 0);
+    });
+    return {
+      promise,
+      cancel: () => {
+        cancelled = true;
+      }
+    };
+  }
+
+  const worker = new Worker(new URL("./exportWorker.ts", import.meta.url), { type: "module" });
+  let rejectTask: (error: Error) => void = () => undefined;
+
+  const promise = new Promise<ExportResult>((resolve, reject) => {
+    rejectTask = reject;
+    worker.addEventListener("message", (event: MessageEvent<ExportWorkerMessage>) => {
+      const message = event.data;
+      if (message.type === "progress") {
+        onProgress(message.fraction);
+        return;
+      }
+      worker.terminate();
+      if (message.type === "done") {
+        resolve(message.result);
+      } else {
+        reject(new Error(message.message));
+      }
+    });
+    worker.addEventListener("error", (event: ErrorEvent) => {
+      event.preventDefault();
+      worker.terminate();
+      reject(new Error(event.message || "The export worker failed."));
+    });
+  });
+
+  worker.postMessage(job);
+
+  return {
+    promise,
+    cancel: () => {
+      worker.terminate();
+      rejectTask(new Error("Export cancelled."));
+    }
+  };
+}
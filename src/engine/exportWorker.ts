@@ -0,0 +1,21 @@
+import { runExportJob, type ExportJob, type ExportWorkerMessage } from "./exportJobs";
+
+// Each export gets its own worker, which the page terminates to cancel it.
+self.addEventListener("message", (event: MessageEvent<ExportJob>) => {
+  let reported = 0;
+  const post = (message: ExportWorkerMessage, transfer: Transferable[] = []): void => {
+    self.postMessage(message, { transfer });
+  };
+
+  try {
+    const result = runExportJob(event.data, (fraction) => {
+      if (fraction - reported >= 0.01 || fraction === 1) {
+        reported = fraction;
+        post({ type: "progress", fraction });
+      }
+    });
+    post({ type: "done", result }, [result.bytes.buffer]);
+  } catch (error) {
+    post({ type: "error", message: error instanceof Error ? error.message : String(error) });
+  }
+});
@@ -0,0 +1,61 @@
+import type { Matrix4 } from "three";
+
+export class Frustum {
+  // Six planes (left, right, bottom, top, near, far) stored as a, b, c, d.
+  private readonly planes = new Float32Array(24);
+
+  setFromMatrix(matrix: Matrix4): this {
+    const m = matrix.elements;
+    const planes = this.planes;
+
+    for (let i = 0; i < 3; i += 1) {
+      const base = i * 8;
+      for (let column = 0; column < 4; column += 1) {
+        const rowW = m[column * 4 + 3];
+        const rowI = m[column * 4 + i];
+        planes[base + column] = rowW + rowI;
+        planes[base + 4 + column] = rowW - rowI;
+      }
+    }
+
+    for (let plane = 0; plane < 6; plane += 1) {
+      const offset = plane * 4;
+      const length = Math.hypot(planes[offset], planes[offset + 1], planes[offset + 2]) || 1;
+      planes[offset] /= length;
+      planes[offset + 1] /= length;
+      planes[offset + 2] /= length;
+      planes[offset + 3] /= length;
+    }
+
+    return this;
+  }
+
+  intersectsBox(
+    minX: number,
+    minY: number,
+    minZ: number,
+    maxX: number,
+    maxY: number,
+    maxZ: number
+  ): boolean {
+    const planes = this.planes;
+
+    for (let plane = 0; plane < 6; plane += 1) {
+      const offset = plane * 4;
+      const a = planes[offset];
+      const b = planes[offset + 1];
+      const c = planes[offset + 2];
+      const d = planes[offset + 3];
+
+      const x = a >= 0 ? maxX : minX;
+      const y = b >= 0 ? maxY : minY;
+      const z = c >= 0 ? maxZ : minZ;
+
+      if (a * x + b * y + c * z + d < 0) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+}
@@ -0,0 +1,279 @@
+import { TerrainField, terrainFieldKey, type TerrainShape } from "./terrainField";
+
+export type HeightmapFormat = "png16" | "raw16" | "float32";
+
+export interface HeightmapRegion {
+  minX: number;
+  minZ: number;
+  maxX: number;
+  maxZ: number;
+}
+
+export interface HeightmapRequest {
+  seed: string;
+  // Erosion and rivers the heights were shaped with.
+  shape: TerrainShape;
+  region: HeightmapRegion;
+  width: number;
+  height: number;
+  elevation: number;
+}
+
+export interface Heightmap extends HeightmapRequest {
+  // Row-major, first row at region.minZ, first column at region.minX.
+  heights: Float32Array;
+  minHeight: number;
+  maxHeight: number;
+}
+
+export interface HeightmapMetadata {
+  generator: "terra-gen";
+  format: HeightmapFormat;
+  seed: string;
+  shape: TerrainShape;
+  bounds: HeightmapRegion;
+  width: number;
+  height: number;
+  elevation: number;
+  minHeight: number;
+  maxHeight: number;
+  rowOrder: "minZ-first";
+  byteOrder: "little-endian" | "big-endian";
+}
+
+export const MAX_HEIGHTMAP_RESOLUTION = 4097;
+
+// onProgress hears the fraction of rows sampled after each row.
+export function sampleHeightmap(
+  request: HeightmapRequest,
+  field?: TerrainField,
+  onProgress?: (fraction: number) => void
+): Heightmap {
+  const width = Math.round(request.width);
+  const height = Math.round(request.height);
+  if (width < 2 || height < 2 || width > MAX_HEIGHTMAP_RESOLUTION || height > MAX_HEIGHTMAP_RESOLUTION) {
+    throw new Error(`Heightmap resolution must be between 2 and ${MAX_HEIGHTMAP_RESOLUTION} samples per side.`);
+  }
+
+  const { region } = request;
+  if (!(region.maxX > region.minX) || !(region.maxZ > region.minZ)) {
+    throw new Error("Heightmap region must have a positive size.");
+  }
+
+  const source = field ?? new TerrainField(request.seed, request.shape);
+  if (source.key !== terrainFieldKey(request.seed, request.shape)) {
+    throw new Error("Heightmap terrain field does not match the requested seed and shape.");
+  }
+  const heights = new Float32Array(width * height);
+  const stepX = (region.maxX - region.minX) / (width - 1);
+  const stepZ = (region.maxZ - region.minZ) / (height - 1);
+
+  let minHeight = Number.POSITIVE_INFINITY;
+  let maxHeight = Number.NEGATIVE_INFINITY;
+  let cursor = 0;
+
+  for (let row = 0; row < height; row += 1) {
+    const worldZ = region.minZ + row * stepZ;
+    for (let column = 0; column < width; column += 1) {
+      const worldX = region.minX + column * stepX;
+      const value = source.sampleHeight(worldX, worldZ) * request.elevation;
+      heights[cursor] = value;
+      minHeight = Math.min(minHeight, value);
+      maxHeight = Math.max(maxHeight, value);
+      cursor += 1;
+    }
+    onProgress?.((row + 1) / height);
+  }
+
+  return {
+    ...request,
+    region: { ...region },
+    width,
+    height,
+    heights,
+    minHeight,
+    maxHeight
+  };
+}
+
+function quantize16(map: Heightmap): Uint16Array {
+  const range = map.maxHeight - map.minHeight;
+  const scale = range > 0 ? 65535 / range : 0;
+  const values = new Uint16Array(map.heights.length);
+
+  for (let i = 0; i < map.heights.length; i += 1) {
+    values[i] = Math.round((map.heights[i] - map.minHeight) * scale);
+  }
+
+  return values;
+}
+
+// Headerless 16-bit little-endian samples, the layout Unity's "Import Raw"
+// (Windows byte order) and Unreal's .r16 landscape import expect.
+export function encodeHeightmapRaw16(map: Heightmap): Uint8Array {
+  const values = quantize16(map);
+  const bytes = new Uint8Array(values.length * 2);
+  const view = new DataView(bytes.buffer);
+
+  for (let i = 0; i < values.length; i += 1) {
+    view.setUint16(i * 2, values[i], true);
+  }
+
+  return bytes;
+}
+
+export function encodeHeightmapFloat32(map: Heightmap): Uint8Array {
+  const bytes = new Uint8Array(map.heights.length * 4);
+  const view = new DataView(bytes.buffer);
+
+  for (let i = 0; i < map.heights.length; i += 1) {
+    view.setFloat32(i * 4, map.heights[i], true);
+  }
+
+  return bytes;
+}
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes: Uint8Array, start: number, end: number): number {
+  let crc = 0xffffffff;
+  for (let i = start; i < end; i += 1) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function adler32(bytes: Uint8Array): number {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < bytes.length; i += 1) {
+    a = (a + bytes[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+// zlib stream made of uncompressed deflate blocks: larger than a real
+// deflater's output but synchronous and dependency-free.
+function zlibStore(data: Uint8Array): Uint8Array {
+  const maxBlock = 65535;
+  const blockCount = Math.max(1, Math.ceil(data.length / maxBlock));
+  const output = new Uint8Array(2 + blockCount * 5 + data.length + 4);
+  const view = new DataView(output.buffer);
+
+  output[0] = 0x78;
+  output[1] = 0x01;
+
+  let cursor = 2;
+  for (let block = 0; block < blockCount; block += 1) {
+    const start = block * maxBlock;
+    const length = Math.min(maxBlock, data.length - start);
+    output[cursor] = block === blockCount - 1 ? 1 : 0;
+    view.setUint16(cursor + 1, length, true);
+    view.setUint16(cursor + 3, ~length & 0xffff, true);
+    output.set(data.subarray(start, start + length), cursor + 5);
+    cursor += 5 + length;
+  }
+
+  view.setUint32(cursor, adler32(data));
+  return output;
+}
+
+function pngChunk(type: string, data: Uint8Array): Uint8Array {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i += 1) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk, 4, 8 + data.length));
+
+  return chunk;
+}
+
+export function encodeHeightmapPng16(map: Heightmap): Uint8Array {
+  const values = quantize16(map);
+  const rowBytes = 1 + map.width * 2;
+  const scanlines = new Uint8Array(rowBytes * map.height);
+  const scanView = new DataView(scanlines.buffer);
+
+  for (let row = 0; row < map.height; row += 1) {
+    const rowStart = row * rowBytes;
+    scanlines[rowStart] = 0;
+    for (let column = 0; column < map.width; column += 1) {
+      scanView.setUint16(rowStart + 1 + column * 2, values[row * map.width + column]);
+    }
+  }
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, map.width);
+  headerView.setUint32(4, map.height);
+  header[8] = 16;
+  header[9] = 0;
+  header[10] = 0;
+  header[11] = 0;
+  header[12] = 0;
+
+  const parts = [
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlibStore(scanlines)),
+    pngChunk("IEND", new Uint8Array(0))
+  ];
+
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const png = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    png.set(part, offset);
+    offset += part.length;
+  }
+
+  return png;
+}
+
+export function heightmapMetadata(map: Heightmap, format: HeightmapFormat): HeightmapMetadata {
+  return {
+    generator: "terra-gen",
+    format,
+    seed: map.seed,
+    shape: map.shape,
+    bounds: { ...map.region },
+    width: map.width,
+    height: map.height,
+    elevation: map.elevation,
+    minHeight: map.minHeight,
+    maxHeight: map.maxHeight,
+    rowOrder: "minZ-first",
+    byteOrder: format === "png16" ? "big-endian" : "little-endian"
+  };
+}
+
+export function encodeHeightmap(map: Heightmap, format: HeightmapFormat): Uint8Array {
+  if (format === "png16") {
+    return encodeHeightmapPng16(map);
+  }
+  if (format === "raw16") {
+    return encodeHeightmapRaw16(map);
+  }
+  return encodeHeightmapFloat32(map);
+}
+
+export const heightmapFileTypes: Record<HeightmapFormat, { extension: string; mimeType: string }> = {
+  png16: { extension: "png", mimeType: "image/png" },
+  raw16: { extension: "raw", mimeType: "application/octet-stream" },
+  float32: { extension: "f32", mimeType: "application/octet-stream" }
+};
@@ -0,0 +1,164 @@
+export interface HydraulicErosionSettings {
+  // Droplets simulated per grid cell of the eroded region.
+  dropletDensity: number;
+  // Fraction of spare carrying capacity picked up from the bed each step.
+  erosionRate: number;
+  // Fraction of excess sediment dropped each step.
+  depositionRate: number;
+  // Fraction of a droplet's water lost each step.
+  evaporationRate: number;
+}
+
+export const defaultHydraulicErosion: HydraulicErosionSettings = {
+  dropletDensity: 0.6,
+  erosionRate: 0.3,
+  depositionRate: 0.3,
+  evaporationRate: 0.02
+};
+
+const INERTIA = 0.05;
+const CAPACITY_FACTOR = 4;
+const MIN_CAPACITY = 0.01;
+const GRAVITY = 4;
+const MAX_LIFETIME = 40;
+const BRUSH_RADIUS = 2;
+
+interface Brush {
+  offsets: Int32Array;
+  weights: Float32Array;
+}
+
+function createBrush(size: number): Brush {
+  const offsets: number[] = [];
+  const weights: number[] = [];
+  let total = 0;
+
+  for (let dz = -BRUSH_RADIUS; dz <= BRUSH_RADIUS; dz += 1) {
+    for (let dx = -BRUSH_RADIUS; dx <= BRUSH_RADIUS; dx += 1) {
+      const distance = Math.sqrt(dx * dx + dz * dz);
+      if (distance > BRUSH_RADIUS) {
+        continue;
+      }
+      const weight = 1 - distance / BRUSH_RADIUS;
+      offsets.push(dz * size + dx);
+      weights.push(weight);
+      total += weight;
+    }
+  }
+
+  return {
+    offsets: Int32Array.from(offsets),
+    weights: Float32Array.from(weights, (weight) => weight / total)
+  };
+}
+
+// Height and downhill gradient at a fractional grid position, interpolated
+// from the four surrounding samples.
+function sampleSurface(
+  heights: Float32Array,
+  size: number,
+  x: number,
+  z: number,
+  out: Float32Array
+): void {
+  const cellX = Math.floor(x);
+  const cellZ = Math.floor(z);
+  const fx = x - cellX;
+  const fz = z - cellZ;
+  const index = cellZ * size + cellX;
+
+  const h00 = heights[index];
+  const h10 = heights[index + 1];
+  const h01 = heights[index + size];
+  const h11 = heights[index + size + 1];
+
+  out[0] = h00 * (1 - fx) * (1 - fz) + h10 * fx * (1 - fz) + h01 * (1 - fx) * fz + h11 * fx * fz;
+  out[1] = (h10 - h00) * (1 - fz) + (h11 - h01) * fz;
+  out[2] = (h01 - h00) * (1 - fx) + (h11 - h10) * fx;
+}
+
+// Droplet simulation over a square heightfield (size x size samples, heights in
+// world units). Deterministic for a given input and random sequence.
+export function erodeHydraulic(
+  heights: Float32Array,
+  size: number,
+  settings: HydraulicErosionSettings,
+  random: () => number
+): void {
+  const brush = createBrush(size);
+  const surface = new Float32Array(3);
+  const limit = size - 1;
+  const droplets = Math.round((size - 1) * (size - 1) * settings.dropletDensity);
+
+  for (let droplet = 0; droplet < droplets; droplet += 1) {
+    let x = random() * limit;
+    let z = random() * limit;
+    let dirX = 0;
+    let dirZ = 0;
+    let speed = 1;
+    let water = 1;
+    let sediment = 0;
+
+    for (let step = 0; step < MAX_LIFETIME; step += 1) {
+      const cellX = Math.floor(x);
+      const cellZ = Math.floor(z);
+      const fx = x - cellX;
+      const fz = z - cellZ;
+      const cellIndex = cellZ * size + cellX;
+
+      sampleSurface(heights, size, x, z, surface);
+      const height = surface[0];
+
+      dirX = dirX * INERTIA - surface[1] * (1 - INERTIA);
+      dirZ = dirZ * INERTIA - surface[2] * (1 - INERTIA);
+      const length = Math.sqrt(dirX * dirX + dirZ * dirZ);
+      if (length < 1e-6) {
+        break;
+      }
+      dirX /= length;
+      dirZ /= length;
+      x += dirX;
+      z += dirZ;
+
+      if (x < 0 || z < 0 || x >= limit || z >= limit) {
+        break;
+      }
+
+      sampleSurface(heights, size, x, z, surface);
+      const deltaHeight = surface[0] - height;
+      const capacity = Math.max(-deltaHeight * speed * water * CAPACITY_FACTOR, MIN_CAPACITY);
+
+      if (sediment > capacity || deltaHeight > 0) {
+        // Uphill, fill the pit the droplet just left; otherwise shed the excess.
+        const deposit =
+          deltaHeight > 0
+            ? Math.min(deltaHeight, sediment)
+            : (sediment - capacity) * settings.depositionRate;
+        sediment -= deposit;
+        heights[cellIndex] += deposit * (1 - fx) * (1 - fz);
+        heights[cellIndex + 1] += deposit * fx * (1 - fz);
+        heights[cellIndex + size] += deposit * (1 - fx) * fz;
+        heights[cellIndex + size + 1] += deposit * fx * fz;
+      } else {
+        const erosion = Math.min((capacity - sediment) * settings.erosionRate, -deltaHeight);
+        const brushFits =
+          cellX >= BRUSH_RADIUS &&
+          cellZ >= BRUSH_RADIUS &&
+          cellX + BRUSH_RADIUS < size &&
+          cellZ + BRUSH_RADIUS < size;
+
+        if (brushFits) {
+          for (let i = 0; i < brush.offsets.length; i += 1) {
+            heights[cellIndex + brush.offsets[i]] -= erosion * brush.weights[i];
+          }
+        } else {
+          heights[cellIndex] -= erosion;
+        }
+        sediment += erosion;
+      }
+
+      speed = Math.sqrt(Math.max(0, speed * speed - deltaHeight * GRAVITY));
+      water *= 1 - settings.evaporationRate;
+    }
+  }
+}
@@ -0,0 +1,295 @@
+import { terrainAlbedo } from "./biomes";
+import type { HeightmapRegion } from "./heightmapExport";
+import { TerrainField, terrainFieldKey, type TerrainShape } from "./terrainField";
+
+export type MeshFormat = "glb" | "gltf" | "obj";
+
+export interface TerrainMeshRequest {
+  seed: string;
+  // Erosion and rivers to shape the surface with.
+  shape: TerrainShape;
+  region: HeightmapRegion;
+  spacing: number;
+  elevation: number;
+  humidity: number;
+  temperature: number;
+  waterLevel: number;
+}
+
+export interface TerrainMesh {
+  vertexCount: number;
+  positions: Float32Array;
+  normals: Float32Array;
+  colors: Float32Array;
+  indices: Uint32Array;
+  min: [number, number, number];
+  max: [number, number, number];
+}
+
+export const MAX_MESH_VERTICES = 4_000_000;
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(max, Math.max(min, value));
+}
+
+// The whole region is sampled as one grid, so chunks of any LOD come out as a
+// single welded surface with no duplicated seam vertices. onProgress hears
+// the fraction of rows sampled after each row.
+export function buildTerrainMesh(
+  request: TerrainMeshRequest,
+  field?: TerrainField,
+  onProgress?: (fraction: number) => void
+): TerrainMesh {
+  const { region } = request;
+  const spanX = region.maxX - region.minX;
+  const spanZ = region.maxZ - region.minZ;
+  if (!(spanX > 0) || !(spanZ > 0) || !(request.spacing > 0)) {
+    throw new Error("Mesh export needs a region with positive size and spacing.");
+  }
+
+  const columns = Math.max(1, Math.round(spanX / request.spacing));
+  const rows = Math.max(1, Math.round(spanZ / request.spacing));
+  const vertexCount = (columns + 1) * (rows + 1);
+  if (vertexCount > MAX_MESH_VERTICES) {
+    throw new Error(`Mesh export is limited to ${MAX_MESH_VERTICES} vertices; increase the spacing.`);
+  }
+
+  const source = field ?? new TerrainField(request.seed, request.shape);
+  if (source.key !== terrainFieldKey(request.seed, request.shape)) {
+    throw new Error("Mesh terrain field does not match the requested seed and shape.");
+  }
+  const stepX = spanX / columns;
+  const stepZ = spanZ / rows;
+  const normalStep = Math.min(stepX, stepZ) * 0.5;
+  const elevation = request.elevation;
+
+  const positions = new Float32Array(vertexCount * 3);
+  const normals = new Float32Array(vertexCount * 3);
+  const colors = new Float32Array(vertexCount * 3);
+  const min: [number, number, number] = [Infinity, Infinity, Infinity];
+  const max: [number, number, number] = [-Infinity, -Infinity, -Infinity];
+
+  let cursor = 0;
+  for (let z = 0; z <= rows; z += 1) {
+    for (let x = 0; x <= columns; x += 1) {
+      const worldX = region.minX + x * stepX;
+      const worldZ = region.minZ + z * stepZ;
+
+      const height = source.sampleHeight(worldX, worldZ);
+      const humidity = clamp(source.sampleHumidity(worldX, worldZ) * request.humidity, 0, 1);
+      const temperature = clamp(
+        source.sampleTemperature(worldX, worldZ, height) * request.temperature,
+        0,
+        1
+      );
+
+      const hL = source.sampleHeight(worldX - normalStep, worldZ);
+      const hR = source.sampleHeight(worldX + normalStep, worldZ);
+      const hD = source.sampleHeight(worldX, worldZ - normalStep);
+      const hU = source.sampleHeight(worldX, worldZ + normalStep);
+
+      // Same elevation scaling of position and normal as terrainVertexShader.
+      const nx = hL - hR;
+      const ny = (2 * normalStep) / Math.max(elevation, 0.001);
+      const nz = hD - hU;
+      const invLen = 1 / Math.sqrt(nx * nx + ny * ny + nz * nz);
+
+      const y = height * elevation;
+      const albedo = terrainAlbedo(y, humidity, temperature, ny * invLen, request.waterLevel);
+
+      positions[cursor + 0] = worldX;
+      positions[cursor + 1] = y;
+      positions[cursor + 2] = worldZ;
+      normals[cursor + 0] = nx * invLen;
+      normals[cursor + 1] = ny * invLen;
+      normals[cursor + 2] = nz * invLen;
+      colors[cursor + 0] = albedo[0];
+      colors[cursor + 1] = albedo[1];
+      colors[cursor + 2] = albedo[2];
+
+      for (let axis = 0; axis < 3; axis += 1) {
+        min[axis] = Math.min(min[axis], positions[cursor + axis]);
+        max[axis] = Math.max(max[axis], positions[cursor + axis]);
+      }
+
+      cursor += 3;
+    }
+    onProgress?.((z + 1) / (rows + 1));
+  }
+
+  const indices = new Uint32Array(columns * rows * 6);
+  let indexCursor = 0;
+  for (let z = 0; z < rows; z += 1) {
+    for (let x = 0; x < columns; x += 1) {
+      const i0 = z * (columns + 1) + x;
+      const i1 = i0 + 1;
+      const i2 = i0 + columns + 1;
+      const i3 = i2 + 1;
+
+      indices[indexCursor + 0] = i0;
+      indices[indexCursor + 1] = i2;
+      indices[indexCursor + 2] = i1;
+      indices[indexCursor + 3] = i1;
+      indices[indexCursor + 4] = i2;
+      indices[indexCursor + 5] = i3;
+      indexCursor += 6;
+    }
+  }
+
+  return { vertexCount, positions, normals, colors, indices, min, max };
+}
+
+function srgbToLinear(value: number): number {
+  return value <= 0.04045 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+}
+
+interface GltfPayload {
+  json: Record<string, unknown>;
+  binary: Uint8Array;
+}
+
+function buildGltfPayload(mesh: TerrainMesh): GltfPayload {
+  // glTF vertex colours are linear; the shader's biome colours are display
+  // (sRGB) values.
+  const linearColors = new Float32Array(mesh.colors.length);
+  for (let i = 0; i < mesh.colors.length; i += 1) {
+    linearColors[i] = srgbToLinear(mesh.colors[i]);
+  }
+
+  const views = [mesh.positions, mesh.normals, linearColors, mesh.indices];
+  const byteLength = views.reduce((sum, view) => sum + view.byteLength, 0);
+  const binary = new Uint8Array(byteLength);
+  const bufferViews: Array<Record<string, number>> = [];
+
+  let offset = 0;
+  views.forEach((view, index) => {
+    binary.set(new Uint8Array(view.buffer, view.byteOffset, view.byteLength), offset);
+    bufferViews.push({
+      buffer: 0,
+      byteOffset: offset,
+      byteLength: view.byteLength,
+      target: index === views.length - 1 ? 34963 : 34962
+    });
+    offset += view.byteLength;
+  });
+
+  const json = {
+    asset: { version: "2.0", generator: "TerraGen" },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0, name: "Terrain" }],
+    meshes: [
+      {
+        name: "Terrain",
+        primitives: [
+          {
+            attributes: { POSITION: 0, NORMAL: 1, COLOR_0: 2 },
+            indices: 3,
+            mode: 4
+          }
+        ]
+      }
+    ],
+    accessors: [
+      {
+        bufferView: 0,
+        componentType: 5126,
+        count: mesh.vertexCount,
+        type: "VEC3",
+        min: mesh.min,
+        max: mesh.max
+      },
+      { bufferView: 1, componentType: 5126, count: mesh.vertexCount, type: "VEC3" },
+      { bufferView: 2, componentType: 5126, count: mesh.vertexCount, type: "VEC3" },
+      { bufferView: 3, componentType: 5125, count: mesh.indices.length, type: "SCALAR" }
+    ],
+    bufferViews,
+    buffers: [{ byteLength }]
+  };
+
+  return { json, binary };
+}
+
+function padTo4(bytes: Uint8Array, padByte: number): Uint8Array {
+  const padded = new Uint8Array(Math.ceil(bytes.length / 4) * 4);
+  padded.set(bytes);
+  padded.fill(padByte, bytes.length);
+  return padded;
+}
+
+export function encodeGlb(mesh: TerrainMesh): Uint8Array {
+  const { json, binary } = buildGltfPayload(mesh);
+  const jsonBytes = padTo4(new TextEncoder().encode(JSON.stringify(json)), 0x20);
+  const binBytes = padTo4(binary, 0);
+
+  const totalLength = 12 + 8 + jsonBytes.length + 8 + binBytes.length;
+  const glb = new Uint8Array(totalLength);
+  const view = new DataView(glb.buffer);
+
+  view.setUint32(0, 0x46546c67, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, totalLength, true);
+
+  view.setUint32(12, jsonBytes.length, true);
+  view.setUint32(16, 0x4e4f534a, true);
+  glb.set(jsonBytes, 20);
+
+  const binOffset = 20 + jsonBytes.length;
+  view.setUint32(binOffset, binBytes.length, true);
+  view.setUint32(binOffset + 4, 0x004e4942, true);
+  glb.set(binBytes, binOffset + 8);
+
+  return glb;
+}
+
+function toBase64(bytes: Uint8Array): string {
+  let binary = "";
+  const blockSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += blockSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + blockSize));
+  }
+  return btoa(binary);
+}
+
+export function encodeGltf(mesh: TerrainMesh): string {
+  const { json, binary } = buildGltfPayload(mesh);
+  const buffers = json.buffers as Array<Record<string, unknown>>;
+  buffers[0].uri = `data:application/octet-stream;base64,${toBase64(binary)}`;
+  return JSON.stringify(json);
+}
+
+// Vertex colours use the widely supported "v x y z r g b" extension.
+export function encodeObj(mesh: TerrainMesh): string {
+  const lines: string[] = ["# TerraGen terrain export"];
+
+  for (let i = 0; i < mesh.vertexCount; i += 1) {
+    const p = i * 3;
+    lines.push(
+      `v ${mesh.positions[p].toFixed(4)} ${mesh.positions[p + 1].toFixed(4)} ${mesh.positions[p + 2].toFixed(4)} ` +
+        `${mesh.colors[p].toFixed(4)} ${mesh.colors[p + 1].toFixed(4)} ${mesh.colors[p + 2].toFixed(4)}`
+    );
+  }
+
+  for (let i = 0; i < mesh.vertexCount; i += 1) {
+    const p = i * 3;
+    lines.push(
+      `vn ${mesh.normals[p].toFixed(5)} ${mesh.normals[p + 1].toFixed(5)} ${mesh.normals[p + 2].toFixed(5)}`
+    );
+  }
+
+  lines.push("o Terrain");
+  for (let i = 0; i < mesh.indices.length; i += 3) {
+    const a = mesh.indices[i] + 1;
+    const b = mesh.indices[i + 1] + 1;
+    const c = mesh.indices[i + 2] + 1;
+    lines.push(`f ${a}//${a} ${b}//${b} ${c}//${c}`);
+  }
+
+  return `${lines.join("\n")}\n`;
+}
+
+export const meshFileTypes: Record<MeshFormat, { extension: string; mimeType: string }> = {
+  glb: { extension: "glb", mimeType: "model/gltf-binary" },
+  gltf: { extension: "gltf", mimeType: "model/gltf+json" },
+  obj: { extension: "obj", mimeType: "text/plain" }
+};
@@ -0,0 +1,70 @@
+export type QualityTierName = "high" | "medium" | "low" | "minimum";
+
+export interface QualityTier {
+  name: QualityTierName;
+  maxPixelRatio: number;
+  radiusReduction: number;
+  lodScale: number;
+  chunkBudgetMs: number;
+}
+
+export const qualityTiers: QualityTier[] = [
+  { name: "high", maxPixelRatio: 2, radiusReduction: 0, lodScale: 1, chunkBudgetMs: 4 },
+  { name: "medium", maxPixelRatio: 1.5, radiusReduction: 0, lodScale: 0.75, chunkBudgetMs: 3 },
+  { name: "low", maxPixelRatio: 1, radiusReduction: 1, lodScale: 0.6, chunkBudgetMs: 2 },
+  { name: "minimum", maxPixelRatio: 0.75, radiusReduction: 2, lodScale: 0.45, chunkBudgetMs: 1.5 }
+];
+
+// Samples arrive every stats interval (~0.4 s): dropping a tier takes about a
+// second of slow frames, climbing back needs several seconds of headroom so
+// the governor does not oscillate around the target.
+const SAMPLES_TO_DOWNGRADE = 3;
+const SAMPLES_TO_UPGRADE = 8;
+const UPGRADE_HEADROOM = 1.25;
+
+export class QualityGovernor {
+  private tierIndex = 0;
+
+  private slowSamples = 0;
+
+  private fastSamples = 0;
+
+  get tier(): QualityTier {
+    return qualityTiers[this.tierIndex];
+  }
+
+  reset(): boolean {
+    const changed = this.tierIndex !== 0;
+    this.tierIndex = 0;
+    this.slowSamples = 0;
+    this.fastSamples = 0;
+    return changed;
+  }
+
+  sample(fps: number, targetFps: number): boolean {
+    if (fps < targetFps) {
+      this.slowSamples += 1;
+      this.fastSamples = 0;
+    } else if (fps > targetFps * UPGRADE_HEADROOM) {
+      this.fastSamples += 1;
+      this.slowSamples = 0;
+    } else {
+      this.slowSamples = 0;
+      this.fastSamples = 0;
+    }
+
+    if (this.slowSamples >= SAMPLES_TO_DOWNGRADE && this.tierIndex < qualityTiers.length - 1) {
+      this.tierIndex += 1;
+      this.slowSamples = 0;
+      return true;
+    }
+
+    if (this.fastSamples >= SAMPLES_TO_UPGRADE && this.tierIndex > 0) {
+      this.tierIndex -= 1;
+      this.fastSamples = 0;
+      return true;
+    }
+
+    return false;
+  }
+}
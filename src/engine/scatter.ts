@@ -0,0 +1,276 @@
+import { biomeShares, biomeTable, type BiomeSample } from "./biomes";
+import { hashSeed } from "./simplex";
+import type { BiomeQuery, TerrainField } from "./terrainField";
+
+export type ScatterKind = "conifer" | "broadleaf" | "bush" | "rock";
+
+// Order of the per-kind ranges in ScatterInstances.
+export const scatterKinds: readonly ScatterKind[] = ["conifer", "broadleaf", "bush", "rock"];
+
+export interface ScatterLayer {
+  // Kinds grown from the layer's candidates, in the order they claim them.
+  kinds: readonly ScatterKind[];
+  // No two candidates of the layer are closer than this.
+  spacing: number;
+  // Steepest ground (1 - normal.y) the layer grows on.
+  maxSlope: number;
+  // Camera distance where the full meshes give way to impostors, or end.
+  meshDistance: number;
+  // Impostors are drawn out to here; 0 for kinds too small to need them.
+  impostorDistance: number;
+}
+
+export const scatterLayers: readonly ScatterLayer[] = [
+  { kinds: ["conifer", "broadleaf"], spacing: 4, maxSlope: 0.3, meshDistance: 170, impostorDistance: 560 },
+  { kinds: ["bush"], spacing: 2.5, maxSlope: 0.42, meshDistance: 110, impostorDistance: 0 },
+  { kinds: ["rock"], spacing: 6, maxSlope: 0.75, meshDistance: 140, impostorDistance: 0 }
+];
+
+// Camera distance beyond which no scattered instance is drawn.
+export const scatterDrawDistance = Math.max(
+  ...scatterLayers.map((layer) => Math.max(layer.meshDistance, layer.impostorDistance))
+);
+
+// Chance that a candidate of a kind's layer becomes that kind, per biome.
+// Biomes left out, like the oceans, grow nothing.
+const biomeDensities: Record<string, Partial<Record<ScatterKind, number>>> = {
+  beach: { rock: 0.04 },
+  rock: { rock: 0.35 },
+  snow: { rock: 0.08 },
+  tundra: { conifer: 0.03, bush: 0.1, rock: 0.12 },
+  swamp: { broadleaf: 0.25, bush: 0.45 },
+  taiga: { conifer: 0.7, bush: 0.15, rock: 0.06 },
+  rainforest: { broadleaf: 0.85, bush: 0.55 },
+  forest: { broadleaf: 0.55, conifer: 0.12, bush: 0.3, rock: 0.04 },
+  desert: { bush: 0.03, rock: 0.06 },
+  savanna: { broadleaf: 0.05, bush: 0.12, rock: 0.03 },
+  grassland: { broadleaf: 0.04, bush: 0.1, rock: 0.02 }
+};
+
+// Per candidate: x, raw height, z, raw normal (3), humidity, temperature,
+// the roll that picks its kind, rotation, scale, tint and the raw height the
+// ground morphs to.
+export const SCATTER_CANDIDATE_STRIDE = 13;
+// Per instance: base position with raw height (3), rotation, scale, tint and
+// the raw height of the morphed ground.
+export const SCATTER_INSTANCE_STRIDE = 7;
+
+// Every place a chunk could grow something, before the biome sliders decide
+// what. Kept with the chunk so moving a slider only re-places instances.
+export interface ScatterCandidates {
+  // Layer after layer, in scatterLayers order.
+  data: Float32Array;
+  counts: number[];
+}
+
+export interface ScatterInstances {
+  data: Float32Array;
+  // First instance and instance count of each of scatterKinds.
+  firsts: number[];
+  counts: number[];
+}
+
+// Lattice cells are this fraction of a layer's spacing, so neighbours that
+// could conflict lie at most two cells away.
+const CELL_FRACTION = 0.7;
+const NEIGHBOUR_CELLS = 2;
+// Lakes and rivers fainter than this still let plants grow.
+const MAX_WATER_COVERAGE = 0.05;
+// Range of the random size of each instance.
+const MIN_SCATTER_SCALE = 0.75;
+export const MAX_SCATTER_SCALE = 1.25;
+
+function cellHash(x: number, z: number, salt: number, channel: number): number {
+  let h = salt ^ Math.imul(x, 0x27d4eb2d) ^ Math.imul(z, 0x165667b1) ^ Math.imul(channel + 1, 0x9e3779b9);
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  h ^= h >>> 16;
+  return (h >>> 0) / 4294967296;
+}
+
+// Each lattice cell holds one jittered candidate with a random priority, and
+// a candidate survives only if it outranks every other within the spacing.
+// The outcome depends on the world position alone, so the same blue-noise
+// set comes out whichever chunk asks and nothing doubles up along seams.
+export function buildScatterCandidates(
+  field: TerrainField,
+  chunkX: number,
+  chunkZ: number,
+  chunkSize: number
+): ScatterCandidates {
+  const baseX = chunkX * chunkSize - chunkSize * 0.5;
+  const baseZ = chunkZ * chunkSize - chunkSize * 0.5;
+  const values: number[] = [];
+  const counts: number[] = [];
+
+  scatterLayers.forEach((layer, layerIndex) => {
+    const salt = hashSeed(`${field.seed}:scatter:${layerIndex}`);
+    const cell = layer.spacing * CELL_FRACTION;
+    const spacingSquared = layer.spacing * layer.spacing;
+
+    // Candidates of the chunk's cells and a border of neighbours around them.
+    const firstX = Math.floor(baseX / cell) - NEIGHBOUR_CELLS;
+    const firstZ = Math.floor(baseZ / cell) - NEIGHBOUR_CELLS;
+    const columns = Math.ceil((baseX + chunkSize) / cell) + NEIGHBOUR_CELLS - firstX;
+    const rows = Math.ceil((baseZ + chunkSize) / cell) + NEIGHBOUR_CELLS - firstZ;
+    const cellXs = new Float64Array(columns * rows);
+    const cellZs = new Float64Array(columns * rows);
+    const priorities = new Float64Array(columns * rows);
+    for (let row = 0; row < rows; row += 1) {
+      for (let column = 0; column < columns; column += 1) {
+        const index = row * columns + column;
+        const cellX = firstX + column;
+        const cellZ = firstZ + row;
+        cellXs[index] = (cellX + cellHash(cellX, cellZ, salt, 0)) * cell;
+        cellZs[index] = (cellZ + cellHash(cellX, cellZ, salt, 1)) * cell;
+        priorities[index] = cellHash(cellX, cellZ, salt, 2);
+      }
+    }
+
+    const survives = (column: number, row: number): boolean => {
+      const index = row * columns + column;
+      for (let dz = -NEIGHBOUR_CELLS; dz <= NEIGHBOUR_CELLS; dz += 1) {
+        for (let dx = -NEIGHBOUR_CELLS; dx <= NEIGHBOUR_CELLS; dx += 1) {
+          const other = index + dz * columns + dx;
+          if (other === index || priorities[other] <= priorities[index]) {
+            continue;
+          }
+          const offsetX = cellXs[other] - cellXs[index];
+          const offsetZ = cellZs[other] - cellZs[index];
+          if (offsetX * offsetX + offsetZ * offsetZ < spacingSquared) {
+            return false;
+          }
+        }
+      }
+      return true;
+    };
+
+    let count = 0;
+    for (let row = NEIGHBOUR_CELLS; row < rows - NEIGHBOUR_CELLS; row += 1) {
+      for (let column = NEIGHBOUR_CELLS; column < columns - NEIGHBOUR_CELLS; column += 1) {
+        const index = row * columns + column;
+        const x = cellXs[index];
+        const z = cellZs[index];
+        if (x < baseX || x >= baseX + chunkSize || z < baseZ || z >= baseZ + chunkSize) {
+          continue;
+        }
+        if (!survives(column, row)) {
+          continue;
+        }
+        const water = field.sampleFreshWater(x, z);
+        if (water && water.coverage > MAX_WATER_COVERAGE) {
+          continue;
+        }
+
+        const cellX = firstX + column;
+        const cellZ = firstZ + row;
+        const height = field.sampleHeight(x, z);
+        const nx = field.sampleHeight(x - 1, z) - field.sampleHeight(x + 1, z);
+        const nz = field.sampleHeight(x, z - 1) - field.sampleHeight(x, z + 1);
+        const invLength = 1 / Math.sqrt(nx * nx + 4 + nz * nz);
+
+        values.push(
+          x,
+          height,
+          z,
+          nx * invLength,
+          2 * invLength,
+          nz * invLength,
+          field.sampleHumidity(x, z),
+          field.sampleTemperature(x, z, height),
+          cellHash(cellX, cellZ, salt, 3),
+          cellHash(cellX, cellZ, salt, 4) * Math.PI * 2,
+          MIN_SCATTER_SCALE + cellHash(cellX, cellZ, salt, 5) * (MAX_SCATTER_SCALE - MIN_SCATTER_SCALE),
+          0.85 + cellHash(cellX, cellZ, salt, 6) * 0.3,
+          height
+        );
+        count += 1;
+      }
+    }
+    counts.push(count);
+  });
+
+  return { data: Float32Array.from(values), counts };
+}
+
+const densityTable = biomeTable.map((entry) => biomeDensities[entry.id] ?? {});
+
+// Reused by every placeScatter call, which runs for many candidates a frame.
+const scratchShares: number[] = new Array(biomeTable.length).fill(0);
+const scratchSample: BiomeSample = { height: 0, humidity: 0, temperature: 0, slope: 0 };
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Decides what each candidate grows into under the current sliders, the same
+// way the terrain shader decides its biome colours, and packs the instances
+// kind by kind.
+export function placeScatter(candidates: ScatterCandidates, query: BiomeQuery): ScatterInstances {
+  const values = candidates.data;
+  const elevation = query.elevation ?? 1;
+  const kinds = new Int8Array(values.length / SCATTER_CANDIDATE_STRIDE).fill(-1);
+  const counts = scatterKinds.map(() => 0);
+
+  let candidate = 0;
+  scatterLayers.forEach((layer, layerIndex) => {
+    for (let i = 0; i < candidates.counts[layerIndex]; i += 1, candidate += 1) {
+      const from = candidate * SCATTER_CANDIDATE_STRIDE;
+      const ny = values[from + 4] / Math.max(elevation, 0.001);
+      const slope = 1 - ny / Math.sqrt(values[from + 3] * values[from + 3] + ny * ny + values[from + 5] * values[from + 5]);
+      if (slope > layer.maxSlope) {
+        continue;
+      }
+
+      scratchSample.height = values[from + 1] * elevation;
+      scratchSample.humidity = clamp(values[from + 6] * (query.humidityBias ?? 1), 0, 1);
+      scratchSample.temperature = clamp(values[from + 7] * (query.temperatureBias ?? 1), 0, 1);
+      scratchSample.slope = slope;
+      const shares = biomeShares(scratchSample, query.waterLevel ?? 0, biomeTable, scratchShares);
+
+      // The kinds split the roll between them by density; a roll past them
+      // all grows nothing.
+      let roll = values[from + 8];
+      for (const kind of layer.kinds) {
+        let density = 0;
+        for (let row = 0; row < shares.length; row += 1) {
+          density += shares[row] * (densityTable[row][kind] ?? 0);
+        }
+        if (roll < density) {
+          const kindIndex = scatterKinds.indexOf(kind);
+          kinds[candidate] = kindIndex;
+          counts[kindIndex] += 1;
+          break;
+        }
+        roll -= density;
+      }
+    }
+  });
+
+  const firsts: number[] = [];
+  let first = 0;
+  for (const count of counts) {
+    firsts.push(first);
+    first += count;
+  }
+
+  const data = new Float32Array(first * SCATTER_INSTANCE_STRIDE);
+  const cursors = [...firsts];
+  kinds.forEach((kind, index) => {
+    if (kind < 0) {
+      return;
+    }
+    const from = index * SCATTER_CANDIDATE_STRIDE;
+    const to = cursors[kind] * SCATTER_INSTANCE_STRIDE;
+    data[to] = values[from];
+    data[to + 1] = values[from + 1];
+    data[to + 2] = values[from + 2];
+    data[to + 3] = values[from + 9];
+    data[to + 4] = values[from + 10];
+    data[to + 5] = values[from + 11];
+    data[to + 6] = values[from + 12];
+    cursors[kind] += 1;
+  });
+
+  return { data, firsts, counts };
+}
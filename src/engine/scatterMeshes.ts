@@ -0,0 +1,171 @@
+import type { Rgb } from "./biomes";
+import type { ScatterKind } from "./scatter";
+import { mulberry32 } from "./simplex";
+
+// Position, normal and colour per vertex; triangles are unindexed and flat
+// shaded.
+export const SCATTER_VERTEX_STRIDE = 9;
+
+type Point = [number, number, number];
+
+// Trees past their mesh distance are drawn as a camera-facing card with a
+// trunk up to trunkTop (a fraction of the height) and a cone or round crown
+// above it.
+export interface ImpostorLook {
+  width: number;
+  height: number;
+  trunkTop: number;
+  // Fraction of the card's width.
+  trunkWidth: number;
+  roundCrown: boolean;
+  trunk: Rgb;
+  foliage: Rgb;
+}
+
+const BARK: Rgb = [0.3, 0.21, 0.13];
+const NEEDLES: Rgb = [0.09, 0.24, 0.13];
+const LEAVES: Rgb = [0.17, 0.36, 0.11];
+const SHRUB: Rgb = [0.22, 0.33, 0.12];
+const STONE: Rgb = [0.46, 0.44, 0.41];
+
+// Bases sink this far so they stay planted on coarse or sloping ground.
+const SINK = 0.6;
+
+export const impostorLooks: Partial<Record<ScatterKind, ImpostorLook>> = {
+  conifer: { width: 5.2, height: 10.5, trunkTop: 0.15, trunkWidth: 0.1, roundCrown: false, trunk: BARK, foliage: NEEDLES },
+  broadleaf: { width: 6.8, height: 8.6, trunkTop: 0.33, trunkWidth: 0.12, roundCrown: true, trunk: BARK, foliage: LEAVES }
+};
+
+class MeshBuilder {
+  readonly values: number[] = [];
+
+  // Emits the triangle wound counter-clockwise as seen from outside, which
+  // is the side facing away from inside.
+  triangle(a: Point, b: Point, c: Point, inside: Point, color: Rgb): void {
+    const ux = b[0] - a[0];
+    const uy = b[1] - a[1];
+    const uz = b[2] - a[2];
+    const vx = c[0] - a[0];
+    const vy = c[1] - a[1];
+    const vz = c[2] - a[2];
+    let nx = uy * vz - uz * vy;
+    let ny = uz * vx - ux * vz;
+    let nz = ux * vy - uy * vx;
+    const length = Math.sqrt(nx * nx + ny * ny + nz * nz);
+    if (length < 0.000001) {
+      return;
+    }
+
+    const outward =
+      nx * ((a[0] + b[0] + c[0]) / 3 - inside[0]) +
+      ny * ((a[1] + b[1] + c[1]) / 3 - inside[1]) +
+      nz * ((a[2] + b[2] + c[2]) / 3 - inside[2]);
+    if (outward < 0) {
+      [b, c] = [c, b];
+      nx = -nx;
+      ny = -ny;
+      nz = -nz;
+    }
+
+    for (const point of [a, b, c]) {
+      this.values.push(...point, nx / length, ny / length, nz / length, ...color);
+    }
+  }
+
+  // A cone or truncated cone around the y axis, capped underneath.
+  frustum(segments: number, bottomY: number, topY: number, bottomRadius: number, topRadius: number, color: Rgb): void {
+    const ring = (radius: number, y: number): Point[] =>
+      Array.from({ length: segments }, (_, i) => {
+        const angle = (i / segments) * Math.PI * 2;
+        return [Math.cos(angle) * radius, y, Math.sin(angle) * radius] as Point;
+      });
+    const bottom = ring(bottomRadius, bottomY);
+    const top = ring(topRadius, topY);
+    const axis = (y: number): Point => [0, y, 0];
+
+    for (let i = 0; i < segments; i += 1) {
+      const next = (i + 1) % segments;
+      const middle = axis((bottomY + topY) * 0.5);
+      this.triangle(bottom[i], bottom[next], top[i], middle, color);
+      this.triangle(top[i], bottom[next], top[next], middle, color);
+      this.triangle(bottom[i], bottom[next], axis(bottomY), axis(bottomY + 1), color);
+    }
+  }
+
+  // An ellipsoid whose surface points are pushed in or out by up to
+  // roughness, deterministically per mesh.
+  blob(center: Point, radii: Point, segments: number, rings: number, roughness: number, seed: number, color: Rgb): void {
+    const random = mulberry32(seed);
+    const grid: Point[][] = [];
+    for (let ring = 0; ring <= rings; ring += 1) {
+      const polar = (ring / rings) * Math.PI;
+      const row: Point[] = [];
+      const poleScale = 1 + (random() - 0.5) * roughness;
+      for (let i = 0; i < segments; i += 1) {
+        const angle = (i / segments) * Math.PI * 2;
+        const pole = ring === 0 || ring === rings;
+        const scale = pole ? poleScale : 1 + (random() - 0.5) * roughness;
+        row.push([
+          center[0] + Math.cos(angle) * Math.sin(polar) * radii[0] * scale,
+          center[1] - Math.cos(polar) * radii[1] * scale,
+          center[2] + Math.sin(angle) * Math.sin(polar) * radii[2] * scale
+        ]);
+      }
+      grid.push(row);
+    }
+
+    for (let ring = 0; ring < rings; ring += 1) {
+      for (let i = 0; i < segments; i += 1) {
+        const next = (i + 1) % segments;
+        this.triangle(grid[ring][i], grid[ring][next], grid[ring + 1][i], center, color);
+        this.triangle(grid[ring + 1][i], grid[ring][next], grid[ring + 1][next], center, color);
+      }
+    }
+  }
+}
+
+const builders: Record<ScatterKind, (mesh: MeshBuilder) => void> = {
+  conifer: (mesh) => {
+    mesh.frustum(6, -SINK, 2.4, 0.32, 0.22, BARK);
+    mesh.frustum(8, 1.5, 6.2, 2.6, 0, NEEDLES);
+    mesh.frustum(8, 3.6, 8.4, 2, 0, NEEDLES);
+    mesh.frustum(8, 5.8, 10.5, 1.35, 0, NEEDLES);
+  },
+  broadleaf: (mesh) => {
+    mesh.frustum(6, -SINK, 3.6, 0.42, 0.28, BARK);
+    mesh.blob([0, 5.6, 0], [3.1, 2.6, 3.1], 8, 5, 0.25, 11, LEAVES);
+    mesh.blob([1.2, 6.6, 0.7], [1.9, 1.7, 1.9], 7, 4, 0.25, 12, LEAVES);
+  },
+  bush: (mesh) => {
+    mesh.blob([0, 0.45, 0], [1.15, 0.95, 1.15], 7, 4, 0.3, 21, SHRUB);
+    mesh.blob([0.6, 0.35, -0.4], [0.7, 0.6, 0.7], 6, 3, 0.3, 22, SHRUB);
+  },
+  rock: (mesh) => {
+    mesh.blob([0, 0.15, 0], [1.2, 0.8, 0.95], 7, 4, 0.45, 31, STONE);
+  }
+};
+
+export function buildScatterMesh(kind: ScatterKind): Float32Array {
+  const mesh = new MeshBuilder();
+  builders[kind](mesh);
+  return Float32Array.from(mesh.values);
+}
+
+// How far any kind's mesh or impostor reaches above and out from its base,
+// before instance scaling.
+export const scatterReach = (() => {
+  let height = 0;
+  let radius = 0;
+  for (const kind of Object.keys(builders) as ScatterKind[]) {
+    const vertices = buildScatterMesh(kind);
+    for (let i = 0; i < vertices.length; i += SCATTER_VERTEX_STRIDE) {
+      height = Math.max(height, vertices[i + 1]);
+      radius = Math.max(radius, Math.hypot(vertices[i], vertices[i + 2]));
+    }
+  }
+  for (const look of Object.values(impostorLooks)) {
+    height = Math.max(height, look.height);
+    radius = Math.max(radius, look.width * 0.5);
+  }
+  return { height, radius };
+})();
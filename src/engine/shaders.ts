@@ -1,3 +1,281 @@
+import {
+  HORIZON_SOFTNESS,
+  MIE_ANISOTROPY,
+  MIE_SCATTERING,
+  MOON_INTENSITY,
+  NIGHT_SKY,
+  RAYLEIGH_SCATTERING,
+  SKY_EXPOSURE,
+  SUN_INTENSITY
+} from "./atmosphere";
+import { MAX_BIOMES } from "./biomes";
+import { detailLayers } from "./detailTextures";
+import { MAX_SHADOW_CASCADES, MAX_SHADOW_PCF_RADIUS } from "./shadowMap";
+import { PRECIPITATION_BOX_HEIGHT, PRECIPITATION_BOX_WIDTH } from "./weather";
+
+function glslFloat(value: number): string {
+  return Number.isInteger(value) ? value.toFixed(1) : String(value);
+}
+
+function glslVec3(value: [number, number, number]): string {
+  return `vec3(${value.map(glslFloat).join(", ")})`;
+}
+
+// GLSL twin of skyRadiance in atmosphere.ts, shared by the sky and the water
+// reflections.
+const atmosphereShaderSource = `
+const vec3 RAYLEIGH_SCATTERING = ${glslVec3(RAYLEIGH_SCATTERING)};
+const float MIE_SCATTERING = ${glslFloat(MIE_SCATTERING)};
+const float MIE_ANISOTROPY = ${glslFloat(MIE_ANISOTROPY)};
+const float SUN_INTENSITY = ${glslFloat(SUN_INTENSITY)};
+const float MOON_INTENSITY = ${glslFloat(MOON_INTENSITY)};
+const vec3 NIGHT_SKY = ${glslVec3(NIGHT_SKY)};
+const float SKY_EXPOSURE = ${glslFloat(SKY_EXPOSURE)};
+const float HORIZON_SOFTNESS = ${glslFloat(HORIZON_SOFTNESS)};
+
+float opticalDepth(float height) {
+  return (1.0 + HORIZON_SOFTNESS) / (max(height, 0.0) + HORIZON_SOFTNESS);
+}
+
+vec3 inscatter(vec3 direction, vec3 light, float intensity) {
+  float mu = dot(direction, light);
+  float phaseRayleigh = 0.0597 * (1.0 + mu * mu);
+  float g = MIE_ANISOTROPY;
+  float phaseMie = (1.0 - g * g) / (12.566371 * pow(1.0 + g * g - 2.0 * g * mu, 1.5));
+  vec3 extinction = RAYLEIGH_SCATTERING + MIE_SCATTERING;
+  vec3 scattering = (RAYLEIGH_SCATTERING * phaseRayleigh + MIE_SCATTERING * phaseMie) / extinction;
+  return intensity * smoothstep(-0.12, 0.02, light.y) * scattering *
+    (1.0 - exp(-extinction * opticalDepth(direction.y))) *
+    exp(-extinction * opticalDepth(light.y) * 0.5);
+}
+
+vec3 skyInscatter(vec3 direction, vec3 sunDirection) {
+  return NIGHT_SKY +
+    inscatter(direction, sunDirection, SUN_INTENSITY) +
+    inscatter(direction, -sunDirection, MOON_INTENSITY);
+}
+
+vec3 viewTransmittance(vec3 direction) {
+  return exp(-(RAYLEIGH_SCATTERING + MIE_SCATTERING) * opticalDepth(direction.y));
+}
+
+vec3 toneMapSky(vec3 radiance) {
+  return 1.0 - exp(-radiance * SKY_EXPOSURE);
+}
+`;
+
+// Cloud density over the layer, shared by the cloud pass and the terrain's
+// cloud shadows so the two always agree.
+const cloudShaderSource = `
+uniform float uCloudCoverage;
+uniform float uCloudAltitude;
+// Accumulated wind drift in world units.
+uniform vec2 uCloudOffset;
+
+float cloudHash(vec2 p) {
+  vec3 p3 = fract(vec3(p.xyx) * 0.1031);
+  p3 += dot(p3, p3.yzx + 33.33);
+  return fract((p3.x + p3.y) * p3.z);
+}
+
+float cloudNoise(vec2 p) {
+  vec2 cell = floor(p);
+  vec2 f = fract(p);
+  vec2 u = f * f * (3.0 - 2.0 * f);
+  return mix(
+    mix(cloudHash(cell), cloudHash(cell + vec2(1.0, 0.0)), u.x),
+    mix(cloudHash(cell + vec2(0.0, 1.0)), cloudHash(cell + vec2(1.0, 1.0)), u.x),
+    u.y
+  );
+}
+
+float cloudDensity(vec2 xz) {
+  vec2 p = (xz - uCloudOffset) * 0.0035;
+  float value = 0.0;
+  float amplitude = 0.5;
+  for (int i = 0; i < 5; i++) {
+    value += amplitude * cloudNoise(p);
+    p = p * 2.03 + vec2(17.1, 9.2);
+    amplitude *= 0.5;
+  }
+  // The fractal sum sits mostly within 0.3-0.7; these edges make roughly the
+  // coverage fraction of the layer more than half dense.
+  float threshold = 0.64 - uCloudCoverage * 0.46;
+  return smoothstep(threshold, threshold + 0.16, value);
+}
+
+// Share of sunlight that gets through the cloud layer above a point.
+float cloudShadow(vec3 position, vec3 sunDirection) {
+  if (uCloudCoverage <= 0.0 || sunDirection.y < 0.02 || position.y > uCloudAltitude) {
+    return 1.0;
+  }
+  vec3 hit = position + sunDirection * ((uCloudAltitude - position.y) / sunDirection.y);
+  return 1.0 - cloudDensity(hit.xz) * 0.7;
+}
+`;
+
+// A horizontal quad at the cloud altitude, centred under the camera.
+export const cloudVertexShader = `#version 300 es
+precision highp float;
+
+uniform mat4 uViewProj;
+uniform vec3 uCameraPos;
+uniform float uCloudAltitude;
+uniform float uCloudExtent;
+
+out vec3 vWorldPos;
+
+void main() {
+  vec2 corner = vec2(float(gl_VertexID & 1), float(gl_VertexID >> 1)) * 2.0 - 1.0;
+  vec3 world = vec3(uCameraPos.x + corner.x * uCloudExtent, uCloudAltitude, uCameraPos.z + corner.y * uCloudExtent);
+  vWorldPos = world;
+  gl_Position = uViewProj * vec4(world, 1.0);
+}
+`;
+
+export const cloudFragmentShader = `#version 300 es
+precision highp float;
+
+in vec3 vWorldPos;
+
+uniform vec3 uCameraPos;
+uniform vec3 uSunDir;
+uniform float uDayAmount;
+uniform float uCloudExtent;
+uniform vec3 uFogColor;
+uniform float uFogScale;
+
+out vec4 outColor;
+
+${cloudShaderSource}
+
+void main() {
+  float density = cloudDensity(vWorldPos.xz);
+  if (density < 0.002) {
+    discard;
+  }
+
+  vec3 sunDirection = normalize(uSunDir);
+  vec3 viewDir = normalize(vWorldPos - uCameraPos);
+
+  // Cloud a short way towards the sun thins the light reaching this point,
+  // which gives the layer its lit tops and darker undersides.
+  vec2 towardSun = normalize(sunDirection.xz + vec2(0.0001)) * 38.0;
+  float lit = exp(-cloudDensity(vWorldPos.xz + towardSun) * 2.2);
+
+  vec3 sunColor = mix(vec3(1.0, 0.52, 0.32), vec3(1.0, 0.97, 0.92), smoothstep(0.0, 0.35, sunDirection.y));
+  vec3 ambient = mix(vec3(0.04, 0.05, 0.08), vec3(0.56, 0.62, 0.72), uDayAmount);
+  float sunLight = max(sunDirection.y + 0.1, 0.0) * uDayAmount;
+  vec3 color = ambient * (1.0 - density * 0.35) + sunColor * lit * sunLight * 0.9;
+
+  // Thin edges glow when seen against the sun.
+  float forward = pow(max(dot(viewDir, sunDirection), 0.0), 8.0) * (1.0 - density) * uDayAmount;
+  color += sunColor * forward * 0.6;
+
+  float distanceToCamera = length(vWorldPos - uCameraPos);
+  float fog = 1.0 - exp(-pow(distanceToCamera * 0.00072 * uFogScale, 1.3));
+  color = mix(color, uFogColor, fog * 0.7);
+
+  float edgeFade = 1.0 - smoothstep(uCloudExtent * 0.55, uCloudExtent, length(vWorldPos.xz - uCameraPos.xz));
+  outColor = vec4(color, smoothstep(0.0, 0.5, density) * 0.92 * edgeFade);
+}
+`;
+
+// One triangle covering the screen, drawn at the far plane.
+export const skyVertexShader = `#version 300 es
+precision highp float;
+
+out vec2 vScreen;
+
+void main() {
+  vec2 corner = vec2(float((gl_VertexID << 1) & 2), float(gl_VertexID & 2));
+  vScreen = corner * 2.0 - 1.0;
+  gl_Position = vec4(vScreen, 1.0, 1.0);
+}
+`;
+
+export const skyFragmentShader = `#version 300 es
+precision highp float;
+
+in vec2 vScreen;
+
+uniform vec3 uCameraForward;
+// Camera right and up, scaled to the view's half-extent at unit distance.
+uniform vec3 uCameraRight;
+uniform vec3 uCameraUp;
+uniform vec3 uSunDir;
+uniform float uDayAmount;
+uniform float uTime;
+// World directions into the turning star frame.
+uniform mat3 uStarRotation;
+uniform vec3 uFogColor;
+// Weather's multiplier on fog density; 1 in clear air.
+uniform float uFogScale;
+
+out vec4 outColor;
+
+${atmosphereShaderSource}
+
+const float STAR_CELLS = 160.0;
+
+float hash13(vec3 p) {
+  p = fract(p * 0.1031);
+  p += dot(p, p.zyx + 31.32);
+  return fract((p.x + p.y) * p.z);
+}
+
+// Sparse stars on a grid of cells over the sphere; they turn with the sun.
+float stars(vec3 direction) {
+  vec3 d = uStarRotation * direction;
+
+  vec3 cell = floor(d * STAR_CELLS);
+  float h = hash13(cell);
+  if (h < 0.996) {
+    return 0.0;
+  }
+
+  vec3 jitter = vec3(hash13(cell + 7.1), hash13(cell + 3.7), hash13(cell + 1.3)) - 0.5;
+  vec3 centre = (cell + 0.5 + jitter * 0.6) / STAR_CELLS;
+  float spot = smoothstep(0.5, 0.0, length(d - centre) * STAR_CELLS);
+  float twinkle = 0.75 + 0.25 * sin(uTime * (2.0 + h * 40.0) + h * 900.0);
+  return spot * (h - 0.996) * 250.0 * twinkle;
+}
+
+void main() {
+  vec3 direction = normalize(uCameraForward + vScreen.x * uCameraRight + vScreen.y * uCameraUp);
+  vec3 sunDirection = normalize(uSunDir);
+  vec3 moonDirection = -sunDirection;
+  float aboveHorizon = smoothstep(-0.01, 0.01, direction.y);
+  vec3 transmittance = viewTransmittance(direction) * aboveHorizon;
+
+  vec3 radiance = skyInscatter(direction, sunDirection);
+
+  float sunDisc = smoothstep(0.99990, 0.99995, dot(direction, sunDirection));
+  radiance += sunDisc * SUN_INTENSITY * 2.0 * transmittance;
+
+  float moonDisc = smoothstep(0.99980, 0.99986, dot(direction, moonDirection));
+  if (moonDisc > 0.0) {
+    vec3 tangent = normalize(cross(moonDirection, vec3(0.0, 1.0, 0.001)));
+    vec3 bitangent = cross(tangent, moonDirection);
+    vec2 local = vec2(dot(direction, tangent), dot(direction, bitangent)) * 60.0;
+    float maria = 0.78 + 0.22 * sin(local.x * 11.0 + 1.3) * sin(local.y * 9.0 + 0.4);
+    radiance += moonDisc * maria * vec3(1.1, 1.1, 1.05) * transmittance;
+  }
+
+  float night = (1.0 - uDayAmount) * (1.0 - uDayAmount);
+  radiance += stars(direction) * night * (1.0 - moonDisc) * transmittance;
+
+  vec3 color = toneMapSky(radiance);
+  // Blend into the fog colour at the horizon so distant terrain meets the sky;
+  // thick weather hazes over the whole sky.
+  float horizon = (1.0 - smoothstep(-0.02, 0.14, direction.y)) * 0.85;
+  float haze = 1.0 - 1.0 / max(uFogScale, 1.0);
+  color = mix(color, uFogColor, max(horizon, haze));
+
+  outColor = vec4(color, 1.0);
+}
+`;
+
 export const terrainVertexShader = `#version 300 es
 precision highp float;
 
@@ -5,9 +283,15 @@ layout (location = 0) in vec3 aPosition;
 layout (location = 1) in vec3 aNormal;
 layout (location = 2) in float aHumidity;
 layout (location = 3) in float aTemperature;
+layout (location = 4) in float aMorphHeight;
 
 uniform mat4 uViewProj;
 uniform float uElevation;
+// Centre of the chunk the streaming rings are built around. Each vertex
+// morphs by its own ring distance from it; see lodMorphWeight in chunkMesh.ts.
+uniform vec2 uMorphFocus;
+uniform float uChunkSize;
+uniform float uMorphEnd;
 
 out vec3 vWorldPos;
 out vec3 vNormal;
@@ -16,8 +300,12 @@ out float vTemperature;
 out float vHeight;
 
 void main() {
+  vec2 ringOffset = abs(aPosition.xz - uMorphFocus) / uChunkSize;
+  float ringDistance = max(ringOffset.x, ringOffset.y);
+  float morph = smoothstep(uMorphEnd - 0.35, uMorphEnd, ringDistance);
+
   vec3 world = aPosition;
-  world.y *= uElevation;
+  world.y = mix(aPosition.y, aMorphHeight, morph) * uElevation;
   vec3 adjustedNormal = normalize(vec3(aNormal.x, aNormal.y / max(uElevation, 0.001), aNormal.z));
 
   vWorldPos = world;
@@ -46,63 +334,215 @@ uniform float uHumidityBias;
 uniform float uTemperatureBias;
 uniform float uDayAmount;
 uniform vec3 uFogColor;
+uniform float uFogScale;
+uniform float uWetness;
+uniform float uWeatherDarkening;
+
+#define MAX_BIOMES ${MAX_BIOMES}
+uniform int uBiomeCount;
+uniform vec3 uBiomeColor[MAX_BIOMES];
+uniform vec3 uBiomeHeight[MAX_BIOMES];
+uniform vec3 uBiomeHumidity[MAX_BIOMES];
+uniform vec3 uBiomeTemperature[MAX_BIOMES];
+uniform vec3 uBiomeSlope[MAX_BIOMES];
+// Detail texture layer of each biome.
+uniform int uBiomeDetail[MAX_BIOMES];
+
+#define DETAIL_LAYERS ${detailLayers.length}
+uniform highp sampler2DArray uDetailTextures;
+// World units per repeat of the detail textures, and the scale of the
+// coarser second sample that hides the repeat.
+const float DETAIL_TILE = 6.0;
+const float DETAIL_MACRO_SCALE = 0.23;
+// Detail fades out over this range of camera distance; the far rings sample
+// no textures at all.
+const float DETAIL_FADE_START = 40.0;
+const float DETAIL_FADE_END = 160.0;
+
+#define MAX_SHADOW_CASCADES ${MAX_SHADOW_CASCADES}
+#define MAX_SHADOW_PCF_RADIUS ${MAX_SHADOW_PCF_RADIUS}
+uniform vec3 uCameraForward;
+// Zero when shadows are off, unsupported or the sun is down.
+uniform int uShadowCascadeCount;
+uniform int uShadowPcfRadius;
+uniform mat4 uShadowMatrices[MAX_SHADOW_CASCADES];
+uniform float uShadowSplits[MAX_SHADOW_CASCADES];
+uniform float uShadowTexelSizes[MAX_SHADOW_CASCADES];
+uniform highp sampler2DArrayShadow uShadowMap;
 
 out vec4 outColor;
 
-vec3 pickBiome(float h, float humidity, float temperature) {
-  vec3 deepOcean = vec3(0.01, 0.08, 0.30);
-  vec3 shallowOcean = vec3(0.03, 0.20, 0.50);
-  vec3 beach = vec3(0.85, 0.70, 0.36);
-  vec3 grass = vec3(0.20, 0.63, 0.24);
-  vec3 forest = vec3(0.05, 0.29, 0.14);
-  vec3 snow = vec3(0.96, 0.98, 1.0);
+${cloudShaderSource}
+
+float biomeWindow(float value, vec3 range) {
+  float width = max(range.z, 0.00001);
+  return smoothstep(range.x - width, range.x + width, value) *
+    (1.0 - smoothstep(range.y - width, range.y + width, value));
+}
+
+// Also returns each detail layer's share of the sample in splat.
+vec3 pickBiome(float h, float humidity, float temperature, float slope, out float splat[DETAIL_LAYERS]) {
+  float relativeHeight = h - uWaterLevel;
+  vec3 color = vec3(0.0);
+  float remaining = 1.0;
 
-  if (h < uWaterLevel + 0.55) {
-    float depth = smoothstep(uWaterLevel - 26.0, uWaterLevel + 0.5, h);
-    return mix(deepOcean, shallowOcean, depth);
+  for (int layer = 0; layer < DETAIL_LAYERS; layer++) {
+    splat[layer] = 0.0;
   }
 
-  if (h < uWaterLevel + 3.2) {
-    float shore = smoothstep(uWaterLevel + 0.4, uWaterLevel + 3.2, h);
-    return mix(beach * 0.86, beach, shore);
+  for (int i = 0; i < MAX_BIOMES; i++) {
+    if (i >= uBiomeCount) {
+      break;
+    }
+    float weight = biomeWindow(relativeHeight, uBiomeHeight[i]) *
+      biomeWindow(humidity, uBiomeHumidity[i]) *
+      biomeWindow(temperature, uBiomeTemperature[i]) *
+      biomeWindow(slope, uBiomeSlope[i]);
+    float share = remaining * weight;
+    color += uBiomeColor[i] * share;
+    splat[uBiomeDetail[i]] += share;
+    remaining -= share;
   }
 
-  if (h > 84.0 || (h > 64.0 && temperature < 0.36) || temperature < 0.18) {
-    return snow;
+  float covered = 1.0 - remaining;
+  if (covered <= 0.00001) {
+    splat[uBiomeDetail[uBiomeCount - 1]] = 1.0;
+    return uBiomeColor[uBiomeCount - 1];
   }
+  return color / covered;
+}
 
-  if (humidity > 0.66) {
-    return mix(forest * 0.90, forest, humidity);
+// One detail layer projected along each axis the surface faces, so cliffs are
+// not smeared by a top-down projection. Gradients come from the caller, as
+// the branches here are not uniform.
+vec3 triplanarDetail(float layer, vec3 position, vec3 weights, vec3 dx, vec3 dy) {
+  vec3 result = vec3(0.0);
+  if (weights.y > 0.0) {
+    result += textureGrad(uDetailTextures, vec3(position.xz, layer), dx.xz, dy.xz).rgb * weights.y;
+  }
+  if (weights.x > 0.0) {
+    result += textureGrad(uDetailTextures, vec3(position.zy, layer), dx.zy, dy.zy).rgb * weights.x;
+  }
+  if (weights.z > 0.0) {
+    result += textureGrad(uDetailTextures, vec3(position.xy, layer), dx.xy, dy.xy).rgb * weights.z;
   }
+  return result;
+}
 
-  return mix(grass * 0.88, grass, humidity * 0.36);
+// Colour multiplier from the detail layers under the splat weights. Texels
+// store half the multiplier, so each sample averages 0.5.
+vec3 detailColor(float splat[DETAIL_LAYERS], vec3 normal, vec3 position, vec3 dx, vec3 dy) {
+  // Sharpened projection weights; near-flat ground uses the top projection
+  // alone.
+  vec3 weights = pow(abs(normal), vec3(4.0));
+  weights /= weights.x + weights.y + weights.z;
+  weights = max(weights - 0.05, 0.0);
+  weights /= weights.x + weights.y + weights.z;
+
+  vec3 detail = vec3(0.0);
+  float total = 0.0;
+  for (int layer = 0; layer < DETAIL_LAYERS; layer++) {
+    if (splat[layer] < 0.02) {
+      continue;
+    }
+    float index = float(layer);
+    vec3 fine = triplanarDetail(index, position, weights, dx, dy) * 2.0;
+    vec3 coarse = triplanarDetail(
+      index,
+      position * DETAIL_MACRO_SCALE,
+      weights,
+      dx * DETAIL_MACRO_SCALE,
+      dy * DETAIL_MACRO_SCALE
+    ) * 2.0;
+    detail += fine * mix(vec3(1.0), coarse, 0.5) * splat[layer];
+    total += splat[layer];
+  }
+  return total > 0.0 ? detail / total : vec3(1.0);
+}
+
+float sampleShadow(vec3 normal) {
+  if (uShadowCascadeCount == 0) {
+    return 1.0;
+  }
+
+  float viewDepth = dot(vWorldPos - uCameraPos, uCameraForward);
+  int cascade = uShadowCascadeCount;
+  for (int i = 0; i < MAX_SHADOW_CASCADES; i++) {
+    if (i < uShadowCascadeCount && viewDepth < uShadowSplits[i]) {
+      cascade = i;
+      break;
+    }
+  }
+  if (cascade >= uShadowCascadeCount) {
+    return 1.0;
+  }
+
+  // Pushing the lookup out along the normal by a texel or so keeps slopes
+  // from shadowing themselves.
+  vec3 position = vWorldPos + normal * uShadowTexelSizes[cascade] * 1.5;
+  vec3 coord = (uShadowMatrices[cascade] * vec4(position, 1.0)).xyz * 0.5 + 0.5;
+  float texel = 1.0 / float(textureSize(uShadowMap, 0).x);
+
+  float lit = 0.0;
+  float taps = 0.0;
+  for (int y = -MAX_SHADOW_PCF_RADIUS; y <= MAX_SHADOW_PCF_RADIUS; y++) {
+    for (int x = -MAX_SHADOW_PCF_RADIUS; x <= MAX_SHADOW_PCF_RADIUS; x++) {
+      if (abs(x) > uShadowPcfRadius || abs(y) > uShadowPcfRadius) {
+        continue;
+      }
+      vec2 offset = vec2(float(x), float(y)) * texel;
+      lit += texture(uShadowMap, vec4(coord.xy + offset, float(cascade), coord.z - 0.0004));
+      taps += 1.0;
+    }
+  }
+
+  float shadowEnd = uShadowSplits[uShadowCascadeCount - 1];
+  return mix(lit / taps, 1.0, smoothstep(shadowEnd * 0.85, shadowEnd, viewDepth));
 }
 
 void main() {
   float humidity = clamp(vHumidity * uHumidityBias, 0.0, 1.0);
   float temperature = clamp(vTemperature * uTemperatureBias, 0.0, 1.0);
 
-  vec3 biome = pickBiome(vHeight, humidity, temperature);
-
-  float slope = 1.0 - clamp(vNormal.y, 0.0, 1.0);
+  float slope = 1.0 - clamp(normalize(vNormal).y, 0.0, 1.0);
+  float splat[DETAIL_LAYERS];
+  vec3 biome = pickBiome(vHeight, humidity, temperature, slope, splat);
   biome = mix(biome, biome * 0.58, smoothstep(0.34, 0.98, slope));
 
+  vec3 detailPosition = vWorldPos / DETAIL_TILE;
+  vec3 detailDx = dFdx(detailPosition);
+  vec3 detailDy = dFdy(detailPosition);
+  float detailFade = 1.0 - smoothstep(DETAIL_FADE_START, DETAIL_FADE_END, length(vWorldPos - uCameraPos));
+  if (detailFade > 0.0) {
+    vec3 detail = detailColor(splat, normalize(vNormal), detailPosition, detailDx, detailDy);
+    biome *= mix(vec3(1.0), detail, detailFade);
+  }
+
+  // Rain soaks flat ground more than slopes, which shed it.
+  float wetness = uWetness * (1.0 - slope * 0.6);
+  biome *= 1.0 - wetness * 0.38;
+
   vec3 normal = normalize(vNormal);
   vec3 sunDirection = normalize(uSunDir);
+  vec3 viewDir = normalize(uCameraPos - vWorldPos);
 
   float hemisphere = clamp(normal.y * 0.5 + 0.5, 0.0, 1.0);
-  float ambient = mix(0.12, 0.34, uDayAmount) * mix(0.75, 1.08, hemisphere);
-  float diffuse = max(dot(normal, sunDirection), 0.0);
+  float ambient = mix(0.12, 0.34, uDayAmount) * mix(0.75, 1.08, hemisphere) * (1.0 - uWeatherDarkening * 0.4);
+  float sunVisible = sampleShadow(normal) * cloudShadow(vWorldPos, sunDirection) * (1.0 - uWeatherDarkening);
+  float diffuse = max(dot(normal, sunDirection), 0.0) * sunVisible;
   float light = ambient + diffuse * mix(0.25, 0.98, uDayAmount);
 
   vec3 color = biome * light;
 
-  vec3 viewDir = normalize(uCameraPos - vWorldPos);
+  // Wet ground catches a sheen of the sun.
+  float sheen = pow(max(dot(normal, normalize(sunDirection + viewDir)), 0.0), 60.0);
+  color += sheen * wetness * sunVisible * uDayAmount * 0.35;
+
   float rim = pow(1.0 - max(dot(viewDir, normal), 0.0), 3.2);
   color += rim * mix(vec3(0.015, 0.02, 0.04), vec3(0.08, 0.11, 0.14), uDayAmount);
 
   float distanceToCamera = length(vWorldPos - uCameraPos);
-  float fogDensity = mix(0.00128, 0.0009, uDayAmount);
+  float fogDensity = mix(0.00128, 0.0009, uDayAmount) * uFogScale;
   float fog = 1.0 - exp(-pow(distanceToCamera * fogDensity, 1.35));
 
   color = mix(color, uFogColor, clamp(fog, 0.0, 1.0));
@@ -111,12 +551,183 @@ void main() {
 }
 `;
 
+// Trees, bushes and rocks, one instanced draw per kind and chunk. Instances
+// outside uDrawRange of the camera collapse out of the draw, and the last
+// stretch of the range shrinks them away so they do not pop. The impostor
+// pass draws each instance as a card facing the camera instead of its mesh.
+export const scatterVertexShader = `#version 300 es
+precision highp float;
+
+layout (location = 0) in vec3 aPosition;
+layout (location = 1) in vec3 aNormal;
+layout (location = 2) in vec3 aColor;
+// Base position with its height before elevation scaling.
+layout (location = 3) in vec3 aOffset;
+// Rotation, scale and tint.
+layout (location = 4) in vec3 aVariation;
+// Height of the ground under the base once morphed to the coarser LOD.
+layout (location = 5) in float aMorphHeight;
+
+uniform mat4 uViewProj;
+uniform vec3 uCameraPos;
+uniform float uElevation;
+// The terrain's LOD morph, so instances follow the ground as it is drawn.
+uniform vec2 uMorphFocus;
+uniform float uChunkSize;
+uniform float uMorphEnd;
+uniform vec2 uDrawRange;
+uniform float uFadeStart;
+uniform bool uImpostor;
+uniform vec2 uImpostorSize;
+
+out vec3 vWorldPos;
+out vec3 vNormal;
+out vec3 vColor;
+out vec2 vCardUv;
+
+void main() {
+  vec2 ringOffset = abs(aOffset.xz - uMorphFocus) / uChunkSize;
+  float morph = smoothstep(uMorphEnd - 0.35, uMorphEnd, max(ringOffset.x, ringOffset.y));
+  vec3 base = vec3(aOffset.x, mix(aOffset.y, aMorphHeight, morph) * uElevation, aOffset.z);
+  float distanceToCamera = length(base.xz - uCameraPos.xz);
+  if (distanceToCamera < uDrawRange.x || distanceToCamera >= uDrawRange.y) {
+    gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+    return;
+  }
+  float scale = aVariation.y * (1.0 - smoothstep(uFadeStart, uDrawRange.y, distanceToCamera));
+
+  vec3 world;
+  if (uImpostor) {
+    vec2 corner = vec2(float(gl_VertexID & 1), float(gl_VertexID >> 1));
+    vec3 toCamera = uCameraPos - base;
+    vec3 right = normalize(vec3(toCamera.z, 0.0, -toCamera.x) + vec3(0.0001, 0.0, 0.0));
+    world = base +
+      right * (corner.x - 0.5) * uImpostorSize.x * scale +
+      vec3(0.0, corner.y * uImpostorSize.y * scale, 0.0);
+    // Lit as a rounded mass leaning towards the viewer.
+    vNormal = normalize(vec3(toCamera.x, 0.0, toCamera.z) / max(length(toCamera.xz), 0.001) * 0.6 + vec3(0.0, 0.8, 0.0));
+    vColor = vec3(aVariation.z);
+    vCardUv = corner;
+  } else {
+    float c = cos(aVariation.x);
+    float s = sin(aVariation.x);
+    mat2 rotation = mat2(c, s, -s, c);
+    vec3 local = aPosition * scale;
+    local.xz = rotation * local.xz;
+    world = base + local;
+    vNormal = vec3(rotation * aNormal.xz, aNormal.y).xzy;
+    vColor = aColor * aVariation.z;
+    vCardUv = vec2(0.0);
+  }
+
+  vWorldPos = world;
+  gl_Position = uViewProj * vec4(world, 1.0);
+}
+`;
+
+export const scatterFragmentShader = `#version 300 es
+precision highp float;
+
+in vec3 vWorldPos;
+in vec3 vNormal;
+in vec3 vColor;
+in vec2 vCardUv;
+
+uniform vec3 uCameraPos;
+uniform vec3 uSunDir;
+uniform float uDayAmount;
+uniform vec3 uFogColor;
+uniform float uFogScale;
+uniform float uWeatherDarkening;
+
+uniform bool uImpostor;
+// Height fraction the trunk reaches and its fraction of the card's width.
+uniform vec2 uImpostorTrunk;
+uniform bool uImpostorRoundCrown;
+uniform vec3 uImpostorTrunkColor;
+uniform vec3 uImpostorFoliageColor;
+
+out vec4 outColor;
+
+${cloudShaderSource}
+
+void main() {
+  vec3 albedo = vColor;
+  if (uImpostor) {
+    float across = abs(vCardUv.x - 0.5) * 2.0;
+    float crownY = (vCardUv.y - uImpostorTrunk.x) / (1.0 - uImpostorTrunk.x);
+    float centred = crownY * 2.0 - 1.0;
+    float crownWidth = uImpostorRoundCrown ? sqrt(max(1.0 - centred * centred, 0.0)) : 1.0 - crownY;
+    bool crown = crownY >= 0.0 && across < crownWidth;
+    if (!crown && (vCardUv.y >= uImpostorTrunk.x + 0.05 || across >= uImpostorTrunk.y)) {
+      discard;
+    }
+    albedo = crown ? uImpostorFoliageColor * mix(0.8, 1.1, crownY) : uImpostorTrunkColor;
+    albedo *= vColor;
+  }
+
+  vec3 normal = normalize(vNormal);
+  vec3 sunDirection = normalize(uSunDir);
+
+  float hemisphere = clamp(normal.y * 0.5 + 0.5, 0.0, 1.0);
+  float ambient = mix(0.12, 0.34, uDayAmount) * mix(0.75, 1.08, hemisphere) * (1.0 - uWeatherDarkening * 0.4);
+  float sunVisible = cloudShadow(vWorldPos, sunDirection) * (1.0 - uWeatherDarkening);
+  // Foliage lets some light through, so faces turned from the sun are not
+  // left flat; none of it comes through once the sun has set.
+  float wrapped = max(dot(normal, sunDirection) * 0.8 + 0.2, 0.0) * smoothstep(-0.04, 0.08, sunDirection.y);
+  float light = ambient + wrapped * sunVisible * mix(0.25, 0.98, uDayAmount);
+
+  vec3 color = albedo * light;
+
+  float distanceToCamera = length(vWorldPos - uCameraPos);
+  float fogDensity = mix(0.00128, 0.0009, uDayAmount) * uFogScale;
+  float fog = 1.0 - exp(-pow(distanceToCamera * fogDensity, 1.35));
+  color = mix(color, uFogColor, clamp(fog, 0.0, 1.0));
+
+  outColor = vec4(color, 1.0);
+}
+`;
+
+// Depth-only pass into a shadow cascade. Mirrors the terrain's LOD morph so
+// shadows line up with the surface that is drawn.
+export const shadowVertexShader = `#version 300 es
+precision highp float;
+
+layout (location = 0) in vec3 aPosition;
+layout (location = 4) in float aMorphHeight;
+
+uniform mat4 uViewProj;
+uniform float uElevation;
+uniform vec2 uMorphFocus;
+uniform float uChunkSize;
+uniform float uMorphEnd;
+
+void main() {
+  vec2 ringOffset = abs(aPosition.xz - uMorphFocus) / uChunkSize;
+  float ringDistance = max(ringOffset.x, ringOffset.y);
+  float morph = smoothstep(uMorphEnd - 0.35, uMorphEnd, ringDistance);
+
+  vec3 world = aPosition;
+  world.y = mix(aPosition.y, aMorphHeight, morph) * uElevation;
+
+  gl_Position = uViewProj * vec4(world, 1.0);
+}
+`;
+
+export const shadowFragmentShader = `#version 300 es
+precision mediump float;
+
+void main() {}
+`;
+
 export const waterVertexShader = `#version 300 es
 precision highp float;
 
 layout (location = 0) in vec3 aPosition;
 
 uniform mat4 uViewProj;
+uniform float uElevation;
+uniform float uWaveScale;
 uniform vec3 uWaterOffset;
 uniform float uTime;
 
@@ -124,14 +735,14 @@ out vec3 vWorldPos;
 out vec3 vNormal;
 
 void main() {
-  vec3 world = aPosition + uWaterOffset;
+  vec3 world = vec3(aPosition.x, aPosition.y * uElevation, aPosition.z) + uWaterOffset;
 
   float waveA = sin((world.x + uTime * 22.0) * 0.041) * 0.58;
   float waveBArg = world.z * 0.035 - uTime * 1.8 + world.x * 0.012;
   float waveB = cos(waveBArg) * 0.42;
   float waveCArg = (world.x + world.z) * 0.021 - uTime * 1.45;
   float waveC = sin(waveCArg) * 0.26;
-  world.y += waveA + waveB + waveC;
+  world.y += (waveA + waveB + waveC) * uWaveScale;
 
   float slopeX = cos((world.x + uTime * 22.0) * 0.041) * 0.58 * 0.041;
   slopeX += -sin(waveBArg) * 0.42 * 0.012;
@@ -140,6 +751,9 @@ void main() {
   float slopeZ = -sin(waveBArg) * 0.42 * 0.035;
   slopeZ += cos(waveCArg) * 0.26 * 0.021;
 
+  slopeX *= uWaveScale;
+  slopeZ *= uWaveScale;
+
   vNormal = normalize(vec3(-slopeX, 1.0, -slopeZ));
   vWorldPos = world;
 
@@ -157,11 +771,13 @@ uniform vec3 uCameraPos;
 uniform vec3 uSunDir;
 uniform float uDayAmount;
 uniform float uTime;
-uniform vec3 uSkyColor;
 uniform vec3 uFogColor;
+uniform float uFogScale;
 
 out vec4 outColor;
 
+${atmosphereShaderSource}
+
 void main() {
   vec3 normal = normalize(vNormal);
   vec3 viewDir = normalize(uCameraPos - vWorldPos);
@@ -177,16 +793,85 @@ void main() {
   vec3 shallow = vec3(0.05, 0.25, 0.44);
   vec3 refracted = mix(deep, shallow, 0.44 + ripple * 0.24 + micro * 0.1);
 
-  vec3 horizon = mix(vec3(0.02, 0.04, 0.11), uSkyColor, 0.72);
-  vec3 sky = mix(horizon, uSkyColor, clamp(normal.y * 0.5 + 0.5, 0.0, 1.0));
+  // Waves can tip a reflection below the horizon; mirror it back up.
+  vec3 reflection = reflect(-viewDir, normal);
+  reflection.y = abs(reflection.y);
+  vec3 sky = toneMapSky(skyInscatter(normalize(reflection), sunDirection));
 
   vec3 reflected = sky + glint * mix(vec3(0.18, 0.22, 0.28), vec3(1.0, 0.82, 0.54), uDayAmount);
   vec3 color = mix(refracted, reflected, clamp(0.35 + fresnel * 0.7, 0.0, 1.0));
 
   float distanceToCamera = length(vWorldPos - uCameraPos);
-  float fog = 1.0 - exp(-pow(distanceToCamera * 0.00108, 1.28));
+  float fog = 1.0 - exp(-pow(distanceToCamera * 0.00108 * uFogScale, 1.28));
   color = mix(color, uFogColor, fog * 0.72);
 
   outColor = vec4(color, 0.78);
 }
 `;
+
+// Rain streaks or snowflakes as point sprites. Each particle's seed places it
+// in a box that tiles the world; the box is wrapped around the camera, so
+// particles stay put as the camera moves and only wrap far from it.
+export const precipitationVertexShader = `#version 300 es
+precision highp float;
+
+// xyz: position in the box (0..1), w: random per particle.
+layout (location = 0) in vec4 aSeed;
+
+uniform mat4 uViewProj;
+uniform vec3 uCameraPos;
+uniform float uTime;
+// 0 for rain, 1 for snow.
+uniform float uSnow;
+uniform vec2 uWind;
+// Pixels per world unit at unit distance.
+uniform float uPointScale;
+
+out float vFade;
+
+const vec3 BOX = vec3(${glslFloat(PRECIPITATION_BOX_WIDTH)}, ${glslFloat(PRECIPITATION_BOX_HEIGHT)}, ${glslFloat(PRECIPITATION_BOX_WIDTH)});
+
+void main() {
+  float fallSpeed = mix(24.0, 2.4, uSnow) * (0.85 + aSeed.w * 0.3);
+  // Snow drifts with the wind far more than rain does.
+  vec2 drift = uWind * mix(0.3, 0.8, uSnow);
+  vec3 position = aSeed.xyz * BOX + vec3(drift.x, -fallSpeed, drift.y) * uTime;
+  // Flakes flutter as they fall.
+  position.xz += vec2(sin(uTime * 1.3 + aSeed.w * 40.0), cos(uTime * 1.1 + aSeed.w * 27.0)) * 0.8 * uSnow;
+
+  vec3 world = uCameraPos + mod(position - uCameraPos + BOX * 0.5, BOX) - BOX * 0.5;
+  vec3 offset = world - uCameraPos;
+  vFade = 1.0 - smoothstep(BOX.x * 0.3, BOX.x * 0.5, length(offset.xz));
+  vFade *= 1.0 - smoothstep(BOX.y * 0.3, BOX.y * 0.5, abs(offset.y));
+
+  gl_Position = uViewProj * vec4(world, 1.0);
+  float size = mix(1.1, 0.16, uSnow);
+  gl_PointSize = clamp(size * uPointScale / max(gl_Position.w, 0.1), 1.5, 48.0);
+}
+`;
+
+export const precipitationFragmentShader = `#version 300 es
+precision highp float;
+
+in float vFade;
+
+uniform float uSnow;
+uniform float uDayAmount;
+uniform vec3 uFogColor;
+
+out vec4 outColor;
+
+void main() {
+  vec2 p = gl_PointCoord - 0.5;
+  float streak = (1.0 - smoothstep(0.02, 0.07, abs(p.x))) * (1.0 - smoothstep(0.3, 0.5, abs(p.y)));
+  float flake = 1.0 - smoothstep(0.2, 0.5, length(p));
+  float alpha = mix(streak * 0.35, flake * 0.85, uSnow) * vFade;
+  if (alpha < 0.01) {
+    discard;
+  }
+
+  vec3 lit = mix(vec3(0.08, 0.09, 0.12), vec3(0.78, 0.82, 0.88), uDayAmount);
+  vec3 color = mix(lit, uFogColor, 0.3) + vec3(0.1) * uSnow;
+  outColor = vec4(color, alpha);
+}
+`;
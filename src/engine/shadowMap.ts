@@ -0,0 +1,209 @@
+import { Matrix4, Vector3 } from "three";
+
+export type ShadowQuality = "off" | "low" | "high";
+
+export const shadowQualities: readonly ShadowQuality[] = ["off", "low", "high"];
+
+export interface ShadowSettings {
+  mapSize: number;
+  cascades: number;
+  // PCF kernel half-width in texels; each tap is itself a hardware 2x2 compare.
+  pcfRadius: number;
+}
+
+export const MAX_SHADOW_CASCADES = 3;
+export const MAX_SHADOW_PCF_RADIUS = 2;
+
+export const shadowQualitySettings: Record<Exclude<ShadowQuality, "off">, ShadowSettings> = {
+  low: { mapSize: 1024, cascades: 2, pcfRadius: 1 },
+  high: { mapSize: 2048, cascades: 3, pcfRadius: 2 }
+};
+
+// Blend between uniform and logarithmic cascade splits; higher favours detail
+// near the camera.
+const SPLIT_LAMBDA = 0.75;
+// Room kept between a cascade and the light's near plane so ridges outside the
+// cascade's bounds still cast into it.
+const CASTER_MARGIN = 420;
+
+export interface ShadowViewer {
+  position: Vector3;
+  // Unit view direction.
+  forward: Vector3;
+  fovRadians: number;
+  aspect: number;
+  near: number;
+}
+
+// Cascaded directional shadow map: one depth layer per cascade of a texture
+// array, each fitted around a slice of the camera frustum.
+export class ShadowMap {
+  readonly settings: ShadowSettings;
+
+  readonly texture: WebGLTexture;
+
+  // Light view-projection per cascade, column-major.
+  readonly matrices = new Float32Array(16 * MAX_SHADOW_CASCADES);
+
+  // Far view depth of each cascade.
+  readonly splits = new Float32Array(MAX_SHADOW_CASCADES);
+
+  // World size of one shadow texel in each cascade.
+  readonly texelSizes = new Float32Array(MAX_SHADOW_CASCADES);
+
+  private readonly gl: WebGL2RenderingContext;
+
+  private readonly framebuffers: WebGLFramebuffer[] = [];
+
+  private readonly lightView = new Matrix4();
+
+  private readonly lightProjection = new Matrix4();
+
+  private readonly lightViewProj = new Matrix4();
+
+  private readonly origin = new Vector3();
+
+  private readonly up = new Vector3();
+
+  constructor(gl: WebGL2RenderingContext, settings: ShadowSettings) {
+    this.gl = gl;
+    this.settings = settings;
+
+    const texture = this.allocate();
+    if (!texture) {
+      throw new Error("No depth texture format can be rendered to for shadows.");
+    }
+    this.texture = texture;
+  }
+
+  // Picks the cascade matrices for this frame. Each cascade is a sphere around
+  // its frustum slice, so its size does not change as the camera turns, and
+  // its centre is snapped to whole texels so shadows do not crawl as it moves.
+  update(viewer: ShadowViewer, shadowDistance: number, sunDirection: Vector3): void {
+    const { cascades, mapSize } = this.settings;
+    const tanHalfFov = Math.tan(viewer.fovRadians * 0.5);
+    const spread = tanHalfFov * tanHalfFov * (1 + viewer.aspect * viewer.aspect);
+
+    if (Math.abs(sunDirection.y) > 0.99) {
+      this.up.set(0, 0, 1);
+    } else {
+      this.up.set(0, 1, 0);
+    }
+    this.lightView.lookAt(sunDirection, this.origin, this.up);
+    const view = this.lightView.elements;
+
+    let near = viewer.near;
+    for (let cascade = 0; cascade < cascades; cascade += 1) {
+      const fraction = (cascade + 1) / cascades;
+      const logSplit = viewer.near * Math.pow(shadowDistance / viewer.near, fraction);
+      const uniformSplit = viewer.near + (shadowDistance - viewer.near) * fraction;
+      const far = logSplit * SPLIT_LAMBDA + uniformSplit * (1 - SPLIT_LAMBDA);
+
+      // Centre depth equidistant from the slice's near and far corners.
+      const centreDepth = Math.min(far, ((far + near) * (1 + spread)) / 2);
+      const radius = Math.ceil(Math.sqrt((far - centreDepth) ** 2 + far * far * spread));
+      const texel = (radius * 2) / mapSize;
+
+      const cx = viewer.position.x + viewer.forward.x * centreDepth;
+      const cy = viewer.position.y + viewer.forward.y * centreDepth;
+      const cz = viewer.position.z + viewer.forward.z * centreDepth;
+      const lightX = Math.floor((view[0] * cx + view[4] * cy + view[8] * cz + view[12]) / texel) * texel;
+      const lightY = Math.floor((view[1] * cx + view[5] * cy + view[9] * cz + view[13]) / texel) * texel;
+      const lightZ = view[2] * cx + view[6] * cy + view[10] * cz + view[14];
+
+      this.lightProjection.makeOrthographic(
+        lightX - radius,
+        lightX + radius,
+        lightY + radius,
+        lightY - radius,
+        -lightZ - radius - CASTER_MARGIN,
+        -lightZ + radius
+      );
+      this.lightViewProj.multiplyMatrices(this.lightProjection, this.lightView);
+      this.matrices.set(this.lightViewProj.elements, cascade * 16);
+      this.splits[cascade] = far;
+      this.texelSizes[cascade] = texel;
+
+      near = far;
+    }
+  }
+
+  cascadeMatrix(cascade: number, target: Matrix4): Matrix4 {
+    target.elements.set(this.matrices.subarray(cascade * 16, cascade * 16 + 16));
+    return target;
+  }
+
+  bindCascade(cascade: number): void {
+    const gl = this.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.framebuffers[cascade]);
+    gl.viewport(0, 0, this.settings.mapSize, this.settings.mapSize);
+    gl.clear(gl.DEPTH_BUFFER_BIT);
+  }
+
+  dispose(): void {
+    for (const framebuffer of this.framebuffers) {
+      this.gl.deleteFramebuffer(framebuffer);
+    }
+    this.framebuffers.length = 0;
+    this.gl.deleteTexture(this.texture);
+  }
+
+  // Tries each depth format until every cascade layer is a complete
+  // framebuffer; null when none is.
+  private allocate(): WebGLTexture | null {
+    const gl = this.gl;
+    const { mapSize, cascades } = this.settings;
+
+    for (const internalFormat of [gl.DEPTH_COMPONENT24, gl.DEPTH_COMPONENT16]) {
+      const texture = gl.createTexture();
+      if (!texture) {
+        return null;
+      }
+
+      gl.bindTexture(gl.TEXTURE_2D_ARRAY, texture);
+      gl.texStorage3D(gl.TEXTURE_2D_ARRAY, 1, internalFormat, mapSize, mapSize, cascades);
+      gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_COMPARE_MODE, gl.COMPARE_REF_TO_TEXTURE);
+      gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_COMPARE_FUNC, gl.LEQUAL);
+      gl.bindTexture(gl.TEXTURE_2D_ARRAY, null);
+
+      if (this.attachLayers(texture)) {
+        return texture;
+      }
+
+      for (const framebuffer of this.framebuffers) {
+        gl.deleteFramebuffer(framebuffer);
+      }
+      this.framebuffers.length = 0;
+      gl.deleteTexture(texture);
+    }
+
+    return null;
+  }
+
+  private attachLayers(texture: WebGLTexture): boolean {
+    const gl = this.gl;
+    let complete = true;
+
+    for (let layer = 0; layer < this.settings.cascades; layer += 1) {
+      const framebuffer = gl.createFramebuffer();
+      if (!framebuffer) {
+        complete = false;
+        break;
+      }
+      this.framebuffers.push(framebuffer);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+      gl.framebufferTextureLayer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, texture, 0, layer);
+      if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+        complete = false;
+        break;
+      }
+    }
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return complete;
+  }
+}
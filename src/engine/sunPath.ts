@@ -0,0 +1,60 @@
+import { Vector3 } from "three";
+
+export interface SunSettings {
+  // Hours since midnight.
+  timeOfDay: number;
+  // In-game hours that pass per real second while the cycle runs.
+  daySpeed: number;
+  // Degrees, positive north.
+  latitude: number;
+  // Fraction of the year since the March equinox; 0.25 is the June solstice.
+  season: number;
+}
+
+export const defaultSun: SunSettings = {
+  timeOfDay: 11.25,
+  daySpeed: 0.48,
+  latitude: 35,
+  season: 0.25
+};
+
+const AXIAL_TILT = (23.44 * Math.PI) / 180;
+
+function wrapHours(hours: number): number {
+  return ((hours % 24) + 24) % 24;
+}
+
+// Sun direction for an observer at the given latitude. The world's +x is
+// east, -z north and +y up.
+export function sunDirection(timeOfDay: number, latitude: number, season: number, target: Vector3): Vector3 {
+  const phi = (latitude * Math.PI) / 180;
+  const declination = AXIAL_TILT * Math.sin(season * Math.PI * 2);
+  const hourAngle = ((wrapHours(timeOfDay) - 12) / 24) * Math.PI * 2;
+
+  const east = -Math.cos(declination) * Math.sin(hourAngle);
+  const north =
+    Math.sin(declination) * Math.cos(phi) - Math.cos(declination) * Math.cos(hourAngle) * Math.sin(phi);
+  const up = Math.sin(declination) * Math.sin(phi) + Math.cos(declination) * Math.cos(hourAngle) * Math.cos(phi);
+  return target.set(east, up, -north).normalize();
+}
+
+// Column-major 3x3 rotation from world directions into the frame the stars
+// are fixed in: it turns with the clock about the celestial pole, which sits
+// due north at the latitude's height above the horizon.
+export function starRotation(timeOfDay: number, latitude: number, target: Float32Array): Float32Array {
+  const phi = (latitude * Math.PI) / 180;
+  const angle = (wrapHours(timeOfDay) / 24) * Math.PI * 2;
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  const cosPhi = Math.cos(phi);
+  const sinPhi = Math.sin(phi);
+
+  target.set([c, -s, 0, s * cosPhi, c * cosPhi, -sinPhi, s * sinPhi, c * sinPhi, cosPhi]);
+  return target;
+}
+
+// Before the clock was a parameter it was a phase of the sun's circuit, with
+// sunrise at 0 and noon at 0.25.
+export function hoursFromDayPhase(phase: number): number {
+  return wrapHours(phase * 24 + 6);
+}
@@ -1,6 +1,56 @@
 import { Matrix4, Vector3 } from "three";
-import { TerrainField } from "./terrainField";
+import { skyRadiance } from "./atmosphere";
+import { packBiomeUniforms } from "./biomes";
+import { ChunkCache, chunkCacheKey, chunkCachePrefix } from "./chunkCache";
+import { cloudExtent } from "./clouds";
+import { DETAIL_TEXTURE_SIZE, detailLayers, generateDetailTextures } from "./detailTextures";
+import { Frustum } from "./frustum";
+import type { HeightmapRegion } from "./heightmapExport";
+import { buildChunkMesh, CHUNK_VERTEX_STRIDE, sampleGridSurface, type ChunkMeshData } from "./chunkMesh";
 import {
+  ChunkWorkerPool,
+  defaultWorkerCount,
+  type ChunkBuildJob,
+  type ChunkBuildResult
+} from "./chunkWorkerPool";
+import { QualityGovernor, type QualityTierName } from "./qualityGovernor";
+import {
+  MAX_SCATTER_SCALE,
+  placeScatter,
+  SCATTER_INSTANCE_STRIDE,
+  scatterDrawDistance,
+  scatterKinds,
+  scatterLayers,
+  type ScatterCandidates
+} from "./scatter";
+import { buildScatterMesh, impostorLooks, SCATTER_VERTEX_STRIDE, scatterReach } from "./scatterMeshes";
+import { ShadowMap, shadowQualitySettings, type ShadowQuality } from "./shadowMap";
+import { mulberry32 } from "./simplex";
+import { starRotation, sunDirection } from "./sunPath";
+import { TerrainField, terrainFieldKey, type BiomeQuery, type TerrainShape } from "./terrainField";
+import {
+  lodForRing,
+  normalizeLodLevels,
+  sameLodLevels,
+  type LodLevel
+} from "./viewDistance";
+import {
+  PRECIPITATION_PARTICLES,
+  WeatherSystem,
+  type WeatherKind,
+  type WeatherMode
+} from "./weather";
+import {
+  cloudFragmentShader,
+  cloudVertexShader,
+  precipitationFragmentShader,
+  precipitationVertexShader,
+  scatterFragmentShader,
+  scatterVertexShader,
+  shadowFragmentShader,
+  shadowVertexShader,
+  skyFragmentShader,
+  skyVertexShader,
   terrainFragmentShader,
   terrainVertexShader,
   waterFragmentShader,
@@ -14,14 +64,101 @@ export interface TerrainParams {
   elevation: number;
   humidity: number;
   temperature: number;
+  // Whether the clock runs; paused, the sun holds at timeOfDay.
   dayNightEnabled: boolean;
+  // Hours since midnight the clock was last set to.
+  timeOfDay: number;
+  // In-game hours per real second while the clock runs.
+  daySpeed: number;
+  latitude: number;
+  // Fraction of the year since the March equinox.
+  season: number;
   mode: NavigationMode;
+  chunkSize: number;
+  chunkRadius: number;
+  lodLevels: LodLevel[];
+  autoQuality: boolean;
+  targetFps: number;
+  hydraulicErosion: boolean;
+  erosionDroplets: number;
+  erosionRate: number;
+  depositionRate: number;
+  evaporationRate: number;
+  thermalErosion: boolean;
+  talusAngle: number;
+  thermalIterations: number;
+  rivers: boolean;
+  // Sea height before elevation scaling, so the coast stays put as relief is
+  // exaggerated.
+  seaLevel: number;
+  shadowQuality: ShadowQuality;
+  cloudCoverage: number;
+  cloudAltitude: number;
+  windSpeed: number;
+  windDirection: number;
+  weather: WeatherMode;
+}
+
+export function terrainShapeFromParams(params: TerrainParams): TerrainShape {
+  return {
+    hydraulicErosion: params.hydraulicErosion
+      ? {
+          dropletDensity: params.erosionDroplets,
+          erosionRate: params.erosionRate,
+          depositionRate: params.depositionRate,
+          evaporationRate: params.evaporationRate
+        }
+      : null,
+    thermalErosion: params.thermalErosion
+      ? { talusAngle: params.talusAngle, iterations: params.thermalIterations }
+      : null,
+    rivers: params.rivers,
+    // Only drainage reads the sea level; dry worlds keep their chunks while
+    // it moves.
+    seaLevel: params.rivers ? params.seaLevel : 0
+  };
+}
+
+export type Vec3Tuple = [number, number, number];
+
+export interface OrbitPose {
+  target: Vec3Tuple;
+  yaw: number;
+  pitch: number;
+  distance: number;
+}
+
+export interface FirstPersonPose {
+  position: Vec3Tuple;
+  yaw: number;
+  pitch: number;
+}
+
+export interface TerrainViewState {
+  orbit?: OrbitPose;
+  firstPerson?: FirstPersonPose;
 }
 
 export interface TerrainStats {
   fps: number;
   chunkCount: number;
   mode: NavigationMode;
+  qualityTier: QualityTierName;
+  queuedChunks: number;
+  chunkBuildMs: number;
+  drawnChunks: number;
+  culledChunks: number;
+  cachedChunks: number;
+  cacheHits: number;
+  cacheMisses: number;
+  // False once the GPU has refused every shadow map depth format.
+  shadowsAvailable: boolean;
+  // The weather showing now, whether forced or picked from the climate.
+  weather: WeatherKind;
+  // The running clock, which moves on from params.timeOfDay.
+  timeOfDay: number;
+  // True until the chunks around the focus have been built.
+  terrainLoading: boolean;
 }
 
 interface ProgramInfo {
@@ -31,13 +168,26 @@ interface ProgramInfo {
 
 interface Chunk {
   key: string;
+  cacheKey: string;
   chunkX: number;
   chunkZ: number;
   lod: number;
+  morphLod: number;
+  morphEnd: number;
+  minHeight: number;
+  maxHeight: number;
+  // Raw height of the surface as drawn, lakes and rivers included, on the
+  // chunk's (lod + 1)² grid.
+  surface: Float32Array;
+  gpuBytes: number;
   vao: WebGLVertexArrayObject;
   vertexBuffer: WebGLBuffer;
   indexBuffer: WebGLBuffer;
   indexCount: number;
+  // Lakes and rivers; null for a dry chunk.
+  water: WaterMesh | null;
+  // Trees, bushes and rocks; null where nothing could grow.
+  scatter: ChunkScatter | null;
 }
 
 interface WaterMesh {
@@ -47,14 +197,66 @@ interface WaterMesh {
   indexCount: number;
 }
 
+interface ChunkScatter {
+  candidates: ScatterCandidates;
+  buffer: WebGLBuffer;
+  // First instance and instance count of each of scatterKinds in the buffer.
+  firsts: number[];
+  counts: number[];
+  // The slider settings the instances were placed under.
+  placedFor: BiomeQuery | null;
+}
+
+interface ScatterMesh {
+  vao: WebGLVertexArrayObject;
+  buffer: WebGLBuffer;
+  vertexCount: number;
+}
+
+interface ParticleBuffer {
+  vao: WebGLVertexArrayObject;
+  buffer: WebGLBuffer;
+}
+
 interface ChunkRequest {
   key: string;
   chunkX: number;
   chunkZ: number;
   lod: number;
+  morphLod: number;
   distance: number;
 }
 
+interface LodMorphTarget {
+  coarseLod: number;
+  morphEnd: number;
+}
+
+// Loose bound on |TerrainField.sampleHeight| used before a chunk's real
+// height range is known.
+const TERRAIN_HEIGHT_BOUND = 110;
+
+const CHUNK_CACHE_MAX_ENTRIES = 96;
+
+const CHUNK_CACHE_MAX_BYTES = 48 * 1024 * 1024;
+
+// Worker failures a chunk is resubmitted after before it is built inline.
+const MAX_CHUNK_WORKER_RETRIES = 2;
+
+// Wave amplitude on lakes and rivers relative to the open sea.
+const FRESH_WATER_WAVE_SCALE = 0.15;
+
+const CAMERA_FOV = (58 * Math.PI) / 180;
+
+const CAMERA_NEAR = 0.1;
+
+// Scattered instances shrink away over this last part of their draw range.
+const SCATTER_FADE_FRACTION = 0.15;
+
+// Below this sun height shadows are too long to be worth a pass, and the
+// diffuse term they would darken has all but faded.
+const MIN_SHADOW_SUN_HEIGHT = 0.03;
+
 function clamp(value: number, min: number, max: number): number {
   return Math.min(max, Math.max(min, value));
 }
@@ -68,6 +270,16 @@ function smoothstep(edge0: number, edge1: number, value: number): number {
   return normalized * normalized * (3 - 2 * normalized);
 }
 
+function sameBiomeQuery(a: BiomeQuery | null, b: BiomeQuery): boolean {
+  return (
+    a !== null &&
+    a.elevation === b.elevation &&
+    a.humidityBias === b.humidityBias &&
+    a.temperatureBias === b.temperatureBias &&
+    a.waterLevel === b.waterLevel
+  );
+}
+
 function compileShader(
   gl: WebGL2RenderingContext,
   type: number,
@@ -134,17 +346,53 @@ export class TerrainEngine {
 
   private readonly waterProgram: ProgramInfo;
 
+  private readonly shadowProgram: ProgramInfo;
+
+  private readonly skyProgram: ProgramInfo;
+
+  private readonly cloudProgram: ProgramInfo;
+
+  private readonly detailTextures: WebGLTexture;
+
+  // Wind drift of the cloud layer, accumulated so changing the wind never
+  // makes the clouds jump.
+  private cloudOffsetX = 0;
+
+  private cloudOffsetZ = 0;
+
+  private readonly scatterProgram: ProgramInfo;
+
+  // One mesh per scatter kind, in scatterKinds order.
+  private readonly scatterMeshes: ScatterMesh[];
+
+  private readonly precipitationProgram: ProgramInfo;
+
+  private readonly precipitation: ParticleBuffer;
+
+  private readonly weather = new WeatherSystem();
+
+  private shadowMap: ShadowMap | null = null;
+
+  private shadowsAvailable = true;
+
+  // Cascades rendered this frame; 0 leaves the terrain unshadowed.
+  private shadowCascades = 0;
+
+  private readonly shadowMatrix = new Matrix4();
+
   private readonly onStats?: (stats: TerrainStats) => void;
 
   private params: TerrainParams;
 
   private terrainField: TerrainField;
 
-  private readonly chunkSize = 96;
+  private chunkSize = 96;
+
+  private chunkRadius = 3;
 
-  private readonly chunkRadius = 3;
+  private lodLevels: LodLevel[] = [];
 
-  private readonly waterLevel = 0;
+  private readonly qualityGovernor = new QualityGovernor();
 
   private chunks = new Map<string, Chunk>();
 
@@ -152,6 +400,39 @@ export class TerrainEngine {
 
   private pendingChunkKeys = new Set<string>();
 
+  // Worker failures per chunk key since it was last built.
+  private readonly chunkFailures = new Map<string, number>();
+
+  private readyChunks: ChunkBuildResult[] = [];
+
+  private readonly workerPool: ChunkWorkerPool;
+
+  private readonly frustum = new Frustum();
+
+  private readonly chunkCache = new ChunkCache<Chunk>(
+    CHUNK_CACHE_MAX_ENTRIES,
+    CHUNK_CACHE_MAX_BYTES,
+    (chunk) => this.disposeChunk(chunk)
+  );
+
+  private cacheHits = 0;
+
+  private cacheMisses = 0;
+
+  private chunkBuildMs = 0;
+
+  private drawnChunks = 0;
+
+  private culledChunks = 0;
+
+  // Chunks that passed culling this frame; their fresh water is drawn after
+  // the sea.
+  private readonly visibleChunks: Chunk[] = [];
+
+  // Chunks whose trees, bushes or rocks may be in view; those stand above and
+  // past the chunk's own box.
+  private readonly visibleScatterChunks: Chunk[] = [];
+
   private waterMesh: WaterMesh;
 
   private readonly upVector = new Vector3(0, 1, 0);
@@ -166,6 +447,8 @@ export class TerrainEngine {
 
   private readonly cameraTarget = new Vector3();
 
+  private readonly cameraForward = new Vector3();
+
   private readonly orbitTarget = new Vector3(-46, 32, 28);
 
   private orbitDistance = 295;
@@ -196,13 +479,17 @@ export class TerrainEngine {
 
   private elapsedTime = 0;
 
-  private dayPhase = 0.22;
+  private timeOfDay: number;
 
   private sunDirection = new Vector3(0.6, 0.8, 0.2);
 
+  private readonly starRotation = new Float32Array(9);
+
   private dayAmount = 1;
 
-  private readonly skyColor = new Vector3(0.28, 0.44, 0.67);
+  private readonly horizonDirection = new Vector3();
+
+  private readonly horizonColor = new Vector3();
 
   private readonly fogColor = new Vector3(0.23, 0.35, 0.50);
 
@@ -222,7 +509,8 @@ export class TerrainEngine {
     canvas: HTMLCanvasElement,
     glContext: WebGL2RenderingContext | WebGLRenderingContext,
     initialParams: TerrainParams,
-    onStats?: (stats: TerrainStats) => void
+    onStats?: (stats: TerrainStats) => void,
+    initialView?: TerrainViewState
   ) {
     if (!(glContext instanceof WebGL2RenderingContext)) {
       throw new Error("TerraGen requires WebGL2 support.");
@@ -231,38 +519,145 @@ export class TerrainEngine {
     this.canvas = canvas;
     this.gl = glContext;
     this.params = { ...initialParams };
-    this.terrainField = new TerrainField(initialParams.seed);
+    this.timeOfDay = initialParams.timeOfDay;
+    this.terrainField = new TerrainField(initialParams.seed, terrainShapeFromParams(initialParams));
     this.onStats = onStats;
+    this.applyViewDistance();
 
     this.terrainProgram = createProgram(this.gl, terrainVertexShader, terrainFragmentShader, [
       "uViewProj",
       "uElevation",
+      "uMorphFocus",
+      "uChunkSize",
+      "uMorphEnd",
       "uCameraPos",
       "uSunDir",
       "uWaterLevel",
       "uHumidityBias",
       "uTemperatureBias",
       "uDayAmount",
-      "uFogColor"
+      "uFogColor",
+      "uFogScale",
+      "uWetness",
+      "uWeatherDarkening",
+      "uBiomeCount",
+      "uBiomeColor",
+      "uBiomeHeight",
+      "uBiomeHumidity",
+      "uBiomeTemperature",
+      "uBiomeSlope",
+      "uBiomeDetail",
+      "uDetailTextures",
+      "uCameraForward",
+      "uShadowCascadeCount",
+      "uShadowPcfRadius",
+      "uShadowMatrices",
+      "uShadowSplits",
+      "uShadowTexelSizes",
+      "uShadowMap",
+      "uCloudCoverage",
+      "uCloudAltitude",
+      "uCloudOffset"
+    ]);
+    this.detailTextures = this.createDetailTextures();
+    this.uploadBiomeTable();
+
+    this.shadowProgram = createProgram(this.gl, shadowVertexShader, shadowFragmentShader, [
+      "uViewProj",
+      "uElevation",
+      "uMorphFocus",
+      "uChunkSize",
+      "uMorphEnd"
     ]);
+    this.syncShadowMap();
 
     this.waterProgram = createProgram(this.gl, waterVertexShader, waterFragmentShader, [
       "uViewProj",
+      "uElevation",
+      "uWaveScale",
       "uWaterOffset",
       "uCameraPos",
       "uSunDir",
       "uDayAmount",
       "uTime",
-      "uSkyColor",
-      "uFogColor"
+      "uFogColor",
+      "uFogScale"
+    ]);
+
+    this.skyProgram = createProgram(this.gl, skyVertexShader, skyFragmentShader, [
+      "uCameraForward",
+      "uCameraRight",
+      "uCameraUp",
+      "uSunDir",
+      "uDayAmount",
+      "uTime",
+      "uStarRotation",
+      "uFogColor",
+      "uFogScale"
+    ]);
+
+    this.cloudProgram = createProgram(this.gl, cloudVertexShader, cloudFragmentShader, [
+      "uViewProj",
+      "uCameraPos",
+      "uSunDir",
+      "uDayAmount",
+      "uCloudExtent",
+      "uFogColor",
+      "uFogScale",
+      "uCloudCoverage",
+      "uCloudAltitude",
+      "uCloudOffset"
+    ]);
+
+    this.scatterProgram = createProgram(this.gl, scatterVertexShader, scatterFragmentShader, [
+      "uViewProj",
+      "uCameraPos",
+      "uElevation",
+      "uMorphFocus",
+      "uChunkSize",
+      "uMorphEnd",
+      "uDrawRange",
+      "uFadeStart",
+      "uImpostor",
+      "uImpostorSize",
+      "uImpostorTrunk",
+      "uImpostorRoundCrown",
+      "uImpostorTrunkColor",
+      "uImpostorFoliageColor",
+      "uSunDir",
+      "uDayAmount",
+      "uFogColor",
+      "uFogScale",
+      "uWeatherDarkening",
+      "uCloudCoverage",
+      "uCloudAltitude",
+      "uCloudOffset"
     ]);
+    this.scatterMeshes = this.createScatterMeshes();
+
+    this.precipitationProgram = createProgram(
+      this.gl,
+      precipitationVertexShader,
+      precipitationFragmentShader,
+      ["uViewProj", "uCameraPos", "uTime", "uSnow", "uWind", "uPointScale", "uDayAmount", "uFogColor"]
+    );
+    this.precipitation = this.createPrecipitationParticles();
 
     this.waterMesh = this.createWaterMesh();
+    this.workerPool = new ChunkWorkerPool(
+      defaultWorkerCount(),
+      this.handleChunkBuilt,
+      this.handleChunkFailed
+    );
 
     this.setupGlState();
     this.attachEvents();
     this.resize();
 
+    if (initialView) {
+      this.setViewState(initialView);
+    }
+    this.updateSun(1);
     this.updateCamera(0);
     this.syncChunks(true);
 
@@ -275,15 +670,20 @@ export class TerrainEngine {
       return;
     }
 
-    const previousSeed = this.params.seed;
     const previousMode = this.params.mode;
 
     this.params = { ...nextParams };
 
-    if (previousSeed !== this.params.seed) {
-      this.terrainField = new TerrainField(this.params.seed);
-      this.resetChunks();
+    const shape = terrainShapeFromParams(this.params);
+    const terrainChanged = this.terrainField.key !== terrainFieldKey(this.params.seed, shape);
+    if (terrainChanged) {
+      this.terrainField = new TerrainField(this.params.seed, shape);
+    }
+    if (!this.params.autoQuality) {
+      this.qualityGovernor.reset();
     }
+    this.refreshViewDistance(terrainChanged);
+    this.syncShadowMap();
 
     if (previousMode !== this.params.mode) {
       if (this.params.mode === "firstPerson") {
@@ -296,6 +696,83 @@ export class TerrainEngine {
     }
   }
 
+  getTimeOfDay(): number {
+    return this.timeOfDay;
+  }
+
+  // Resets the running clock and lands on its lighting at once, so a saved
+  // time reproduces exactly.
+  setTimeOfDay(hours: number): void {
+    this.timeOfDay = ((hours % 24) + 24) % 24;
+    this.updateSun(1);
+  }
+
+  getViewState(): Required<TerrainViewState> {
+    return {
+      orbit: {
+        target: [this.orbitTarget.x, this.orbitTarget.y, this.orbitTarget.z],
+        yaw: this.orbitYaw,
+        pitch: this.orbitPitch,
+        distance: this.orbitDistance
+      },
+      firstPerson: {
+        position: [this.firstPersonPosition.x, this.firstPersonPosition.y, this.firstPersonPosition.z],
+        yaw: this.firstPersonYaw,
+        pitch: this.firstPersonPitch
+      }
+    };
+  }
+
+  setViewState(view: TerrainViewState): void {
+    if (view.orbit) {
+      this.orbitTarget.set(view.orbit.target[0], view.orbit.target[1], view.orbit.target[2]);
+      this.orbitYaw = view.orbit.yaw;
+      this.orbitPitch = clamp(view.orbit.pitch, -1.45, 1.45);
+      this.orbitDistance = clamp(view.orbit.distance, 45, 500);
+    }
+
+    if (view.firstPerson) {
+      this.firstPersonPosition.set(
+        view.firstPerson.position[0],
+        view.firstPerson.position[1],
+        view.firstPerson.position[2]
+      );
+      this.firstPersonVelocity.set(0, 0, 0);
+      this.firstPersonYaw = view.firstPerson.yaw;
+      this.firstPersonPitch = clamp(view.firstPerson.pitch, -1.45, 1.45);
+    }
+  }
+
+  getFocusPoint(): { x: number; z: number } {
+    const focus = this.params.mode === "orbit" ? this.orbitTarget : this.firstPersonPosition;
+    return { x: focus.x, z: focus.z };
+  }
+
+  getLoadedRegion(): HeightmapRegion | null {
+    if (this.chunks.size === 0) {
+      return null;
+    }
+
+    const half = this.chunkSize * 0.5;
+    const region: HeightmapRegion = {
+      minX: Number.POSITIVE_INFINITY,
+      minZ: Number.POSITIVE_INFINITY,
+      maxX: Number.NEGATIVE_INFINITY,
+      maxZ: Number.NEGATIVE_INFINITY
+    };
+
+    for (const chunk of this.chunks.values()) {
+      const centerX = chunk.chunkX * this.chunkSize;
+      const centerZ = chunk.chunkZ * this.chunkSize;
+      region.minX = Math.min(region.minX, centerX - half);
+      region.minZ = Math.min(region.minZ, centerZ - half);
+      region.maxX = Math.max(region.maxX, centerX + half);
+      region.maxZ = Math.max(region.maxZ, centerZ + half);
+    }
+
+    return region;
+  }
+
   captureScreenshot(): void {
     const link = document.createElement("a");
     link.download = `terragen-${Date.now()}.png`;
@@ -316,15 +793,33 @@ export class TerrainEngine {
 
     this.detachEvents();
 
+    this.workerPool.dispose();
+    this.readyChunks.length = 0;
+
     for (const chunk of this.chunks.values()) {
       this.disposeChunk(chunk);
     }
     this.chunks.clear();
+    this.chunkCache.clear();
 
     this.disposeWaterMesh(this.waterMesh);
+    this.shadowMap?.dispose();
+    this.shadowMap = null;
 
+    this.gl.deleteTexture(this.detailTextures);
     this.gl.deleteProgram(this.terrainProgram.program);
     this.gl.deleteProgram(this.waterProgram.program);
+    this.gl.deleteProgram(this.shadowProgram.program);
+    this.gl.deleteProgram(this.skyProgram.program);
+    this.gl.deleteProgram(this.cloudProgram.program);
+    this.gl.deleteProgram(this.scatterProgram.program);
+    for (const mesh of this.scatterMeshes) {
+      this.gl.deleteVertexArray(mesh.vao);
+      this.gl.deleteBuffer(mesh.buffer);
+    }
+    this.gl.deleteProgram(this.precipitationProgram.program);
+    this.gl.deleteVertexArray(this.precipitation.vao);
+    this.gl.deleteBuffer(this.precipitation.buffer);
   }
 
   private readonly animate = (timestamp: number): void => {
@@ -337,14 +832,20 @@ export class TerrainEngine {
 
     this.elapsedTime += deltaSeconds;
 
+    const windAngle = (this.params.windDirection * Math.PI) / 180;
+    this.cloudOffsetX += Math.sin(windAngle) * this.params.windSpeed * deltaSeconds;
+    this.cloudOffsetZ += Math.cos(windAngle) * this.params.windSpeed * deltaSeconds;
+
     if (this.params.dayNightEnabled) {
-      this.dayPhase = (this.dayPhase + deltaSeconds * 0.02) % 1;
+      this.timeOfDay = (this.timeOfDay + deltaSeconds * this.params.daySpeed) % 24;
     }
 
+    this.updateWeather(deltaSeconds);
     this.updateSun();
     this.updateCamera(deltaSeconds);
     this.syncChunks(false);
-    this.processChunkQueue(3);
+    this.processChunkQueue(this.qualityGovernor.tier.chunkBudgetMs);
+    this.refreshScatter(this.qualityGovernor.tier.chunkBudgetMs);
 
     this.renderFrame();
     this.reportStats(deltaSeconds);
@@ -352,29 +853,49 @@ export class TerrainEngine {
     this.frameHandle = requestAnimationFrame(this.animate);
   };
 
-  private updateSun(): void {
-    const angle = this.dayPhase * Math.PI * 2;
-    this.sunDirection
-      .set(Math.cos(angle), Math.sin(angle), Math.sin(angle * 0.7) * 0.3)
-      .normalize();
+  private updateSun(dayBlend = 0.08): void {
+    const { latitude, season } = this.params;
+    sunDirection(this.timeOfDay, latitude, season, this.sunDirection);
+    starRotation(this.timeOfDay, latitude, this.starRotation);
 
     const rawDayAmount = clamp(this.sunDirection.y * 0.5 + 0.5, 0, 1);
     const smoothedDayAmount = smoothstep(0.02, 0.98, rawDayAmount);
-    this.dayAmount = lerp(this.dayAmount, smoothedDayAmount, 0.08);
-
-    const twilight = 1 - smoothstep(0.07, 0.42, Math.abs(this.sunDirection.y));
-    const horizonWarmth = twilight * (0.65 + (1 - this.dayAmount) * 0.35);
-
-    const skyR = clamp(lerp(0.02, 0.42, this.dayAmount) + horizonWarmth * 0.18, 0, 1);
-    const skyG = clamp(lerp(0.03, 0.66, this.dayAmount) + horizonWarmth * 0.08, 0, 1);
-    const skyB = clamp(lerp(0.08, 0.95, this.dayAmount) + horizonWarmth * 0.02, 0, 1);
-    this.skyColor.set(skyR, skyG, skyB);
+    this.dayAmount = lerp(this.dayAmount, smoothedDayAmount, dayBlend);
+
+    // Fog takes the sky's colour just above the horizon, averaged around the
+    // compass, so distant terrain fades into the sky behind it.
+    this.fogColor.set(0, 0, 0);
+    for (let i = 0; i < 4; i += 1) {
+      const azimuth = (i * Math.PI) / 2;
+      this.horizonDirection.set(Math.cos(azimuth), 0.05, Math.sin(azimuth)).normalize();
+      this.fogColor.add(skyRadiance(this.horizonDirection, this.sunDirection, this.horizonColor));
+    }
+    this.fogColor.multiplyScalar(0.25);
 
-    const fogMix = lerp(0.32, 0.74, this.dayAmount);
+    // Heavy weather greys and dims the fog along with the light.
+    const { darkening } = this.weather.look;
+    const grey = (this.fogColor.x + this.fogColor.y + this.fogColor.z) / 3;
     this.fogColor.set(
-      lerp(0.03, skyR, fogMix),
-      lerp(0.04, skyG, fogMix),
-      lerp(0.07, skyB, fogMix)
+      lerp(this.fogColor.x, grey, darkening * 1.5),
+      lerp(this.fogColor.y, grey, darkening * 1.5),
+      lerp(this.fogColor.z, grey, darkening * 1.5)
+    );
+    this.fogColor.multiplyScalar(1 - darkening * 0.5);
+  }
+
+  // Weather follows the climate at the camera, with the same biases the
+  // biomes use. The noise height is close enough for it and never builds
+  // erosion or drainage tiles.
+  private updateWeather(deltaSeconds: number): void {
+    const { x, z } = this.cameraPosition;
+    const height = this.terrainField.sampleNoiseHeight(x, z);
+    this.weather.update(
+      deltaSeconds,
+      {
+        humidity: clamp(this.terrainField.sampleHumidity(x, z) * this.params.humidity, 0, 1),
+        temperature: clamp(this.terrainField.sampleTemperature(x, z, height) * this.params.temperature, 0, 1)
+      },
+      this.params.weather
     );
   }
 
@@ -438,10 +959,11 @@ export class TerrainEngine {
 
     this.firstPersonPosition.add(this.firstPersonVelocity.clone().multiplyScalar(deltaSeconds));
 
-    const ground = this.terrainField.sampleHeight(
-      this.firstPersonPosition.x,
-      this.firstPersonPosition.z
-    ) * this.params.elevation;
+    // The camera floats on open water and lakes rather than sinking to the
+    // bed.
+    const { x, z } = this.firstPersonPosition;
+    const surface = Math.max(this.sampleSurface(x, z), this.params.seaLevel);
+    const ground = surface * this.params.elevation;
     if (this.firstPersonPosition.y < ground + 8) {
       this.firstPersonPosition.y = ground + 8;
       this.firstPersonVelocity.y = Math.max(0, this.firstPersonVelocity.y);
@@ -451,6 +973,28 @@ export class TerrainEngine {
     this.cameraTarget.copy(this.firstPersonPosition.clone().add(lookForward));
   }
 
+  // Raw surface height under (x, z), read from the loaded chunk there so the
+  // render loop never builds erosion or drainage tiles on this thread. Falls
+  // back to the un-eroded noise where no chunk is loaded yet.
+  private sampleSurface(x: number, z: number): number {
+    const chunkX = Math.floor(x / this.chunkSize + 0.5);
+    const chunkZ = Math.floor(z / this.chunkSize + 0.5);
+    const chunk = this.chunks.get(`${chunkX},${chunkZ}`);
+    if (!chunk) {
+      return this.terrainField.sampleNoiseHeight(x, z);
+    }
+
+    const step = this.chunkSize / chunk.lod;
+    const localX = (x - (chunkX - 0.5) * this.chunkSize) / step;
+    const localZ = (z - (chunkZ - 0.5) * this.chunkSize) / step;
+    return sampleGridSurface(
+      chunk.surface,
+      chunk.lod,
+      clamp(localX, 0, chunk.lod),
+      clamp(localZ, 0, chunk.lod)
+    );
+  }
+
   private renderFrame(): void {
     this.resize();
 
@@ -459,16 +1003,217 @@ export class TerrainEngine {
     const height = gl.drawingBufferHeight;
     const aspect = width / Math.max(1, height);
 
-    this.projection.makePerspective((58 * Math.PI) / 180, aspect, 0.1, 2600);
+    const viewRange = this.chunkSize * (this.chunkRadius + 1);
+    const far = Math.max(2600, viewRange * 6.8);
+    this.projection.makePerspective(CAMERA_FOV, aspect, CAMERA_NEAR, far);
     this.view.lookAt(this.cameraPosition, this.cameraTarget, this.upVector);
     this.viewProj.multiplyMatrices(this.projection, this.view);
+    this.cameraForward.copy(this.cameraTarget).sub(this.cameraPosition).normalize();
+
+    this.renderShadows(aspect, viewRange);
 
     gl.viewport(0, 0, width, height);
-    gl.clearColor(this.skyColor.x, this.skyColor.y, this.skyColor.z, 1);
+    gl.clearColor(this.fogColor.x, this.fogColor.y, this.fogColor.z, 1);
     gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
+    this.renderSky(aspect);
     this.renderTerrain();
+    this.renderScatter();
     this.renderWater();
+    this.renderClouds(viewRange);
+    this.renderPrecipitation(height);
+  }
+
+  // Rebuilds the shadow map when the quality setting changes. A GPU that cannot
+  // render any depth format leaves shadows off for the engine's lifetime.
+  private syncShadowMap(): void {
+    const quality = this.params.shadowQuality;
+    const settings = quality === "off" ? null : shadowQualitySettings[quality];
+    if (this.shadowMap?.settings === settings) {
+      return;
+    }
+
+    this.shadowMap?.dispose();
+    this.shadowMap = null;
+    if (!settings || !this.shadowsAvailable) {
+      return;
+    }
+
+    try {
+      this.shadowMap = new ShadowMap(this.gl, settings);
+    } catch {
+      this.shadowsAvailable = false;
+    }
+  }
+
+  private renderShadows(aspect: number, shadowDistance: number): void {
+    const gl = this.gl;
+    const shadowMap = this.shadowMap;
+    this.shadowCascades = 0;
+    if (!shadowMap || this.sunDirection.y < MIN_SHADOW_SUN_HEIGHT) {
+      return;
+    }
+
+    shadowMap.update(
+      {
+        position: this.cameraPosition,
+        forward: this.cameraForward,
+        fovRadians: CAMERA_FOV,
+        aspect,
+        near: CAMERA_NEAR
+      },
+      shadowDistance,
+      this.sunDirection
+    );
+
+    const program = this.shadowProgram;
+    gl.useProgram(program.program);
+    gl.uniform1f(program.uniforms.uElevation, this.params.elevation);
+    const morphFocus = this.morphFocus();
+    gl.uniform2f(program.uniforms.uMorphFocus, morphFocus.x, morphFocus.z);
+    gl.uniform1f(program.uniforms.uChunkSize, this.chunkSize);
+
+    gl.enable(gl.POLYGON_OFFSET_FILL);
+    gl.polygonOffset(1.5, 3);
+
+    for (let cascade = 0; cascade < shadowMap.settings.cascades; cascade += 1) {
+      shadowMap.bindCascade(cascade);
+      const matrix = shadowMap.cascadeMatrix(cascade, this.shadowMatrix);
+      gl.uniformMatrix4fv(program.uniforms.uViewProj, false, matrix.elements);
+      this.frustum.setFromMatrix(matrix);
+
+      for (const chunk of this.chunks.values()) {
+        if (!this.chunkInFrustum(chunk)) {
+          continue;
+        }
+        this.drawChunk(program, chunk);
+      }
+    }
+
+    gl.bindVertexArray(null);
+    gl.disable(gl.POLYGON_OFFSET_FILL);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    this.shadowCascades = shadowMap.settings.cascades;
+  }
+
+  // The pads grow the chunk's box sideways and upwards, for what stands on
+  // the ground.
+  private chunkInFrustum(chunk: Chunk, sidePad = 0, topPad = 0): boolean {
+    const elevation = this.params.elevation;
+    const half = this.chunkSize * 0.5 + sidePad;
+    const centerX = chunk.chunkX * this.chunkSize;
+    const centerZ = chunk.chunkZ * this.chunkSize;
+    return this.frustum.intersectsBox(
+      centerX - half,
+      chunk.minHeight * elevation,
+      centerZ - half,
+      centerX + half,
+      chunk.maxHeight * elevation + topPad,
+      centerZ + half
+    );
+  }
+
+  private drawChunk(program: ProgramInfo, chunk: Chunk): void {
+    const gl = this.gl;
+    gl.uniform1f(program.uniforms.uMorphEnd, chunk.morphEnd);
+    gl.bindVertexArray(chunk.vao);
+    gl.drawElements(gl.TRIANGLES, chunk.indexCount, gl.UNSIGNED_SHORT, 0);
+  }
+
+  private createDetailTextures(): WebGLTexture {
+    const gl = this.gl;
+    const texture = gl.createTexture();
+    if (!texture) {
+      throw new Error("Failed to create detail textures.");
+    }
+
+    const size = DETAIL_TEXTURE_SIZE;
+    gl.bindTexture(gl.TEXTURE_2D_ARRAY, texture);
+    gl.texImage3D(
+      gl.TEXTURE_2D_ARRAY,
+      0,
+      gl.RGBA8,
+      size,
+      size,
+      detailLayers.length,
+      0,
+      gl.RGBA,
+      gl.UNSIGNED_BYTE,
+      generateDetailTextures(size)
+    );
+    gl.generateMipmap(gl.TEXTURE_2D_ARRAY);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_S, gl.REPEAT);
+    gl.texParameteri(gl.TEXTURE_2D_ARRAY, gl.TEXTURE_WRAP_T, gl.REPEAT);
+
+    // Ground is mostly seen at grazing angles, where plain mipmapping blurs it.
+    const anisotropic = gl.getExtension("EXT_texture_filter_anisotropic");
+    if (anisotropic) {
+      const maxAnisotropy = gl.getParameter(anisotropic.MAX_TEXTURE_MAX_ANISOTROPY_EXT) as number;
+      gl.texParameterf(gl.TEXTURE_2D_ARRAY, anisotropic.TEXTURE_MAX_ANISOTROPY_EXT, Math.min(4, maxAnisotropy));
+    }
+
+    gl.bindTexture(gl.TEXTURE_2D_ARRAY, null);
+    return texture;
+  }
+
+  // The table is static, so its uniforms are set once and kept by the program.
+  private uploadBiomeTable(): void {
+    const gl = this.gl;
+    const { program, uniforms } = this.terrainProgram;
+    const biomes = packBiomeUniforms();
+
+    gl.useProgram(program);
+    gl.uniform1i(uniforms.uBiomeCount, biomes.count);
+    gl.uniform3fv(uniforms.uBiomeColor, biomes.colors);
+    gl.uniform3fv(uniforms.uBiomeHeight, biomes.heights);
+    gl.uniform3fv(uniforms.uBiomeHumidity, biomes.humidity);
+    gl.uniform3fv(uniforms.uBiomeTemperature, biomes.temperature);
+    gl.uniform3fv(uniforms.uBiomeSlope, biomes.slopes);
+    gl.uniform1iv(uniforms.uBiomeDetail, biomes.details);
+    gl.uniform1i(uniforms.uDetailTextures, 1);
+  }
+
+  private renderSky(aspect: number): void {
+    const gl = this.gl;
+    const program = this.skyProgram;
+    const view = this.view.elements;
+    const halfHeight = Math.tan(CAMERA_FOV * 0.5);
+    const halfWidth = halfHeight * aspect;
+
+    gl.useProgram(program.program);
+    gl.uniform3f(
+      program.uniforms.uCameraForward,
+      this.cameraForward.x,
+      this.cameraForward.y,
+      this.cameraForward.z
+    );
+    gl.uniform3f(program.uniforms.uCameraRight, view[0] * halfWidth, view[4] * halfWidth, view[8] * halfWidth);
+    gl.uniform3f(program.uniforms.uCameraUp, view[1] * halfHeight, view[5] * halfHeight, view[9] * halfHeight);
+    gl.uniform3f(
+      program.uniforms.uSunDir,
+      this.sunDirection.x,
+      this.sunDirection.y,
+      this.sunDirection.z
+    );
+    gl.uniform1f(program.uniforms.uDayAmount, this.dayAmount);
+    gl.uniform1f(program.uniforms.uTime, this.elapsedTime);
+    gl.uniformMatrix3fv(program.uniforms.uStarRotation, false, this.starRotation);
+    gl.uniform3f(
+      program.uniforms.uFogColor,
+      this.fogColor.x,
+      this.fogColor.y,
+      this.fogColor.z
+    );
+    gl.uniform1f(program.uniforms.uFogScale, this.weather.look.fog);
+
+    gl.disable(gl.DEPTH_TEST);
+    gl.depthMask(false);
+    gl.bindVertexArray(null);
+    gl.drawArrays(gl.TRIANGLES, 0, 3);
+    gl.depthMask(true);
+    gl.enable(gl.DEPTH_TEST);
   }
 
   private renderTerrain(): void {
@@ -490,7 +1235,7 @@ export class TerrainEngine {
       this.sunDirection.y,
       this.sunDirection.z
     );
-    gl.uniform1f(program.uniforms.uWaterLevel, this.waterLevel);
+    gl.uniform1f(program.uniforms.uWaterLevel, this.waterLevel());
     gl.uniform1f(program.uniforms.uHumidityBias, this.params.humidity);
     gl.uniform1f(program.uniforms.uTemperatureBias, this.params.temperature);
     gl.uniform1f(program.uniforms.uDayAmount, this.dayAmount);
@@ -500,32 +1245,72 @@ export class TerrainEngine {
       this.fogColor.y,
       this.fogColor.z
     );
+    gl.uniform1f(program.uniforms.uFogScale, this.weather.look.fog);
+    gl.uniform1f(program.uniforms.uWetness, this.weather.look.wetness);
+    gl.uniform1f(program.uniforms.uWeatherDarkening, this.weather.look.darkening);
+
+    const morphFocus = this.morphFocus();
+    gl.uniform2f(program.uniforms.uMorphFocus, morphFocus.x, morphFocus.z);
+    gl.uniform1f(program.uniforms.uChunkSize, this.chunkSize);
+
+    gl.uniform3f(
+      program.uniforms.uCameraForward,
+      this.cameraForward.x,
+      this.cameraForward.y,
+      this.cameraForward.z
+    );
+    const shadowMap = this.shadowMap;
+    gl.uniform1i(program.uniforms.uShadowCascadeCount, this.shadowCascades);
+    if (shadowMap && this.shadowCascades > 0) {
+      gl.uniform1i(program.uniforms.uShadowPcfRadius, shadowMap.settings.pcfRadius);
+      gl.uniformMatrix4fv(program.uniforms.uShadowMatrices, false, shadowMap.matrices);
+      gl.uniform1fv(program.uniforms.uShadowSplits, shadowMap.splits);
+      gl.uniform1fv(program.uniforms.uShadowTexelSizes, shadowMap.texelSizes);
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D_ARRAY, shadowMap.texture);
+      gl.uniform1i(program.uniforms.uShadowMap, 0);
+    }
+
+    this.setCloudUniforms(program);
+
+    gl.activeTexture(gl.TEXTURE1);
+    gl.bindTexture(gl.TEXTURE_2D_ARRAY, this.detailTextures);
+    gl.activeTexture(gl.TEXTURE0);
+
+    this.frustum.setFromMatrix(this.viewProj);
+    this.drawnChunks = 0;
+    this.culledChunks = 0;
+    this.visibleChunks.length = 0;
 
     for (const chunk of this.chunks.values()) {
-      gl.bindVertexArray(chunk.vao);
-      gl.drawElements(gl.TRIANGLES, chunk.indexCount, gl.UNSIGNED_SHORT, 0);
+      if (!this.chunkInFrustum(chunk)) {
+        this.culledChunks += 1;
+        continue;
+      }
+      this.drawnChunks += 1;
+      this.visibleChunks.push(chunk);
+      this.drawChunk(program, chunk);
     }
 
     gl.bindVertexArray(null);
   }
 
-  private renderWater(): void {
+  private renderScatter(): void {
     const gl = this.gl;
-    const program = this.waterProgram;
-
-    const repeat = this.chunkSize * 2;
-    const offsetX = Math.floor(this.cameraPosition.x / repeat) * repeat;
-    const offsetZ = Math.floor(this.cameraPosition.z / repeat) * repeat;
-
+    const program = this.scatterProgram;
     gl.useProgram(program.program);
+
     gl.uniformMatrix4fv(program.uniforms.uViewProj, false, this.viewProj.elements);
-    gl.uniform3f(program.uniforms.uWaterOffset, offsetX, this.waterLevel, offsetZ);
     gl.uniform3f(
       program.uniforms.uCameraPos,
       this.cameraPosition.x,
       this.cameraPosition.y,
       this.cameraPosition.z
     );
+    gl.uniform1f(program.uniforms.uElevation, this.params.elevation);
+    const morphFocus = this.morphFocus();
+    gl.uniform2f(program.uniforms.uMorphFocus, morphFocus.x, morphFocus.z);
+    gl.uniform1f(program.uniforms.uChunkSize, this.chunkSize);
     gl.uniform3f(
       program.uniforms.uSunDir,
       this.sunDirection.x,
@@ -533,46 +1318,280 @@ export class TerrainEngine {
       this.sunDirection.z
     );
     gl.uniform1f(program.uniforms.uDayAmount, this.dayAmount);
-    gl.uniform1f(program.uniforms.uTime, this.elapsedTime);
-    gl.uniform3f(program.uniforms.uSkyColor, this.skyColor.x, this.skyColor.y, this.skyColor.z);
     gl.uniform3f(
       program.uniforms.uFogColor,
       this.fogColor.x,
       this.fogColor.y,
       this.fogColor.z
     );
+    gl.uniform1f(program.uniforms.uFogScale, this.weather.look.fog);
+    gl.uniform1f(program.uniforms.uWeatherDarkening, this.weather.look.darkening);
+    this.setCloudUniforms(program);
 
-    gl.enable(gl.BLEND);
-    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
-    gl.depthMask(false);
+    this.visibleScatterChunks.length = 0;
+    for (const chunk of this.chunks.values()) {
+      if (
+        chunk.scatter &&
+        this.chunkInFrustum(chunk, scatterReach.radius * MAX_SCATTER_SCALE, scatterReach.height * MAX_SCATTER_SCALE)
+      ) {
+        this.visibleScatterChunks.push(chunk);
+      }
+    }
 
-    gl.bindVertexArray(this.waterMesh.vao);
-    gl.drawElements(gl.TRIANGLES, this.waterMesh.indexCount, gl.UNSIGNED_SHORT, 0);
+    for (const layer of scatterLayers) {
+      for (const kind of layer.kinds) {
+        const kindIndex = scatterKinds.indexOf(kind);
+        const mesh = this.scatterMeshes[kindIndex];
+        gl.bindVertexArray(mesh.vao);
+
+        const look = impostorLooks[kind];
+        const impostors = look !== undefined && layer.impostorDistance > layer.meshDistance;
+        gl.uniform1i(program.uniforms.uImpostor, 0);
+        gl.uniform2f(program.uniforms.uDrawRange, 0, layer.meshDistance);
+        gl.uniform1f(
+          program.uniforms.uFadeStart,
+          impostors ? layer.meshDistance : layer.meshDistance * (1 - SCATTER_FADE_FRACTION)
+        );
+        this.drawScatterKind(kindIndex, 0, layer.meshDistance, gl.TRIANGLES, mesh.vertexCount);
+
+        if (!look || !impostors) {
+          continue;
+        }
+        gl.uniform1i(program.uniforms.uImpostor, 1);
+        gl.uniform2f(program.uniforms.uDrawRange, layer.meshDistance, layer.impostorDistance);
+        gl.uniform1f(program.uniforms.uFadeStart, layer.impostorDistance * (1 - SCATTER_FADE_FRACTION));
+        gl.uniform2f(program.uniforms.uImpostorSize, look.width, look.height);
+        gl.uniform2f(program.uniforms.uImpostorTrunk, look.trunkTop, look.trunkWidth);
+        gl.uniform1i(program.uniforms.uImpostorRoundCrown, look.roundCrown ? 1 : 0);
+        gl.uniform3fv(program.uniforms.uImpostorTrunkColor, look.trunk);
+        gl.uniform3fv(program.uniforms.uImpostorFoliageColor, look.foliage);
+        gl.disable(gl.CULL_FACE);
+        this.drawScatterKind(kindIndex, layer.meshDistance, layer.impostorDistance, gl.TRIANGLE_STRIP, 4);
+        gl.enable(gl.CULL_FACE);
+      }
+    }
 
     gl.bindVertexArray(null);
-    gl.depthMask(true);
-    gl.disable(gl.BLEND);
   }
 
-  private setupGlState(): void {
+  // Draws one kind's instances in each visible chunk that reaches into
+  // [near, far) of the camera; the shader drops single instances outside it.
+  private drawScatterKind(kindIndex: number, near: number, far: number, mode: number, vertexCount: number): void {
     const gl = this.gl;
-    gl.enable(gl.DEPTH_TEST);
-    gl.depthFunc(gl.LEQUAL);
-    gl.enable(gl.CULL_FACE);
-    gl.cullFace(gl.BACK);
-  }
+    const half = this.chunkSize * 0.5;
+    const stride = SCATTER_INSTANCE_STRIDE * 4;
 
-  private syncChunks(generateImmediate: boolean): void {
-    const focus = this.params.mode === "orbit" ? this.orbitTarget : this.firstPersonPosition;
-    const chunkX = Math.floor(focus.x / this.chunkSize);
-    const chunkZ = Math.floor(focus.z / this.chunkSize);
+    for (const chunk of this.visibleScatterChunks) {
+      const scatter = chunk.scatter;
+      if (!scatter || scatter.counts[kindIndex] === 0) {
+        continue;
+      }
 
-    if (!generateImmediate && chunkX === this.currentChunkX && chunkZ === this.currentChunkZ) {
-      return;
+      const offsetX = Math.abs(this.cameraPosition.x - chunk.chunkX * this.chunkSize);
+      const offsetZ = Math.abs(this.cameraPosition.z - chunk.chunkZ * this.chunkSize);
+      const nearest = Math.hypot(Math.max(offsetX - half, 0), Math.max(offsetZ - half, 0));
+      const farthest = Math.hypot(offsetX + half, offsetZ + half);
+      if (nearest >= far || farthest < near) {
+        continue;
+      }
+
+      const offset = scatter.firsts[kindIndex] * stride;
+      gl.uniform1f(this.scatterProgram.uniforms.uMorphEnd, chunk.morphEnd);
+      gl.bindBuffer(gl.ARRAY_BUFFER, scatter.buffer);
+      gl.vertexAttribPointer(3, 3, gl.FLOAT, false, stride, offset);
+      gl.vertexAttribPointer(4, 3, gl.FLOAT, false, stride, offset + 3 * 4);
+      gl.vertexAttribPointer(5, 1, gl.FLOAT, false, stride, offset + 6 * 4);
+      gl.drawArraysInstanced(mode, 0, vertexCount, scatter.counts[kindIndex]);
     }
+  }
 
-    this.currentChunkX = chunkX;
-    this.currentChunkZ = chunkZ;
+  // World-space height of the sea plane.
+  private waterLevel(): number {
+    return this.params.seaLevel * this.params.elevation;
+  }
+
+  // Weather can thicken the cloud layer beyond the slider, never thin it.
+  private cloudCoverage(): number {
+    return Math.max(this.params.cloudCoverage, this.weather.look.cloudCover);
+  }
+
+  private setCloudUniforms(program: ProgramInfo): void {
+    const gl = this.gl;
+    gl.uniform1f(program.uniforms.uCloudCoverage, this.cloudCoverage());
+    gl.uniform1f(program.uniforms.uCloudAltitude, this.params.cloudAltitude);
+    gl.uniform2f(program.uniforms.uCloudOffset, this.cloudOffsetX, this.cloudOffsetZ);
+  }
+
+  private renderClouds(viewRange: number): void {
+    if (this.cloudCoverage() <= 0) {
+      return;
+    }
+
+    const gl = this.gl;
+    const program = this.cloudProgram;
+    gl.useProgram(program.program);
+    gl.uniformMatrix4fv(program.uniforms.uViewProj, false, this.viewProj.elements);
+    gl.uniform3f(
+      program.uniforms.uCameraPos,
+      this.cameraPosition.x,
+      this.cameraPosition.y,
+      this.cameraPosition.z
+    );
+    gl.uniform3f(
+      program.uniforms.uSunDir,
+      this.sunDirection.x,
+      this.sunDirection.y,
+      this.sunDirection.z
+    );
+    gl.uniform1f(program.uniforms.uDayAmount, this.dayAmount);
+    gl.uniform1f(program.uniforms.uCloudExtent, cloudExtent(viewRange));
+    gl.uniform3f(
+      program.uniforms.uFogColor,
+      this.fogColor.x,
+      this.fogColor.y,
+      this.fogColor.z
+    );
+    gl.uniform1f(program.uniforms.uFogScale, this.weather.look.fog);
+    this.setCloudUniforms(program);
+
+    // The layer is seen from above and below alike.
+    gl.disable(gl.CULL_FACE);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    gl.depthMask(false);
+
+    gl.bindVertexArray(null);
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+
+    gl.depthMask(true);
+    gl.disable(gl.BLEND);
+    gl.enable(gl.CULL_FACE);
+  }
+
+  private renderWater(): void {
+    const gl = this.gl;
+    const program = this.waterProgram;
+
+    const repeat = this.chunkSize * 2;
+    const offsetX = Math.floor(this.cameraPosition.x / repeat) * repeat;
+    const offsetZ = Math.floor(this.cameraPosition.z / repeat) * repeat;
+
+    gl.useProgram(program.program);
+    gl.uniformMatrix4fv(program.uniforms.uViewProj, false, this.viewProj.elements);
+    gl.uniform1f(program.uniforms.uElevation, this.params.elevation);
+    gl.uniform1f(program.uniforms.uWaveScale, 1);
+    gl.uniform3f(program.uniforms.uWaterOffset, offsetX, this.waterLevel(), offsetZ);
+    gl.uniform3f(
+      program.uniforms.uCameraPos,
+      this.cameraPosition.x,
+      this.cameraPosition.y,
+      this.cameraPosition.z
+    );
+    gl.uniform3f(
+      program.uniforms.uSunDir,
+      this.sunDirection.x,
+      this.sunDirection.y,
+      this.sunDirection.z
+    );
+    gl.uniform1f(program.uniforms.uDayAmount, this.dayAmount);
+    gl.uniform1f(program.uniforms.uTime, this.elapsedTime);
+    gl.uniform3f(
+      program.uniforms.uFogColor,
+      this.fogColor.x,
+      this.fogColor.y,
+      this.fogColor.z
+    );
+    gl.uniform1f(program.uniforms.uFogScale, this.weather.look.fog);
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    gl.depthMask(false);
+
+    gl.bindVertexArray(this.waterMesh.vao);
+    gl.drawElements(gl.TRIANGLES, this.waterMesh.indexCount, gl.UNSIGNED_SHORT, 0);
+
+    // Lakes and rivers sit at their own levels in world space and barely
+    // ripple.
+    gl.uniform1f(program.uniforms.uWaveScale, FRESH_WATER_WAVE_SCALE);
+    gl.uniform3f(program.uniforms.uWaterOffset, 0, 0, 0);
+    for (const chunk of this.visibleChunks) {
+      if (chunk.water) {
+        gl.bindVertexArray(chunk.water.vao);
+        gl.drawElements(gl.TRIANGLES, chunk.water.indexCount, gl.UNSIGNED_SHORT, 0);
+      }
+    }
+
+    gl.bindVertexArray(null);
+    gl.depthMask(true);
+    gl.disable(gl.BLEND);
+  }
+
+  private renderPrecipitation(viewportHeight: number): void {
+    const { rain, snow } = this.weather.look;
+    const count = Math.round(PRECIPITATION_PARTICLES * Math.min(1, rain + snow));
+    if (count <= 0) {
+      return;
+    }
+
+    const gl = this.gl;
+    const program = this.precipitationProgram;
+    const windAngle = (this.params.windDirection * Math.PI) / 180;
+
+    gl.useProgram(program.program);
+    gl.uniformMatrix4fv(program.uniforms.uViewProj, false, this.viewProj.elements);
+    gl.uniform3f(
+      program.uniforms.uCameraPos,
+      this.cameraPosition.x,
+      this.cameraPosition.y,
+      this.cameraPosition.z
+    );
+    gl.uniform1f(program.uniforms.uTime, this.elapsedTime);
+    gl.uniform1f(program.uniforms.uSnow, snow / (rain + snow));
+    gl.uniform2f(
+      program.uniforms.uWind,
+      Math.sin(windAngle) * this.params.windSpeed,
+      Math.cos(windAngle) * this.params.windSpeed
+    );
+    gl.uniform1f(program.uniforms.uPointScale, viewportHeight / (2 * Math.tan(CAMERA_FOV * 0.5)));
+    gl.uniform1f(program.uniforms.uDayAmount, this.dayAmount);
+    gl.uniform3f(
+      program.uniforms.uFogColor,
+      this.fogColor.x,
+      this.fogColor.y,
+      this.fogColor.z
+    );
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+    gl.depthMask(false);
+
+    gl.bindVertexArray(this.precipitation.vao);
+    gl.drawArrays(gl.POINTS, 0, count);
+
+    gl.bindVertexArray(null);
+    gl.depthMask(true);
+    gl.disable(gl.BLEND);
+  }
+
+  private setupGlState(): void {
+    const gl = this.gl;
+    gl.enable(gl.DEPTH_TEST);
+    gl.depthFunc(gl.LEQUAL);
+    gl.enable(gl.CULL_FACE);
+    gl.cullFace(gl.BACK);
+  }
+
+  private syncChunks(generateImmediate: boolean): void {
+    const focus = this.params.mode === "orbit" ? this.orbitTarget : this.firstPersonPosition;
+    const chunkX = Math.floor(focus.x / this.chunkSize);
+    const chunkZ = Math.floor(focus.z / this.chunkSize);
+
+    if (!generateImmediate && chunkX === this.currentChunkX && chunkZ === this.currentChunkZ) {
+      return;
+    }
+
+    this.currentChunkX = chunkX;
+    this.currentChunkZ = chunkZ;
 
     const desired = new Map<string, ChunkRequest>();
 
@@ -586,6 +1605,7 @@ export class TerrainEngine {
           chunkX: chunkX + dx,
           chunkZ: chunkZ + dz,
           lod,
+          morphLod: this.morphTargetForLod(lod).coarseLod,
           distance
         };
 
@@ -593,27 +1613,65 @@ export class TerrainEngine {
       }
     }
 
+    // Chunks that only changed LOD stay on screen, morphed towards the
+    // coarser surface, until their replacement is uploaded.
     for (const existing of this.chunks.values()) {
-      const wanted = desired.get(existing.key);
-      if (!wanted || wanted.lod !== existing.lod) {
-        this.disposeChunk(existing);
+      if (!desired.has(existing.key)) {
+        this.retireChunk(existing);
         this.chunks.delete(existing.key);
       }
     }
 
+    const isWanted = (key: string, lod: number, morphLod: number): boolean => {
+      const wanted = desired.get(key);
+      return wanted !== undefined && wanted.lod === lod && wanted.morphLod === morphLod;
+    };
+
+    this.chunkQueue = this.chunkQueue.filter((request) => {
+      if (isWanted(request.key, request.lod, request.morphLod)) {
+        return true;
+      }
+      this.pendingChunkKeys.delete(request.key);
+      return false;
+    });
+
+    this.readyChunks = this.readyChunks.filter((result) => {
+      if (isWanted(result.job.key, result.job.lod, result.job.morphLod)) {
+        return true;
+      }
+      this.pendingChunkKeys.delete(result.job.key);
+      return false;
+    });
+
+    const staleJobs = this.workerPool.cancel(
+      (active) => !isWanted(active.key, active.lod, active.morphLod)
+    );
+    for (const job of staleJobs) {
+      this.pendingChunkKeys.delete(job.key);
+    }
+
     for (const request of desired.values()) {
-      const existing = this.chunks.get(request.key);
-      if (existing && existing.lod === request.lod) {
+      if (this.hasChunkFor(request)) {
         continue;
       }
       if (this.pendingChunkKeys.has(request.key)) {
         continue;
       }
+
+      const cached = this.chunkCache.take(this.chunkCacheKey(request));
+      if (cached) {
+        cached.morphEnd = this.morphTargetForLod(cached.lod).morphEnd;
+        this.installChunk(cached);
+        this.cacheHits += 1;
+        continue;
+      }
+      this.cacheMisses += 1;
       this.pendingChunkKeys.add(request.key);
 
-      if (generateImmediate && request.distance <= 1) {
-        const chunk = this.createChunk(request);
-        this.chunks.set(request.key, chunk);
+      // With workers the inner chunks go through the queue like any other,
+      // and the page shows a loading placeholder until they land.
+      if (generateImmediate && request.distance <= 1 && this.workerPool.size === 0) {
+        this.installChunk(this.createChunk(request));
         this.pendingChunkKeys.delete(request.key);
       } else {
         this.chunkQueue.push(request);
@@ -623,112 +1681,318 @@ export class TerrainEngine {
     this.chunkQueue.sort((a, b) => a.distance - b.distance);
   }
 
-  private processChunkQueue(maxPerFrame: number): void {
-    let generated = 0;
+  private processChunkQueue(budgetMs: number): void {
+    const startedAt = performance.now();
+    const withinBudget = (): boolean => performance.now() - startedAt < budgetMs;
 
-    while (generated < maxPerFrame && this.chunkQueue.length > 0) {
+    while (this.readyChunks.length > 0 && withinBudget()) {
+      const result = this.readyChunks.shift();
+      if (!result) {
+        break;
+      }
+
+      this.pendingChunkKeys.delete(result.job.key);
+      if (
+        terrainFieldKey(result.job.seed, result.job.shape) !== this.terrainField.key ||
+        !this.isRequestCurrent(result.job) ||
+        result.job.scatter !== this.lodHasScatter(result.job.lod)
+      ) {
+        continue;
+      }
+      if (this.hasChunkFor(result.job)) {
+        continue;
+      }
+
+      this.recordChunkBuildTime(result.buildMs);
+      this.installChunk(this.uploadChunk(result.job, result));
+    }
+
+    if (this.chunkQueue.length === 0) {
+      return;
+    }
+
+    this.prioritizeChunkQueue();
+
+    if (this.workerPool.size === 0) {
+      this.generateChunksInline(withinBudget);
+      return;
+    }
+
+    while (this.chunkQueue.length > 0 && this.workerPool.hasIdleWorker()) {
       const request = this.chunkQueue.shift();
       if (!request) {
         break;
       }
 
-      const dx = Math.abs(request.chunkX - this.currentChunkX);
-      const dz = Math.abs(request.chunkZ - this.currentChunkZ);
-      const distance = Math.max(dx, dz);
-      if (distance > this.chunkRadius || this.lodForDistance(distance) !== request.lod) {
+      if (!this.isRequestCurrent(request) || this.hasChunkFor(request)) {
+        this.pendingChunkKeys.delete(request.key);
+        continue;
+      }
+
+      if ((this.chunkFailures.get(request.key) ?? 0) > MAX_CHUNK_WORKER_RETRIES) {
+        this.installChunk(this.createChunk(request));
         this.pendingChunkKeys.delete(request.key);
         continue;
       }
 
-      if (this.chunks.has(request.key)) {
+      const job: ChunkBuildJob = {
+        key: request.key,
+        chunkX: request.chunkX,
+        chunkZ: request.chunkZ,
+        lod: request.lod,
+        morphLod: request.morphLod,
+        chunkSize: this.chunkSize,
+        seed: this.terrainField.seed,
+        shape: this.terrainField.shape,
+        scatter: this.lodHasScatter(request.lod)
+      };
+      if (!this.workerPool.submit(job)) {
+        this.chunkQueue.unshift(request);
+        break;
+      }
+    }
+  }
+
+  private generateChunksInline(withinBudget: () => boolean): void {
+    while (this.chunkQueue.length > 0 && withinBudget()) {
+      const request = this.chunkQueue.shift();
+      if (!request) {
+        break;
+      }
+
+      if (!this.isRequestCurrent(request) || this.hasChunkFor(request)) {
         this.pendingChunkKeys.delete(request.key);
         continue;
       }
 
-      const chunk = this.createChunk(request);
-      this.chunks.set(request.key, chunk);
+      this.installChunk(this.createChunk(request));
       this.pendingChunkKeys.delete(request.key);
-      generated += 1;
     }
   }
 
-  private lodForDistance(distance: number): number {
-    if (distance <= 1) {
-      return 52;
+  // Chunks the camera can currently see are streamed first, nearest first;
+  // the frustum is the one rendered last frame.
+  private prioritizeChunkQueue(): void {
+    this.frustum.setFromMatrix(this.viewProj);
+
+    const verticalReach = TERRAIN_HEIGHT_BOUND * Math.max(this.params.elevation, 0.001);
+    const half = this.chunkSize * 0.5;
+    const priority = new Map<ChunkRequest, number>();
+
+    for (const request of this.chunkQueue) {
+      const centerX = request.chunkX * this.chunkSize;
+      const centerZ = request.chunkZ * this.chunkSize;
+      const visible = this.frustum.intersectsBox(
+        centerX - half,
+        -verticalReach,
+        centerZ - half,
+        centerX + half,
+        verticalReach,
+        centerZ + half
+      );
+      priority.set(request, (visible ? 0 : this.chunkRadius + 1) + request.distance);
     }
-    if (distance === 2) {
-      return 30;
+
+    this.chunkQueue.sort((a, b) => (priority.get(a) ?? 0) - (priority.get(b) ?? 0));
+  }
+
+  private recordChunkBuildTime(buildMs: number): void {
+    this.chunkBuildMs = this.chunkBuildMs === 0 ? buildMs : lerp(this.chunkBuildMs, buildMs, 0.15);
+  }
+
+  private isRequestCurrent(
+    request: Pick<ChunkRequest, "chunkX" | "chunkZ" | "lod" | "morphLod">
+  ): boolean {
+    const dx = Math.abs(request.chunkX - this.currentChunkX);
+    const dz = Math.abs(request.chunkZ - this.currentChunkZ);
+    const distance = Math.max(dx, dz);
+    return (
+      distance <= this.chunkRadius &&
+      this.lodForDistance(distance) === request.lod &&
+      this.morphTargetForLod(request.lod).coarseLod === request.morphLod
+    );
+  }
+
+  // A chunk built from an older terrain field doesn't count; it only holds
+  // the spot until its rebuild arrives.
+  private hasChunkFor(request: Pick<ChunkRequest, "key" | "lod" | "morphLod">): boolean {
+    return this.chunks.get(request.key)?.cacheKey === this.chunkCacheKey(request);
+  }
+
+  private installChunk(chunk: Chunk): void {
+    this.chunkFailures.delete(chunk.key);
+    const previous = this.chunks.get(chunk.key);
+    if (previous) {
+      this.retireChunk(previous);
     }
-    return 18;
+    this.chunks.set(chunk.key, chunk);
   }
 
-  private createChunk(request: ChunkRequest): Chunk {
-    const gl = this.gl;
-    const lod = request.lod;
-    const vertexCount = (lod + 1) * (lod + 1);
-    const stride = 8;
+  // Chunks of an older terrain field are freed rather than cached.
+  private retireChunk(chunk: Chunk): void {
+    if (chunk.cacheKey.startsWith(this.chunkCachePrefix())) {
+      this.chunkCache.put(chunk.cacheKey, chunk);
+    } else {
+      this.disposeChunk(chunk);
+    }
+  }
 
-    const vertices = new Float32Array(vertexCount * stride);
-    const step = this.chunkSize / lod;
-    const baseX = request.chunkX * this.chunkSize - this.chunkSize * 0.5;
-    const baseZ = request.chunkZ * this.chunkSize - this.chunkSize * 0.5;
-    const normalStep = step * 0.5;
+  private chunkCachePrefix(): string {
+    return chunkCachePrefix(this.terrainField.key, this.chunkSize);
+  }
 
-    let cursor = 0;
-    for (let z = 0; z <= lod; z += 1) {
-      for (let x = 0; x <= lod; x += 1) {
-        const worldX = baseX + x * step;
-        const worldZ = baseZ + z * step;
+  private chunkCacheKey(request: Pick<ChunkRequest, "key" | "lod" | "morphLod">): string {
+    return chunkCacheKey(this.terrainField.key, this.chunkSize, {
+      key: request.key,
+      lod: request.lod,
+      morphLod: request.morphLod,
+      scatter: this.lodHasScatter(request.lod)
+    });
+  }
+
+  private readonly handleChunkBuilt = (result: ChunkBuildResult): void => {
+    if (this.disposed) {
+      return;
+    }
+    this.readyChunks.push(result);
+  };
+
+  // A failed build goes back on the queue; processChunkQueue builds it
+  // inline once the workers have failed it too often.
+  private readonly handleChunkFailed = (job: ChunkBuildJob): void => {
+    if (
+      this.disposed ||
+      terrainFieldKey(job.seed, job.shape) !== this.terrainField.key ||
+      job.chunkSize !== this.chunkSize ||
+      !this.isRequestCurrent(job)
+    ) {
+      this.pendingChunkKeys.delete(job.key);
+      return;
+    }
 
-        const height = this.terrainField.sampleHeight(worldX, worldZ);
-        const humidity = this.terrainField.sampleHumidity(worldX, worldZ);
-        const temperature = this.terrainField.sampleTemperature(worldX, worldZ, height);
+    this.chunkFailures.set(job.key, (this.chunkFailures.get(job.key) ?? 0) + 1);
+    this.chunkQueue.push({
+      key: job.key,
+      chunkX: job.chunkX,
+      chunkZ: job.chunkZ,
+      lod: job.lod,
+      morphLod: job.morphLod,
+      distance: Math.max(Math.abs(job.chunkX - this.currentChunkX), Math.abs(job.chunkZ - this.currentChunkZ))
+    });
+  };
 
-        const hL = this.terrainField.sampleHeight(worldX - normalStep, worldZ);
-        const hR = this.terrainField.sampleHeight(worldX + normalStep, worldZ);
-        const hD = this.terrainField.sampleHeight(worldX, worldZ - normalStep);
-        const hU = this.terrainField.sampleHeight(worldX, worldZ + normalStep);
+  private lodForDistance(distance: number): number {
+    return lodForRing(this.lodLevels, distance);
+  }
+
+  private applyViewDistance(): void {
+    const tier = this.qualityGovernor.tier;
+    const radius = Math.round(clamp(this.params.chunkRadius, 1, 12));
+
+    this.chunkSize = clamp(this.params.chunkSize, 16, 512);
+    this.chunkRadius = Math.max(1, radius - tier.radiusReduction);
+    this.lodLevels = normalizeLodLevels(
+      this.params.lodLevels.map((level) => ({
+        maxRing: level.maxRing,
+        subdivisions: Math.max(4, level.subdivisions * tier.lodScale)
+      }))
+    );
+  }
 
-        const nx = hL - hR;
-        const ny = 2 * normalStep;
-        const nz = hD - hU;
-        const invLen = 1 / Math.sqrt(nx * nx + ny * ny + nz * nz);
+  private refreshViewDistance(terrainChanged: boolean): void {
+    const previousChunkSize = this.chunkSize;
+    const previousChunkRadius = this.chunkRadius;
+    const previousLodLevels = this.lodLevels;
 
-        vertices[cursor + 0] = worldX;
-        vertices[cursor + 1] = height;
-        vertices[cursor + 2] = worldZ;
-        vertices[cursor + 3] = nx * invLen;
-        vertices[cursor + 4] = ny * invLen;
-        vertices[cursor + 5] = nz * invLen;
-        vertices[cursor + 6] = humidity;
-        vertices[cursor + 7] = temperature;
+    this.applyViewDistance();
 
-        cursor += stride;
+    if (previousChunkSize !== this.chunkSize) {
+      this.resetChunks();
+    } else if (terrainChanged) {
+      this.restreamChunks();
+    } else if (
+      previousChunkRadius !== this.chunkRadius ||
+      !sameLodLevels(previousLodLevels, this.lodLevels)
+    ) {
+      for (const chunk of this.chunks.values()) {
+        chunk.morphEnd = this.morphTargetForLod(chunk.lod).morphEnd;
       }
+      this.currentChunkX = Number.NaN;
+      this.currentChunkZ = Number.NaN;
+      this.syncChunks(false);
     }
 
-    const indices = new Uint16Array(lod * lod * 6);
-    let indexCursor = 0;
+    if (previousChunkSize !== this.chunkSize || previousChunkRadius !== this.chunkRadius) {
+      this.disposeWaterMesh(this.waterMesh);
+      this.waterMesh = this.createWaterMesh();
+    }
+  }
 
-    for (let z = 0; z < lod; z += 1) {
-      for (let x = 0; x < lod; x += 1) {
-        const row = z * (lod + 1);
-        const i0 = row + x;
-        const i1 = i0 + 1;
-        const i2 = i0 + (lod + 1);
-        const i3 = i2 + 1;
+  // Centre of the chunk syncChunks builds its rings around, which the shaders
+  // measure each vertex's morph distance from (see lodMorphWeight).
+  private morphFocus(): { x: number; z: number } {
+    const focus = this.getFocusPoint();
+    return {
+      x: Math.floor(focus.x / this.chunkSize) * this.chunkSize,
+      z: Math.floor(focus.z / this.chunkSize) * this.chunkSize
+    };
+  }
 
-        indices[indexCursor + 0] = i0;
-        indices[indexCursor + 1] = i2;
-        indices[indexCursor + 2] = i1;
-        indices[indexCursor + 3] = i1;
-        indices[indexCursor + 4] = i2;
-        indices[indexCursor + 5] = i3;
+  // Chunks of a LOD whose rings all lie beyond the farthest drawn instance
+  // build no scatter. The focus can sit up to a chunk and a half from the
+  // inner edge of a ring.
+  private lodHasScatter(lod: number): boolean {
+    for (let distance = 0; distance <= this.chunkRadius; distance += 1) {
+      if (this.lodForDistance(distance) === lod) {
+        return (distance - 1.5) * this.chunkSize < scatterDrawDistance;
+      }
+    }
+    return true;
+  }
 
-        indexCursor += 6;
+  // Each LOD morphs towards the next coarser one over the last part of its
+  // outermost ring, measured in chunks from the streaming focus.
+  private morphTargetForLod(lod: number): LodMorphTarget {
+    let outerRing = 0;
+    for (let distance = 0; distance <= this.chunkRadius; distance += 1) {
+      if (this.lodForDistance(distance) === lod) {
+        outerRing = distance;
       }
     }
 
+    if (outerRing >= this.chunkRadius) {
+      return { coarseLod: lod, morphEnd: this.chunkRadius + 1 };
+    }
+
+    return {
+      coarseLod: this.lodForDistance(outerRing + 1),
+      morphEnd: outerRing + 0.5
+    };
+  }
+
+  private createChunk(request: ChunkRequest): Chunk {
+    const startedAt = performance.now();
+    const mesh = buildChunkMesh(
+      this.terrainField,
+      request.chunkX,
+      request.chunkZ,
+      request.lod,
+      request.morphLod,
+      this.chunkSize,
+      this.lodHasScatter(request.lod)
+    );
+    this.recordChunkBuildTime(performance.now() - startedAt);
+    return this.uploadChunk(request, mesh);
+  }
+
+  private uploadChunk(
+    request: Pick<ChunkRequest, "key" | "chunkX" | "chunkZ" | "lod" | "morphLod">,
+    mesh: ChunkMeshData
+  ): Chunk {
+    const gl = this.gl;
+    const stride = CHUNK_VERTEX_STRIDE;
+    const { vertices, indices } = mesh;
+
     const vao = gl.createVertexArray();
     const vertexBuffer = gl.createBuffer();
     const indexBuffer = gl.createBuffer();
@@ -750,21 +2014,49 @@ export class TerrainEngine {
     gl.vertexAttribPointer(2, 1, gl.FLOAT, false, stride * 4, 6 * 4);
     gl.enableVertexAttribArray(3);
     gl.vertexAttribPointer(3, 1, gl.FLOAT, false, stride * 4, 7 * 4);
+    gl.enableVertexAttribArray(4);
+    gl.vertexAttribPointer(4, 1, gl.FLOAT, false, stride * 4, 8 * 4);
 
     gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, indexBuffer);
     gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, indices, gl.STATIC_DRAW);
 
     gl.bindVertexArray(null);
 
+    const water =
+      mesh.waterIndices.length > 0 ? this.uploadWaterMesh(mesh.waterVertices, mesh.waterIndices) : null;
+    const scatter = mesh.scatter.data.length > 0 ? this.uploadScatter(mesh.scatter) : null;
+
+    const surface = new Float32Array((request.lod + 1) * (request.lod + 1));
+    for (let i = 0; i < surface.length; i += 1) {
+      surface[i] = vertices[i * stride + 1];
+    }
+    for (const index of mesh.waterIndices) {
+      surface[index] = Math.max(surface[index], mesh.waterVertices[index * 3 + 1]);
+    }
+
     return {
       key: request.key,
+      cacheKey: this.chunkCacheKey(request),
       chunkX: request.chunkX,
       chunkZ: request.chunkZ,
-      lod,
+      lod: request.lod,
+      morphLod: request.morphLod,
+      morphEnd: this.morphTargetForLod(request.lod).morphEnd,
+      minHeight: mesh.minHeight,
+      maxHeight: mesh.maxHeight,
+      surface,
+      gpuBytes:
+        vertices.byteLength +
+        indices.byteLength +
+        mesh.waterVertices.byteLength +
+        mesh.waterIndices.byteLength +
+        mesh.scatter.data.byteLength,
       vao,
       vertexBuffer,
       indexBuffer,
-      indexCount: indices.length
+      indexCount: indices.length,
+      water,
+      scatter
     };
   }
 
@@ -772,6 +2064,12 @@ export class TerrainEngine {
     this.gl.deleteVertexArray(chunk.vao);
     this.gl.deleteBuffer(chunk.vertexBuffer);
     this.gl.deleteBuffer(chunk.indexBuffer);
+    if (chunk.water) {
+      this.disposeWaterMesh(chunk.water);
+    }
+    if (chunk.scatter) {
+      this.gl.deleteBuffer(chunk.scatter.buffer);
+    }
   }
 
   private resetChunks(): void {
@@ -780,14 +2078,126 @@ export class TerrainEngine {
     }
 
     this.chunks.clear();
+    this.chunkCache.clear();
     this.chunkQueue.length = 0;
+    this.readyChunks.length = 0;
+    this.workerPool.cancel(() => true);
     this.pendingChunkKeys.clear();
+    this.chunkFailures.clear();
     this.currentChunkX = Number.NaN;
     this.currentChunkZ = Number.NaN;
 
     this.syncChunks(true);
   }
 
+  // The terrain field changed: every chunk is rebuilt through the normal
+  // queue, and the old ones stay on screen until their replacements land.
+  private restreamChunks(): void {
+    for (const chunk of this.chunks.values()) {
+      chunk.morphEnd = this.morphTargetForLod(chunk.lod).morphEnd;
+    }
+    this.chunkQueue.length = 0;
+    this.readyChunks.length = 0;
+    this.workerPool.cancel(() => true);
+    this.pendingChunkKeys.clear();
+    this.chunkFailures.clear();
+    this.currentChunkX = Number.NaN;
+    this.currentChunkZ = Number.NaN;
+
+    // Cached chunks of other fields can never be hit again.
+    const prefix = this.chunkCachePrefix();
+    this.chunkCache.evictWhere((key) => !key.startsWith(prefix));
+
+    this.syncChunks(false);
+  }
+
+  private uploadScatter(candidates: ScatterCandidates): ChunkScatter {
+    const buffer = this.gl.createBuffer();
+    if (!buffer) {
+      throw new Error("Failed to create scatter instance buffer.");
+    }
+
+    const scatter: ChunkScatter = { candidates, buffer, firsts: [], counts: [], placedFor: null };
+    this.placeChunkScatter(scatter);
+    return scatter;
+  }
+
+  // The settings that decide what scattered candidates grow into.
+  private scatterQuery(): BiomeQuery {
+    return {
+      elevation: this.params.elevation,
+      humidityBias: this.params.humidity,
+      temperatureBias: this.params.temperature,
+      waterLevel: this.waterLevel()
+    };
+  }
+
+  private placeChunkScatter(scatter: ChunkScatter): void {
+    const gl = this.gl;
+    const query = this.scatterQuery();
+    const instances = placeScatter(scatter.candidates, query);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, scatter.buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, instances.data, gl.DYNAMIC_DRAW);
+    gl.bindBuffer(gl.ARRAY_BUFFER, null);
+
+    scatter.firsts = instances.firsts;
+    scatter.counts = instances.counts;
+    scatter.placedFor = query;
+  }
+
+  // Re-places the chunks whose instances were placed under other slider
+  // settings, as many as fit in the frame's budget, so dragging a slider
+  // stays smooth. Cached chunks catch up once they are back on screen.
+  private refreshScatter(budgetMs: number): void {
+    const startedAt = performance.now();
+    const query = this.scatterQuery();
+
+    for (const chunk of this.chunks.values()) {
+      if (performance.now() - startedAt >= budgetMs) {
+        return;
+      }
+      if (chunk.scatter && !sameBiomeQuery(chunk.scatter.placedFor, query)) {
+        this.placeChunkScatter(chunk.scatter);
+      }
+    }
+  }
+
+  private createScatterMeshes(): ScatterMesh[] {
+    const gl = this.gl;
+    const stride = SCATTER_VERTEX_STRIDE * 4;
+
+    return scatterKinds.map((kind) => {
+      const vertices = buildScatterMesh(kind);
+      const vao = gl.createVertexArray();
+      const buffer = gl.createBuffer();
+      if (!vao || !buffer) {
+        throw new Error("Failed to create scatter meshes.");
+      }
+
+      gl.bindVertexArray(vao);
+      gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+      gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STATIC_DRAW);
+      gl.enableVertexAttribArray(0);
+      gl.vertexAttribPointer(0, 3, gl.FLOAT, false, stride, 0);
+      gl.enableVertexAttribArray(1);
+      gl.vertexAttribPointer(1, 3, gl.FLOAT, false, stride, 3 * 4);
+      gl.enableVertexAttribArray(2);
+      gl.vertexAttribPointer(2, 3, gl.FLOAT, false, stride, 6 * 4);
+
+      // Instance attributes are pointed at a chunk's buffer before each draw.
+      gl.enableVertexAttribArray(3);
+      gl.vertexAttribDivisor(3, 1);
+      gl.enableVertexAttribArray(4);
+      gl.vertexAttribDivisor(4, 1);
+      gl.enableVertexAttribArray(5);
+      gl.vertexAttribDivisor(5, 1);
+      gl.bindVertexArray(null);
+
+      return { vao, buffer, vertexCount: vertices.length / SCATTER_VERTEX_STRIDE };
+    });
+  }
+
   private createWaterMesh(): WaterMesh {
     const gl = this.gl;
     const subdivisions = 120;
@@ -830,6 +2240,11 @@ export class TerrainEngine {
       }
     }
 
+    return this.uploadWaterMesh(vertices, indices);
+  }
+
+  private uploadWaterMesh(vertices: Float32Array, indices: Uint16Array): WaterMesh {
+    const gl = this.gl;
     const vao = gl.createVertexArray();
     const vertexBuffer = gl.createBuffer();
     const indexBuffer = gl.createBuffer();
@@ -858,6 +2273,32 @@ export class TerrainEngine {
     };
   }
 
+  // Fixed random seeds; all motion happens in the vertex shader. Lighter
+  // precipitation draws only the first part of the buffer.
+  private createPrecipitationParticles(): ParticleBuffer {
+    const gl = this.gl;
+    const vao = gl.createVertexArray();
+    const buffer = gl.createBuffer();
+    if (!vao || !buffer) {
+      throw new Error("Failed to create precipitation particles.");
+    }
+
+    const random = mulberry32(0x5eed);
+    const seeds = new Float32Array(PRECIPITATION_PARTICLES * 4);
+    for (let i = 0; i < seeds.length; i += 1) {
+      seeds[i] = random();
+    }
+
+    gl.bindVertexArray(vao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, seeds, gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 4, gl.FLOAT, false, 4 * 4, 0);
+    gl.bindVertexArray(null);
+
+    return { vao, buffer };
+  }
+
   private disposeWaterMesh(mesh: WaterMesh): void {
     this.gl.deleteVertexArray(mesh.vao);
     this.gl.deleteBuffer(mesh.vertexBuffer);
@@ -865,10 +2306,6 @@ export class TerrainEngine {
   }
 
   private reportStats(deltaSeconds: number): void {
-    if (!this.onStats) {
-      return;
-    }
-
     this.fpsFrames += 1;
     this.statsTimer += deltaSeconds;
 
@@ -877,16 +2314,43 @@ export class TerrainEngine {
       this.fpsFrames = 0;
       this.statsTimer = 0;
 
-      this.onStats({
+      if (this.params.autoQuality && this.qualityGovernor.sample(this.fpsValue, this.params.targetFps)) {
+        this.refreshViewDistance(false);
+      }
+
+      this.onStats?.({
         fps: this.fpsValue,
         chunkCount: this.chunks.size,
-        mode: this.params.mode
+        mode: this.params.mode,
+        qualityTier: this.qualityGovernor.tier.name,
+        queuedChunks: this.chunkQueue.length + this.workerPool.busyCount + this.readyChunks.length,
+        chunkBuildMs: this.chunkBuildMs,
+        drawnChunks: this.drawnChunks,
+        culledChunks: this.culledChunks,
+        cachedChunks: this.chunkCache.size,
+        cacheHits: this.cacheHits,
+        cacheMisses: this.cacheMisses,
+        shadowsAvailable: this.shadowsAvailable,
+        weather: this.weather.kind,
+        timeOfDay: this.timeOfDay,
+        terrainLoading: !this.hasInnerChunks()
       });
     }
   }
 
+  private hasInnerChunks(): boolean {
+    for (let dz = -1; dz <= 1; dz += 1) {
+      for (let dx = -1; dx <= 1; dx += 1) {
+        if (!this.chunks.has(`${this.currentChunkX + dx},${this.currentChunkZ + dz}`)) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
   private resize = (): void => {
-    const dpr = Math.min(2, window.devicePixelRatio || 1);
+    const dpr = Math.min(this.qualityGovernor.tier.maxPixelRatio, window.devicePixelRatio || 1);
     const targetWidth = Math.max(1, Math.floor(this.canvas.clientWidth * dpr));
     const targetHeight = Math.max(1, Math.floor(this.canvas.clientHeight * dpr));
 
@@ -1,10 +1,63 @@
-import { SimplexNoise2D } from "./simplex";
+import { classifyBiomeSample, type BiomeDefinition } from "./biomes";
+import {
+  computeDrainage,
+  DRAINAGE_CARVE,
+  DRAINAGE_WATER_COVERAGE,
+  DRAINAGE_WATER_LEVEL,
+  drainageTileOptions
+} from "./drainage";
+import { erodeHydraulic, type HydraulicErosionSettings } from "./hydraulicErosion";
+import { hashSeed, mulberry32, SimplexNoise2D } from "./simplex";
+import { erosionTileOptions, TerrainTileLayer } from "./terrainTiles";
+import { erodeThermal, type ThermalErosionSettings } from "./thermalErosion";
 
 function clamp(value: number, min: number, max: number): number {
   return Math.min(max, Math.max(min, value));
 }
 
+// The render-time settings that shift biomes; defaults match a neutral
+// TerrainParams (1x sliders, water at 0).
+export interface BiomeQuery {
+  elevation?: number;
+  humidityBias?: number;
+  temperatureBias?: number;
+  waterLevel?: number;
+}
+
+// Post-processing applied on top of the noise heightfield. Everything here
+// changes the terrain's shape, so it is part of a field's identity.
+export interface TerrainShape {
+  hydraulicErosion: HydraulicErosionSettings | null;
+  thermalErosion: ThermalErosionSettings | null;
+  rivers: boolean;
+  // Height, before elevation scaling, that rivers drain down to.
+  seaLevel: number;
+}
+
+export const noiseOnlyShape: TerrainShape = {
+  hydraulicErosion: null,
+  thermalErosion: null,
+  rivers: false,
+  seaLevel: 0
+};
+
+export interface FreshWater {
+  level: number;
+  // 0 on dry land, 1 inside a lake or river.
+  coverage: number;
+}
+
+export function terrainFieldKey(seed: string, shape: TerrainShape): string {
+  return `${seed}|${JSON.stringify(shape)}`;
+}
+
 export class TerrainField {
+  readonly seed: string;
+
+  readonly shape: TerrainShape;
+
+  readonly key: string;
+
   private readonly continentalNoise: SimplexNoise2D;
 
   private readonly mountainNoise: SimplexNoise2D;
@@ -15,15 +68,79 @@ export class TerrainField {
 
   private readonly temperatureNoise: SimplexNoise2D;
 
-  constructor(seed: string) {
+  private readonly erosion: TerrainTileLayer | null;
+
+  private readonly drainage: TerrainTileLayer | null;
+
+  constructor(seed: string, shape: TerrainShape = noiseOnlyShape) {
+    this.seed = seed;
+    this.shape = shape;
+    this.key = terrainFieldKey(seed, shape);
+
     this.continentalNoise = new SimplexNoise2D(`${seed}:continental`);
     this.mountainNoise = new SimplexNoise2D(`${seed}:mountain`);
     this.detailNoise = new SimplexNoise2D(`${seed}:detail`);
     this.humidityNoise = new SimplexNoise2D(`${seed}:humidity`);
     this.temperatureNoise = new SimplexNoise2D(`${seed}:temperature`);
+
+    // Water carves first; weathering then slumps whatever is left too steep.
+    const { hydraulicErosion, thermalErosion } = shape;
+    this.erosion =
+      hydraulicErosion || thermalErosion
+        ? new TerrainTileLayer(
+            (x, z) => this.sampleNoiseHeight(x, z),
+            (heights, size, tileX, tileZ) => {
+              const eroded = heights.slice();
+              if (hydraulicErosion) {
+                const random = mulberry32(hashSeed(`${seed}:erosion:${tileX}:${tileZ}`));
+                erodeHydraulic(eroded, size, hydraulicErosion, random);
+              }
+              if (thermalErosion) {
+                erodeThermal(eroded, size, erosionTileOptions.cell, thermalErosion);
+              }
+              for (let i = 0; i < eroded.length; i += 1) {
+                eroded[i] -= heights[i];
+              }
+              return [eroded];
+            },
+            erosionTileOptions
+          )
+        : null;
+
+    // Drainage reads the un-eroded noise: it spans whole catchments, far more
+    // area than is worth eroding just to route water.
+    this.drainage = shape.rivers
+      ? new TerrainTileLayer(
+          (x, z) => this.sampleNoiseHeight(x, z),
+          (heights, size) => computeDrainage(heights, size, drainageTileOptions.cell, shape.seaLevel),
+          drainageTileOptions
+        )
+      : null;
   }
 
   sampleHeight(x: number, z: number): number {
+    let height = this.sampleNoiseHeight(x, z);
+    if (this.erosion) {
+      height += this.erosion.sample(x, z);
+    }
+    if (this.drainage) {
+      height += this.drainage.sample(x, z, DRAINAGE_CARVE);
+    }
+    return height;
+  }
+
+  // Lakes and rivers, not the sea. Null when the shape has no rivers.
+  sampleFreshWater(x: number, z: number): FreshWater | null {
+    if (!this.drainage) {
+      return null;
+    }
+    const coverage = this.drainage.sample(x, z, DRAINAGE_WATER_COVERAGE);
+    const level = coverage > 0.0001 ? this.drainage.sample(x, z, DRAINAGE_WATER_LEVEL) / coverage : 0;
+    return { level, coverage };
+  }
+
+  // Height before erosion and rivers: pure noise, cheap anywhere.
+  sampleNoiseHeight(x: number, z: number): number {
     const continental = this.continentalNoise.fractal2D(x * 0.0018, z * 0.0018, 5, 2, 0.53);
     const mountain = this.mountainNoise.fractal2D(x * 0.006, z * 0.006, 4, 2.1, 0.5);
     const ridged = 1 - Math.abs(this.mountainNoise.fractal2D(x * 0.0105, z * 0.0105, 3, 2.3, 0.48));
@@ -50,4 +167,29 @@ export class TerrainField {
 
     return clamp(latitude + noise * 0.23 - altitudePenalty, 0, 1);
   }
+
+  // Same inputs and table as the terrain shader, evaluated at the exact
+  // sample rather than interpolated across a triangle. The slope uses a
+  // normal step close to the finest chunk LOD's.
+  classifyBiome(x: number, z: number, query: BiomeQuery = {}): BiomeDefinition {
+    const elevation = query.elevation ?? 1;
+    const height = this.sampleHeight(x, z);
+    const humidity = clamp(this.sampleHumidity(x, z) * (query.humidityBias ?? 1), 0, 1);
+    const temperature = clamp(
+      this.sampleTemperature(x, z, height) * (query.temperatureBias ?? 1),
+      0,
+      1
+    );
+
+    const normalStep = 1;
+    const nx = this.sampleHeight(x - normalStep, z) - this.sampleHeight(x + normalStep, z);
+    const ny = (2 * normalStep) / Math.max(elevation, 0.001);
+    const nz = this.sampleHeight(x, z - normalStep) - this.sampleHeight(x, z + normalStep);
+    const slope = 1 - ny / Math.sqrt(nx * nx + ny * ny + nz * nz);
+
+    return classifyBiomeSample(
+      { height: height * elevation, humidity, temperature, slope },
+      query.waterLevel ?? 0
+    );
+  }
 }
@@ -0,0 +1,145 @@
+export interface TerrainTileOptions {
+  // World units between neighbouring tile centres.
+  spacing: number;
+  // World units between grid samples inside a tile.
+  cell: number;
+  // Values stored per grid sample.
+  channels: number;
+  maxCachedTiles: number;
+  // World units over which a sample passes from one tile to the next, centred
+  // halfway between their centres. Without it tiles blend with tent weights
+  // across the whole overlap.
+  seamWidth?: number;
+}
+
+// Fine grid for erosion, which works at the scale of gullies.
+export const erosionTileOptions: TerrainTileOptions = {
+  spacing: 128,
+  cell: 2,
+  channels: 1,
+  maxCachedTiles: 192
+};
+
+// Receives the input heights of a tile's padded square (size x size samples,
+// row-major from the square's min corner) and returns one array per channel.
+export type TileProcessor = (
+  heights: Float32Array,
+  size: number,
+  tileX: number,
+  tileZ: number
+) => Float32Array[];
+
+// Region-based post-processing (erosion, drainage and the like) of a height
+// function. Each tile processes a square twice the tile spacing wide, centred
+// on its own cell of the tile lattice. A sample blends the four tiles around
+// it with tent weights that reach zero at each tile's padded border, so
+// neighbouring tiles agree wherever they meet and the output depends only on
+// position. With a seam width, each sample instead reads the tile whose centre
+// is nearest and only cross-fades within the seam.
+export class TerrainTileLayer {
+  readonly options: TerrainTileOptions;
+
+  private readonly tiles = new Map<string, Float32Array[]>();
+
+  private readonly samples: number;
+
+  private readonly sampleBase: (x: number, z: number) => number;
+
+  private readonly process: TileProcessor;
+
+  constructor(
+    sampleBase: (x: number, z: number) => number,
+    process: TileProcessor,
+    options: TerrainTileOptions = erosionTileOptions
+  ) {
+    this.sampleBase = sampleBase;
+    this.process = process;
+    this.options = options;
+    this.samples = Math.round((options.spacing * 2) / options.cell) + 1;
+  }
+
+  sample(x: number, z: number, channel = 0): number {
+    const u = x / this.options.spacing - 0.5;
+    const v = z / this.options.spacing - 0.5;
+    const tileX = Math.floor(u);
+    const tileZ = Math.floor(v);
+    const fu = this.seamWeight(u - tileX);
+    const fv = this.seamWeight(v - tileZ);
+
+    return (
+      this.sampleTile(tileX, tileZ, x, z, channel) * (1 - fu) * (1 - fv) +
+      this.sampleTile(tileX + 1, tileZ, x, z, channel) * fu * (1 - fv) +
+      this.sampleTile(tileX, tileZ + 1, x, z, channel) * (1 - fu) * fv +
+      this.sampleTile(tileX + 1, tileZ + 1, x, z, channel) * fu * fv
+    );
+  }
+
+  private seamWeight(fraction: number): number {
+    const { seamWidth, spacing } = this.options;
+    if (seamWidth === undefined) {
+      return fraction;
+    }
+    const half = seamWidth / spacing / 2;
+    const t = Math.min(1, Math.max(0, (fraction - 0.5 + half) / (half * 2)));
+    return t * t * (3 - 2 * t);
+  }
+
+  private sampleTile(tileX: number, tileZ: number, x: number, z: number, channel: number): number {
+    const values = this.getTile(tileX, tileZ)[channel];
+    const { spacing, cell } = this.options;
+    const size = this.samples;
+    const last = size - 1;
+
+    const gx = Math.min(last, Math.max(0, (x - (tileX - 0.5) * spacing) / cell));
+    const gz = Math.min(last, Math.max(0, (z - (tileZ - 0.5) * spacing) / cell));
+    const cellX = Math.min(last - 1, Math.floor(gx));
+    const cellZ = Math.min(last - 1, Math.floor(gz));
+    const fx = gx - cellX;
+    const fz = gz - cellZ;
+    const index = cellZ * size + cellX;
+
+    return (
+      values[index] * (1 - fx) * (1 - fz) +
+      values[index + 1] * fx * (1 - fz) +
+      values[index + size] * (1 - fx) * fz +
+      values[index + size + 1] * fx * fz
+    );
+  }
+
+  private getTile(tileX: number, tileZ: number): Float32Array[] {
+    const key = `${tileX}:${tileZ}`;
+    const cached = this.tiles.get(key);
+    if (cached) {
+      // Re-insert so Map order stays least-recently-used first.
+      this.tiles.delete(key);
+      this.tiles.set(key, cached);
+      return cached;
+    }
+
+    const { spacing, cell } = this.options;
+    const size = this.samples;
+    const originX = (tileX - 0.5) * spacing;
+    const originZ = (tileZ - 0.5) * spacing;
+    const heights = new Float32Array(size * size);
+    for (let row = 0; row < size; row += 1) {
+      for (let column = 0; column < size; column += 1) {
+        heights[row * size + column] = this.sampleBase(originX + column * cell, originZ + row * cell);
+      }
+    }
+
+    const channels = this.process(heights, size, tileX, tileZ);
+    if (channels.length !== this.options.channels) {
+      throw new Error(`Tile processor returned ${channels.length} channels, expected ${this.options.channels}.`);
+    }
+
+    this.tiles.set(key, channels);
+    if (this.tiles.size > this.options.maxCachedTiles) {
+      const oldest = this.tiles.keys().next().value;
+      if (oldest !== undefined) {
+        this.tiles.delete(oldest);
+      }
+    }
+
+    return channels;
+  }
+}
@@ -0,0 +1,81 @@
+export interface ThermalErosionSettings {
+  // Steepest stable slope in degrees, measured on the unscaled heightfield
+  // (before the elevation slider is applied).
+  talusAngle: number;
+  iterations: number;
+}
+
+export const defaultThermalErosion: ThermalErosionSettings = {
+  talusAngle: 50,
+  iterations: 24
+};
+
+// Share of the excess over the talus slope moved per iteration. Half the
+// excess would level a two-cell step exactly; less keeps it from overshooting
+// when several neighbours drain into one cell.
+const SETTLE_RATE = 0.4;
+
+const NEIGHBOURS: ReadonlyArray<[number, number]> = [
+  [-1, -1],
+  [0, -1],
+  [1, -1],
+  [-1, 0],
+  [1, 0],
+  [-1, 1],
+  [0, 1],
+  [1, 1]
+];
+
+// Moves material from cells steeper than the talus angle to their lower
+// neighbours. Every iteration reads the previous heights and writes into a
+// separate change buffer, so the result does not depend on visiting order.
+export function erodeThermal(
+  heights: Float32Array,
+  size: number,
+  cellSize: number,
+  settings: ThermalErosionSettings
+): void {
+  const talusSlope = Math.tan((settings.talusAngle * Math.PI) / 180);
+  const offsets = NEIGHBOURS.map(([dx, dz]) => dz * size + dx);
+  const thresholds = NEIGHBOURS.map(
+    ([dx, dz]) => talusSlope * cellSize * Math.sqrt(dx * dx + dz * dz)
+  );
+  const changes = new Float32Array(heights.length);
+  const excess = new Float32Array(NEIGHBOURS.length);
+
+  for (let iteration = 0; iteration < settings.iterations; iteration += 1) {
+    changes.fill(0);
+
+    for (let z = 1; z < size - 1; z += 1) {
+      for (let x = 1; x < size - 1; x += 1) {
+        const index = z * size + x;
+        const height = heights[index];
+        let totalExcess = 0;
+        let maxExcess = 0;
+
+        for (let n = 0; n < offsets.length; n += 1) {
+          const over = height - heights[index + offsets[n]] - thresholds[n];
+          excess[n] = over > 0 ? over : 0;
+          totalExcess += excess[n];
+          maxExcess = Math.max(maxExcess, excess[n]);
+        }
+
+        if (totalExcess <= 0) {
+          continue;
+        }
+
+        const moved = maxExcess * SETTLE_RATE;
+        changes[index] -= moved;
+        for (let n = 0; n < offsets.length; n += 1) {
+          if (excess[n] > 0) {
+            changes[index + offsets[n]] += (moved * excess[n]) / totalExcess;
+          }
+        }
+      }
+    }
+
+    for (let i = 0; i < heights.length; i += 1) {
+      heights[i] += changes[i];
+    }
+  }
+}
@@ -0,0 +1,89 @@
+export interface LodLevel {
+  maxRing: number;
+  subdivisions: number;
+}
+
+export type ViewDistanceProfile = "laptop" | "standard" | "vista";
+
+export interface ViewDistanceSettings {
+  chunkSize: number;
+  chunkRadius: number;
+  lodLevels: LodLevel[];
+}
+
+export const viewDistanceProfiles: Record<ViewDistanceProfile, ViewDistanceSettings> = {
+  laptop: {
+    chunkSize: 96,
+    chunkRadius: 2,
+    lodLevels: [
+      { maxRing: 1, subdivisions: 40 },
+      { maxRing: 2, subdivisions: 20 }
+    ]
+  },
+  standard: {
+    chunkSize: 96,
+    chunkRadius: 3,
+    lodLevels: [
+      { maxRing: 1, subdivisions: 52 },
+      { maxRing: 2, subdivisions: 30 },
+      { maxRing: 3, subdivisions: 18 }
+    ]
+  },
+  vista: {
+    chunkSize: 96,
+    chunkRadius: 6,
+    lodLevels: [
+      { maxRing: 1, subdivisions: 52 },
+      { maxRing: 2, subdivisions: 34 },
+      { maxRing: 4, subdivisions: 20 },
+      { maxRing: 6, subdivisions: 12 }
+    ]
+  }
+};
+
+// Upper bound keeps a chunk, skirts included, addressable with 16-bit indices.
+const MAX_SUBDIVISIONS = 240;
+
+// Rings beyond the last level reuse its subdivisions.
+export function lodForRing(levels: LodLevel[], ring: number): number {
+  for (const level of levels) {
+    if (ring <= level.maxRing) {
+      return level.subdivisions;
+    }
+  }
+  return levels.length > 0 ? levels[levels.length - 1].subdivisions : 18;
+}
+
+export function normalizeLodLevels(levels: LodLevel[]): LodLevel[] {
+  return levels
+    .map((level) => ({
+      maxRing: Math.max(0, Math.floor(level.maxRing)),
+      subdivisions: Math.min(MAX_SUBDIVISIONS, Math.max(2, Math.round(level.subdivisions)))
+    }))
+    .sort((a, b) => a.maxRing - b.maxRing);
+}
+
+export function sameLodLevels(a: LodLevel[], b: LodLevel[]): boolean {
+  if (a.length !== b.length) {
+    return false;
+  }
+  return a.every(
+    (level, index) =>
+      level.maxRing === b[index].maxRing && level.subdivisions === b[index].subdivisions
+  );
+}
+
+export function matchViewDistanceProfile(
+  settings: ViewDistanceSettings
+): ViewDistanceProfile | null {
+  for (const [name, profile] of Object.entries(viewDistanceProfiles)) {
+    if (
+      profile.chunkSize === settings.chunkSize &&
+      profile.chunkRadius === settings.chunkRadius &&
+      sameLodLevels(profile.lodLevels, settings.lodLevels)
+    ) {
+      return name as ViewDistanceProfile;
+    }
+  }
+  return null;
+}
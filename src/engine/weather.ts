@@ -0,0 +1,148 @@
+export type WeatherKind = "clear" | "overcast" | "rain" | "snow" | "fog";
+
+// "auto" lets the climate under the camera drive the weather; any other mode
+// holds that weather.
+export type WeatherMode = "auto" | WeatherKind;
+
+export const weatherModes: readonly WeatherMode[] = ["auto", "clear", "overcast", "rain", "snow", "fog"];
+
+// How a weather state shows on screen. Values are blended while one state
+// fades into the next.
+export interface WeatherLook {
+  // Minimum cloud cover; the cloud slider still applies when it is higher.
+  cloudCover: number;
+  // Multiplier on the fog density.
+  fog: number;
+  // Light lost under thick cloud, 0..1.
+  darkening: number;
+  // Darkens and adds sheen to the ground, 0..1.
+  wetness: number;
+  rain: number;
+  snow: number;
+}
+
+export const weatherLooks: Record<WeatherKind, WeatherLook> = {
+  clear: { cloudCover: 0, fog: 1, darkening: 0, wetness: 0, rain: 0, snow: 0 },
+  overcast: { cloudCover: 0.8, fog: 1.4, darkening: 0.25, wetness: 0, rain: 0, snow: 0 },
+  rain: { cloudCover: 0.95, fog: 2, darkening: 0.4, wetness: 1, rain: 1, snow: 0 },
+  snow: { cloudCover: 0.9, fog: 2.2, darkening: 0.3, wetness: 0.2, rain: 0, snow: 1 },
+  fog: { cloudCover: 0.3, fog: 4.5, darkening: 0.15, wetness: 0.3, rain: 0, snow: 0 }
+};
+
+export interface Climate {
+  humidity: number;
+  temperature: number;
+}
+
+// Precipitation particles live in a box that follows the camera; each
+// particle wraps around it, so the box seems to be full of endless rain.
+export const PRECIPITATION_PARTICLES = 8000;
+export const PRECIPITATION_BOX_WIDTH = 80;
+export const PRECIPITATION_BOX_HEIGHT = 50;
+
+// Precipitation falls as snow below this temperature.
+const FREEZING = 0.3;
+// Falling rain only turns to snow this far below freezing, and snow back to
+// rain this far above, so hovering at the line doesn't flicker between them.
+const FREEZING_BAND = 0.03;
+const MIN_STATE_SECONDS = 40;
+const MAX_STATE_SECONDS = 100;
+const TRANSITION_SECONDS = 8;
+
+// Relative odds of each weather for a climate: deserts stay clear, wet
+// climates cloud over and rain, cold ones snow, mild damp ones fog up.
+export function weatherOdds(climate: Climate): Record<WeatherKind, number> {
+  const { humidity, temperature } = climate;
+  const wet = Math.max(0, humidity - 0.4);
+  const precipitation = wet * 1.6;
+  return {
+    clear: Math.max(0.05, 1 - humidity * 0.8),
+    overcast: 0.25 + humidity * 0.4,
+    rain: temperature >= FREEZING ? precipitation : 0,
+    snow: temperature < FREEZING ? precipitation : 0,
+    fog: humidity > 0.55 && temperature > 0.2 && temperature < 0.6 ? (humidity - 0.5) * 0.8 : 0
+  };
+}
+
+export function chooseWeather(climate: Climate, random: () => number): WeatherKind {
+  const odds = weatherOdds(climate);
+  const kinds = Object.keys(odds) as WeatherKind[];
+  const total = kinds.reduce((sum, kind) => sum + odds[kind], 0);
+  let pick = random() * total;
+  for (const kind of kinds) {
+    pick -= odds[kind];
+    if (pick < 0) {
+      return kind;
+    }
+  }
+  return "clear";
+}
+
+function blendLooks(from: WeatherLook, to: WeatherLook, t: number, target: WeatherLook): void {
+  for (const key of Object.keys(target) as Array<keyof WeatherLook>) {
+    target[key] = from[key] + (to[key] - from[key]) * t;
+  }
+}
+
+// Holds each weather for a while, then draws the next from the climate and
+// cross-fades into it.
+export class WeatherSystem {
+  readonly look: WeatherLook = { ...weatherLooks.clear };
+
+  private current: WeatherKind = "clear";
+
+  private readonly from: WeatherLook = { ...weatherLooks.clear };
+
+  private transition = 1;
+
+  private remaining = MIN_STATE_SECONDS;
+
+  private readonly random: () => number;
+
+  constructor(random: () => number = Math.random) {
+    this.random = random;
+  }
+
+  get kind(): WeatherKind {
+    return this.current;
+  }
+
+  update(deltaSeconds: number, climate: Climate, mode: WeatherMode): void {
+    if (mode !== "auto") {
+      if (mode !== this.current) {
+        this.begin(mode);
+      }
+    } else {
+      this.remaining -= deltaSeconds;
+      if (this.remaining <= 0) {
+        this.begin(chooseWeather(climate, this.random));
+      }
+      // Walking into the cold turns rain to snow, and back, without
+      // restarting the spell of weather.
+      if (this.current === "rain" && climate.temperature < FREEZING - FREEZING_BAND) {
+        this.fadeTo("snow");
+      } else if (this.current === "snow" && climate.temperature >= FREEZING + FREEZING_BAND) {
+        this.fadeTo("rain");
+      }
+    }
+
+    this.transition = Math.min(1, this.transition + deltaSeconds / TRANSITION_SECONDS);
+    blendLooks(this.from, weatherLooks[this.current], this.transition, this.look);
+  }
+
+  private begin(kind: WeatherKind): void {
+    this.remaining = MIN_STATE_SECONDS + this.random() * (MAX_STATE_SECONDS - MIN_STATE_SECONDS);
+    this.fadeTo(kind);
+  }
+
+  private fadeTo(kind: WeatherKind): void {
+    if (kind === this.current) {
+      return;
+    }
+    // Fade from wherever the last fade had reached, so a change mid-fade does
+    // not jump.
+    Object.assign(this.from, this.look);
+    this.current = kind;
+    this.transition = 0;
+  }
+}
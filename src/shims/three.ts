@@ -208,6 +208,42 @@ export class Matrix4 {
     return this;
   }
 
+  makeOrthographic(
+    left: number,
+    right: number,
+    top: number,
+    bottom: number,
+    near: number,
+    far: number
+  ): this {
+    const te = this.elements;
+    const w = 1 / (right - left);
+    const h = 1 / (top - bottom);
+    const p = 1 / (far - near);
+
+    te[0] = 2 * w;
+    te[1] = 0;
+    te[2] = 0;
+    te[3] = 0;
+
+    te[4] = 0;
+    te[5] = 2 * h;
+    te[6] = 0;
+    te[7] = 0;
+
+    te[8] = 0;
+    te[9] = 0;
+    te[10] = -2 * p;
+    te[11] = 0;
+
+    te[12] = -(right + left) * w;
+    te[13] = -(top + bottom) * h;
+    te[14] = -(far + near) * p;
+    te[15] = 1;
+
+    return this;
+  }
+
   lookAt(eye: Vector3, target: Vector3, up: Vector3): this {
     const te = this.elements;
 
@@ -0,0 +1,377 @@
+import type {
+  FirstPersonPose,
+  OrbitPose,
+  TerrainParams,
+  TerrainViewState,
+  Vec3Tuple
+} from "./engine/terrainEngine";
+import { shadowQualities } from "./engine/shadowMap";
+import { hoursFromDayPhase } from "./engine/sunPath";
+import type { LodLevel } from "./engine/viewDistance";
+import { weatherModes } from "./engine/weather";
+
+export const WORLD_LIBRARY_FORMAT = "terragen-world-library";
+
+export const WORLD_LIBRARY_VERSION = 2;
+
+const STORAGE_KEY = "terragen.worldLibrary";
+
+export interface SavedWorld {
+  id: string;
+  name: string;
+  params: TerrainParams;
+  view: TerrainViewState;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface WorldLibraryFile {
+  format: typeof WORLD_LIBRARY_FORMAT;
+  version: number;
+  worlds: SavedWorld[];
+}
+
+export interface WorldPreset {
+  id: string;
+  name: string;
+  params: Partial<TerrainParams>;
+  view?: TerrainViewState;
+}
+
+export interface WorldLibraryImport {
+  worlds: SavedWorld[];
+  errors: string[];
+}
+
+export const builtInPresets: WorldPreset[] = [
+  {
+    id: "preset-archipelago",
+    name: "Archipelago",
+    params: { seed: "archipelago-07", elevation: 0.72, humidity: 1.32, temperature: 1.28, timeOfDay: 10.3 },
+    view: {
+      orbit: { target: [0, 10, 0], yaw: -2.1, pitch: 0.72, distance: 420 }
+    }
+  },
+  {
+    id: "preset-alpine",
+    name: "Alpine",
+    params: { seed: "alpine-ridge-3", elevation: 2.25, humidity: 1.12, temperature: 0.62, timeOfDay: 12.5 },
+    view: {
+      orbit: { target: [-30, 60, 40], yaw: -2.6, pitch: 0.38, distance: 320 }
+    }
+  },
+  {
+    id: "preset-desert",
+    name: "Desert",
+    params: { seed: "dune-sea-19", elevation: 0.95, humidity: 0.34, temperature: 1.72, timeOfDay: 7.9 },
+    view: {
+      orbit: { target: [20, 20, -10], yaw: -1.7, pitch: 0.34, distance: 300 }
+    }
+  }
+];
+
+type Migration = (library: Record<string, unknown>) => Record<string, unknown>;
+
+// Keyed by the version being upgraded from; each step lifts a library one
+// version. Parameters added without a format change need no step: readParams
+// fills them from the current defaults.
+const migrations: Record<number, Migration> = {
+  // Version 1 kept the clock in each world's view as a 0-1 dayPhase.
+  1: (library) => ({
+    ...library,
+    worlds: Array.isArray(library.worlds) ? library.worlds.map(migrateDayPhase) : library.worlds
+  })
+};
+
+function migrateDayPhase(world: unknown): unknown {
+  if (!isRecord(world) || !isRecord(world.params) || !isRecord(world.view)) {
+    return world;
+  }
+  const { dayPhase, ...view } = world.view;
+  if (!isFiniteNumber(dayPhase)) {
+    return world;
+  }
+  return {
+    ...world,
+    params: { timeOfDay: hoursFromDayPhase(dayPhase), ...world.params },
+    view
+  };
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function isFiniteNumber(value: unknown): value is number {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function readVec3(value: unknown): Vec3Tuple | null {
+  if (!Array.isArray(value) || value.length !== 3 || !value.every(isFiniteNumber)) {
+    return null;
+  }
+  return [value[0], value[1], value[2]];
+}
+
+function readLodLevels(value: unknown): LodLevel[] | null {
+  if (!Array.isArray(value) || value.length === 0) {
+    return null;
+  }
+  const levels: LodLevel[] = [];
+  for (const entry of value) {
+    if (!isRecord(entry) || !isFiniteNumber(entry.maxRing) || !isFiniteNumber(entry.subdivisions)) {
+      return null;
+    }
+    levels.push({ maxRing: entry.maxRing, subdivisions: entry.subdivisions });
+  }
+  return levels;
+}
+
+// Fields missing from stored params fall back to the current defaults, so
+// worlds saved before a parameter existed still load.
+function readParams(value: unknown, defaults: TerrainParams, errors: string[]): TerrainParams | null {
+  if (!isRecord(value)) {
+    errors.push("params must be an object");
+    return null;
+  }
+
+  const params: TerrainParams = { ...defaults };
+  const target = params as unknown as Record<string, unknown>;
+
+  for (const [key, fallback] of Object.entries(defaults)) {
+    const raw = value[key];
+    if (raw === undefined) {
+      continue;
+    }
+
+    if (key === "lodLevels") {
+      const levels = readLodLevels(raw);
+      if (!levels) {
+        errors.push("params.lodLevels must be a list of { maxRing, subdivisions }");
+        return null;
+      }
+      params.lodLevels = levels;
+    } else if (key === "mode") {
+      if (raw !== "orbit" && raw !== "firstPerson") {
+        errors.push('params.mode must be "orbit" or "firstPerson"');
+        return null;
+      }
+      params.mode = raw;
+    } else if (key === "shadowQuality") {
+      const quality = shadowQualities.find((candidate) => candidate === raw);
+      if (!quality) {
+        errors.push(`params.shadowQuality must be one of ${shadowQualities.join(", ")}`);
+        return null;
+      }
+      params.shadowQuality = quality;
+    } else if (key === "weather") {
+      const weather = weatherModes.find((candidate) => candidate === raw);
+      if (!weather) {
+        errors.push(`params.weather must be one of ${weatherModes.join(", ")}`);
+        return null;
+      }
+      params.weather = weather;
+    } else if (typeof fallback === "number") {
+      if (!isFiniteNumber(raw)) {
+        errors.push(`params.${key} must be a number`);
+        return null;
+      }
+      target[key] = raw;
+    } else if (typeof raw !== typeof fallback) {
+      errors.push(`params.${key} must be a ${typeof fallback}`);
+      return null;
+    } else {
+      target[key] = raw;
+    }
+  }
+
+  if (!params.seed.trim()) {
+    errors.push("params.seed must not be empty");
+    return null;
+  }
+
+  return params;
+}
+
+function readView(value: unknown, errors: string[]): TerrainViewState | null {
+  if (value === undefined) {
+    return {};
+  }
+  if (!isRecord(value)) {
+    errors.push("view must be an object");
+    return null;
+  }
+
+  const view: TerrainViewState = {};
+
+  if (value.orbit !== undefined) {
+    const orbit = value.orbit;
+    const target = isRecord(orbit) ? readVec3(orbit.target) : null;
+    if (
+      !isRecord(orbit) ||
+      !target ||
+      !isFiniteNumber(orbit.yaw) ||
+      !isFiniteNumber(orbit.pitch) ||
+      !isFiniteNumber(orbit.distance)
+    ) {
+      errors.push("view.orbit must have target, yaw, pitch and distance");
+      return null;
+    }
+    const pose: OrbitPose = { target, yaw: orbit.yaw, pitch: orbit.pitch, distance: orbit.distance };
+    view.orbit = pose;
+  }
+
+  if (value.firstPerson !== undefined) {
+    const firstPerson = value.firstPerson;
+    const position = isRecord(firstPerson) ? readVec3(firstPerson.position) : null;
+    if (
+      !isRecord(firstPerson) ||
+      !position ||
+      !isFiniteNumber(firstPerson.yaw) ||
+      !isFiniteNumber(firstPerson.pitch)
+    ) {
+      errors.push("view.firstPerson must have position, yaw and pitch");
+      return null;
+    }
+    const pose: FirstPersonPose = { position, yaw: firstPerson.yaw, pitch: firstPerson.pitch };
+    view.firstPerson = pose;
+  }
+
+  return view;
+}
+
+function readWorld(value: unknown, defaults: TerrainParams, errors: string[]): SavedWorld | null {
+  if (!isRecord(value)) {
+    errors.push("world entry must be an object");
+    return null;
+  }
+
+  const name = typeof value.name === "string" ? value.name.trim() : "";
+  if (!name) {
+    errors.push("world entry is missing a name");
+    return null;
+  }
+
+  const worldErrors: string[] = [];
+  const params = readParams(value.params, defaults, worldErrors);
+  const view = params ? readView(value.view, worldErrors) : null;
+  if (!params || !view) {
+    errors.push(...worldErrors.map((error) => `"${name}": ${error}`));
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  return {
+    id: typeof value.id === "string" && value.id ? value.id : createWorldId(),
+    name,
+    params,
+    view,
+    createdAt: typeof value.createdAt === "string" ? value.createdAt : now,
+    updatedAt: typeof value.updatedAt === "string" ? value.updatedAt : now
+  };
+}
+
+export function createWorldId(): string {
+  return `world-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function parseWorldLibrary(json: unknown, defaults: TerrainParams): WorldLibraryImport {
+  if (!isRecord(json) || json.format !== WORLD_LIBRARY_FORMAT) {
+    return { worlds: [], errors: ["Not a TerraGen world library file."] };
+  }
+
+  let version = json.version;
+  if (!isFiniteNumber(version) || !Number.isInteger(version) || version < 1) {
+    return { worlds: [], errors: ["World library has an invalid version."] };
+  }
+  if (version > WORLD_LIBRARY_VERSION) {
+    return {
+      worlds: [],
+      errors: [`World library version ${version} is newer than this app supports (${WORLD_LIBRARY_VERSION}).`]
+    };
+  }
+
+  let library: Record<string, unknown> = json;
+  while (version < WORLD_LIBRARY_VERSION) {
+    const migrate = migrations[version];
+    if (!migrate) {
+      return { worlds: [], errors: [`No migration from world library version ${version}.`] };
+    }
+    library = migrate(library);
+    version += 1;
+  }
+
+  if (!Array.isArray(library.worlds)) {
+    return { worlds: [], errors: ["World library has no worlds list."] };
+  }
+
+  const errors: string[] = [];
+  const worlds: SavedWorld[] = [];
+  for (const entry of library.worlds) {
+    const world = readWorld(entry, defaults, errors);
+    if (world) {
+      worlds.push(world);
+    }
+  }
+
+  return { worlds, errors };
+}
+
+// Reads a library file's text; a parse failure is reported like any other.
+export function parseWorldLibraryText(text: string, defaults: TerrainParams): WorldLibraryImport {
+  let json: unknown;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    const reason = error instanceof Error ? error.message : String(error);
+    return { worlds: [], errors: [`Not valid JSON: ${reason}`] };
+  }
+  return parseWorldLibrary(json, defaults);
+}
+
+export function serializeWorldLibrary(worlds: SavedWorld[]): string {
+  const file: WorldLibraryFile = {
+    format: WORLD_LIBRARY_FORMAT,
+    version: WORLD_LIBRARY_VERSION,
+    worlds
+  };
+  return JSON.stringify(file, null, 2);
+}
+
+// Errors mean the stored library did not read back whole; it should then be
+// left as it is rather than overwritten with the worlds that did.
+export function loadStoredWorlds(defaults: TerrainParams): WorldLibraryImport {
+  let stored: string | null;
+  try {
+    stored = window.localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return { worlds: [], errors: [] };
+  }
+  if (!stored) {
+    return { worlds: [], errors: [] };
+  }
+  return parseWorldLibraryText(stored, defaults);
+}
+
+export function storeWorlds(worlds: SavedWorld[]): boolean {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, serializeWorldLibrary(worlds));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Imported worlds never overwrite local ones: clashing ids get a fresh id.
+export function mergeWorlds(current: SavedWorld[], incoming: SavedWorld[]): SavedWorld[] {
+  const ids = new Set(current.map((world) => world.id));
+  const merged = [...current];
+
+  for (const world of incoming) {
+    const id = ids.has(world.id) ? createWorldId() : world.id;
+    ids.add(id);
+    merged.push({ ...world, id });
+  }
+
+  return merged;
+}
@@ -0,0 +1,244 @@
+import type {
+  NavigationMode,
+  TerrainParams,
+  TerrainViewState
+} from "./engine/terrainEngine";
+import { hoursFromDayPhase } from "./engine/sunPath";
+import { weatherModes } from "./engine/weather";
+
+export type WorldLinkParams = Pick<
+  TerrainParams,
+  | "seed"
+  | "elevation"
+  | "humidity"
+  | "temperature"
+  | "dayNightEnabled"
+  | "timeOfDay"
+  | "daySpeed"
+  | "latitude"
+  | "season"
+  | "mode"
+  | "hydraulicErosion"
+  | "erosionDroplets"
+  | "erosionRate"
+  | "depositionRate"
+  | "evaporationRate"
+  | "thermalErosion"
+  | "talusAngle"
+  | "thermalIterations"
+  | "rivers"
+  | "seaLevel"
+  | "cloudCoverage"
+  | "cloudAltitude"
+  | "windSpeed"
+  | "windDirection"
+  | "weather"
+>;
+
+export interface WorldLink {
+  params: Partial<WorldLinkParams>;
+  view: TerrainViewState;
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(max, Math.max(min, value));
+}
+
+function formatNumber(value: number, digits: number): string {
+  return Number(value.toFixed(digits)).toString();
+}
+
+function parseNumbers(value: string | null, count: number): number[] | null {
+  if (!value) {
+    return null;
+  }
+  const numbers = value.split(",").map(Number);
+  if (numbers.length !== count || numbers.some((entry) => !Number.isFinite(entry))) {
+    return null;
+  }
+  return numbers;
+}
+
+function parseNumber(value: string | null, min: number, max: number): number | undefined {
+  if (value === null || value.trim() === "") {
+    return undefined;
+  }
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? clamp(parsed, min, max) : undefined;
+}
+
+// Only the pose of the active navigation mode is written: that is the view
+// the recipient should land in.
+export function encodeWorldLink(params: WorldLinkParams, view: Required<TerrainViewState>): string {
+  const query = new URLSearchParams();
+  query.set("seed", params.seed);
+  query.set("elev", formatNumber(params.elevation, 3));
+  query.set("hum", formatNumber(params.humidity, 3));
+  query.set("temp", formatNumber(params.temperature, 3));
+  query.set("sea", formatNumber(params.seaLevel, 2));
+  query.set("time", formatNumber(params.timeOfDay, 4));
+  query.set(
+    "sun",
+    [
+      formatNumber(params.latitude, 2),
+      formatNumber(params.season, 4),
+      formatNumber(params.daySpeed, 3)
+    ].join(",")
+  );
+  query.set("cycle", params.dayNightEnabled ? "1" : "0");
+  query.set("mode", params.mode);
+
+  if (params.hydraulicErosion) {
+    query.set(
+      "ero",
+      [params.erosionDroplets, params.erosionRate, params.depositionRate, params.evaporationRate]
+        .map((value) => formatNumber(value, 3))
+        .join(",")
+    );
+  }
+  if (params.thermalErosion) {
+    query.set("thermal", `${formatNumber(params.talusAngle, 1)},${Math.round(params.thermalIterations)}`);
+  }
+  if (params.rivers) {
+    query.set("riv", "1");
+  }
+  query.set(
+    "clouds",
+    [
+      formatNumber(params.cloudCoverage, 3),
+      formatNumber(params.cloudAltitude, 1),
+      formatNumber(params.windSpeed, 2),
+      formatNumber(params.windDirection, 1)
+    ].join(",")
+  );
+  if (params.weather !== "auto") {
+    query.set("wx", params.weather);
+  }
+
+  if (params.mode === "orbit") {
+    const { target, yaw, pitch, distance } = view.orbit;
+    query.set(
+      "cam",
+      [...target, yaw, pitch, distance].map((value) => formatNumber(value, 3)).join(",")
+    );
+  } else {
+    const { position, yaw, pitch } = view.firstPerson;
+    query.set("cam", [...position, yaw, pitch].map((value) => formatNumber(value, 3)).join(","));
+  }
+
+  return query.toString();
+}
+
+export function parseWorldLink(hash: string): WorldLink | null {
+  const query = new URLSearchParams(hash.replace(/^#/, ""));
+  const seed = query.get("seed")?.trim();
+  if (!seed) {
+    return null;
+  }
+
+  const params: Partial<WorldLinkParams> = { seed };
+  const view: TerrainViewState = {};
+
+  const elevation = parseNumber(query.get("elev"), 0.4, 2.6);
+  if (elevation !== undefined) {
+    params.elevation = elevation;
+  }
+  const humidity = parseNumber(query.get("hum"), 0.3, 1.8);
+  if (humidity !== undefined) {
+    params.humidity = humidity;
+  }
+  const temperature = parseNumber(query.get("temp"), 0.3, 1.8);
+  if (temperature !== undefined) {
+    params.temperature = temperature;
+  }
+  const seaLevel = parseNumber(query.get("sea"), -24, 24);
+  if (seaLevel !== undefined) {
+    params.seaLevel = seaLevel;
+  }
+
+  const cycle = query.get("cycle");
+  if (cycle === "0" || cycle === "1") {
+    params.dayNightEnabled = cycle === "1";
+  }
+
+  // Links without "ero", "thermal" or "riv" predate that stage or were shared
+  // with it off.
+  const erosion = parseNumbers(query.get("ero"), 4);
+  params.hydraulicErosion = erosion !== null;
+  if (erosion) {
+    params.erosionDroplets = clamp(erosion[0], 0.1, 1.5);
+    params.erosionRate = clamp(erosion[1], 0.05, 0.9);
+    params.depositionRate = clamp(erosion[2], 0.05, 0.9);
+    params.evaporationRate = clamp(erosion[3], 0.005, 0.08);
+  }
+
+  const thermal = parseNumbers(query.get("thermal"), 2);
+  params.thermalErosion = thermal !== null;
+  if (thermal) {
+    params.talusAngle = clamp(thermal[0], 25, 70);
+    params.thermalIterations = Math.round(clamp(thermal[1], 1, 60));
+  }
+
+  params.rivers = query.get("riv") === "1";
+
+  // Links from before the cloud layer had a clear sky.
+  const clouds = parseNumbers(query.get("clouds"), 4);
+  params.cloudCoverage = clouds ? clamp(clouds[0], 0, 1) : 0;
+  if (clouds) {
+    params.cloudAltitude = clamp(clouds[1], 120, 500);
+    params.windSpeed = clamp(clouds[2], 0, 40);
+    params.windDirection = clamp(clouds[3], 0, 360) % 360;
+  }
+
+  // Forced weather travels with the link; otherwise it follows the climate.
+  params.weather = weatherModes.find((mode) => mode === query.get("wx")) ?? "auto";
+
+  // Older links carry the clock as "day", a phase with sunrise at 0.
+  const timeOfDay = parseNumber(query.get("time"), 0, 24);
+  const dayPhase = parseNumber(query.get("day"), 0, 1);
+  if (timeOfDay !== undefined) {
+    params.timeOfDay = timeOfDay % 24;
+  } else if (dayPhase !== undefined) {
+    params.timeOfDay = hoursFromDayPhase(dayPhase);
+  }
+
+  const sun = parseNumbers(query.get("sun"), 3);
+  if (sun) {
+    params.latitude = clamp(sun[0], -80, 80);
+    params.season = clamp(sun[1], 0, 1) % 1;
+    params.daySpeed = clamp(sun[2], 0.05, 4);
+  }
+
+  const mode = query.get("mode");
+  if (mode === "orbit" || mode === "firstPerson") {
+    params.mode = mode as NavigationMode;
+  }
+
+  if (params.mode === "firstPerson") {
+    const camera = parseNumbers(query.get("cam"), 5);
+    if (camera) {
+      view.firstPerson = {
+        position: [camera[0], camera[1], camera[2]],
+        yaw: camera[3],
+        pitch: camera[4]
+      };
+    }
+  } else {
+    const camera = parseNumbers(query.get("cam"), 6);
+    if (camera) {
+      view.orbit = {
+        target: [camera[0], camera[1], camera[2]],
+        yaw: camera[3],
+        pitch: camera[4],
+        distance: camera[5]
+      };
+    }
+  }
+
+  return { params, view };
+}
+
+export function worldLinkUrl(hash: string): string {
+  const { origin, pathname, search } = window.location;
+  return `${origin}${pathname}${search}#${hash}`;
+}
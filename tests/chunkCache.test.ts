@@ -0,0 +1,62 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { ChunkCache, chunkCacheKey, chunkCachePrefix } from "../src/engine/chunkCache";
+import { noiseOnlyShape, terrainFieldKey } from "../src/engine/terrainField";
+
+interface FakeChunk {
+  key: string;
+  lod: number;
+  morphLod: number;
+  scatter: boolean;
+  gpuBytes: number;
+}
+
+function chunk(key: string): FakeChunk {
+  return { key, lod: 16, morphLod: 8, scatter: true, gpuBytes: 100 };
+}
+
+test("entries beyond the byte budget are evicted oldest first", () => {
+  const evicted: string[] = [];
+  const cache = new ChunkCache<FakeChunk>(10, 250, (value) => evicted.push(value.key));
+
+  cache.put("a", chunk("a"));
+  cache.put("b", chunk("b"));
+  cache.put("c", chunk("c"));
+
+  assert.deepEqual(evicted, ["a"]);
+  assert.equal(cache.size, 2);
+  assert.equal(cache.bytes, 200);
+  assert.equal(cache.take("a"), undefined);
+  assert.equal(cache.take("b")?.key, "b");
+});
+
+test("a seed change leaves nothing of the old field in the cache", () => {
+  const evicted: FakeChunk[] = [];
+  const cache = new ChunkCache<FakeChunk>(96, 1_000_000, (value) => evicted.push(value));
+  const oldField = terrainFieldKey("old-seed", noiseOnlyShape);
+  const newField = terrainFieldKey("new-seed", noiseOnlyShape);
+
+  for (const key of ["0,0", "1,0", "0,1", "-1,-1"]) {
+    cache.put(chunkCacheKey(oldField, 128, chunk(key)), chunk(key));
+  }
+  cache.put(chunkCacheKey(newField, 64, chunk("0,0")), chunk("0,0"));
+
+  const prefix = chunkCachePrefix(newField, 128);
+  cache.evictWhere((key) => !key.startsWith(prefix));
+
+  assert.equal(cache.size, 0);
+  assert.equal(cache.bytes, 0);
+  assert.equal(evicted.length, 5);
+});
+
+test("evictWhere keeps entries of the current field", () => {
+  const cache = new ChunkCache<FakeChunk>(96, 1_000_000, () => undefined);
+  const field = terrainFieldKey("seed", noiseOnlyShape);
+  const key = chunkCacheKey(field, 128, chunk("2,3"));
+  cache.put(key, chunk("2,3"));
+
+  cache.evictWhere((entry) => !entry.startsWith(chunkCachePrefix(field, 128)));
+
+  assert.equal(cache.size, 1);
+  assert.equal(cache.take(key)?.key, "2,3");
+});
@@ -0,0 +1,151 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  buildChunkMesh,
+  CHUNK_VERTEX_STRIDE,
+  chunkEdgeIndices,
+  chunkSkirtDepth,
+  lodMorphWeight,
+  type ChunkMeshData
+} from "../src/engine/chunkMesh";
+import { SCATTER_CANDIDATE_STRIDE } from "../src/engine/scatter";
+import { TerrainField } from "../src/engine/terrainField";
+
+const field = new TerrainField("chunk-mesh-test");
+const chunkSize = 64;
+const stride = CHUNK_VERTEX_STRIDE;
+
+function vertexCount(mesh: ChunkMeshData): number {
+  return mesh.vertices.length / stride;
+}
+
+// Grid vertex (x, z) of a chunk as world x, height, world z and morph height.
+function gridVertex(mesh: ChunkMeshData, lod: number, x: number, z: number): number[] {
+  const from = (z * (lod + 1) + x) * stride;
+  return [mesh.vertices[from], mesh.vertices[from + 1], mesh.vertices[from + 2], mesh.vertices[from + 8]];
+}
+
+// Height along the west edge of a chunk at world z, as its mesh draws it.
+function westEdgeHeight(mesh: ChunkMeshData, lod: number, worldZ: number): number {
+  const step = chunkSize / lod;
+  const [, , firstZ] = gridVertex(mesh, lod, 0, 0);
+  const local = (worldZ - firstZ) / step;
+  const cell = Math.min(lod - 1, Math.floor(local));
+  const t = local - cell;
+  return gridVertex(mesh, lod, 0, cell)[1] * (1 - t) + gridVertex(mesh, lod, 0, cell + 1)[1] * t;
+}
+
+test("indices stay inside the vertex buffers at every LOD", () => {
+  for (const [lod, morphLod] of [
+    [4, 4],
+    [8, 4],
+    [16, 8],
+    [30, 15],
+    [52, 26]
+  ]) {
+    const mesh = buildChunkMesh(field, 3, -2, lod, morphLod, chunkSize);
+    const count = vertexCount(mesh);
+
+    assert.equal(count, (lod + 1) * (lod + 1) + 4 * (lod + 1));
+    assert.equal(mesh.indices.length % 3, 0);
+    assert.equal(mesh.indices.length, lod * lod * 6 + 4 * lod * 12);
+    for (const index of mesh.indices) {
+      assert.ok(index < count, `index ${index} out of ${count} vertices at LOD ${lod}`);
+    }
+    for (const index of mesh.waterIndices) {
+      assert.ok(index * 3 < mesh.waterVertices.length, `water index ${index} out of range at LOD ${lod}`);
+    }
+  }
+});
+
+test("skirts hang straight below the edge vertices", () => {
+  const lod = 16;
+  const mesh = buildChunkMesh(field, 0, 0, lod, lod, chunkSize);
+  const depth = chunkSkirtDepth(lod, chunkSize);
+  let skirt = (lod + 1) * (lod + 1);
+
+  for (const edge of chunkEdgeIndices(lod)) {
+    for (const source of edge) {
+      const from = source * stride;
+      const to = skirt * stride;
+      assert.equal(mesh.vertices[to], mesh.vertices[from]);
+      assert.equal(mesh.vertices[to + 2], mesh.vertices[from + 2]);
+      assert.ok(Math.abs(mesh.vertices[from + 1] - mesh.vertices[to + 1] - depth) < 1e-3);
+      assert.ok(mesh.vertices[to + 1] >= mesh.minHeight - 1e-3);
+      skirt += 1;
+    }
+  }
+});
+
+test("a fully morphed edge lies on the coarser neighbour's edge", () => {
+  const fine = buildChunkMesh(field, 0, 0, 16, 8, chunkSize);
+  const coarse = buildChunkMesh(field, 1, 0, 8, 8, chunkSize);
+
+  for (let z = 0; z <= 16; z += 1) {
+    const [x, , worldZ, morphHeight] = gridVertex(fine, 16, 16, z);
+    const [coarseX] = gridVertex(coarse, 8, 0, 0);
+    assert.equal(x, coarseX);
+    assert.ok(Math.abs(morphHeight - westEdgeHeight(coarse, 8, worldZ)) < 1e-3, `row ${z}`);
+  }
+});
+
+test("skirts close the seam between neighbours at different LODs", () => {
+  for (const [fineLod, coarseLod] of [
+    [16, 8],
+    [30, 15],
+    [52, 13]
+  ]) {
+    const fine = buildChunkMesh(field, 0, 0, fineLod, fineLod, chunkSize);
+    const coarse = buildChunkMesh(field, 1, 0, coarseLod, coarseLod, chunkSize);
+    const fineDepth = chunkSkirtDepth(fineLod, chunkSize);
+    const coarseDepth = chunkSkirtDepth(coarseLod, chunkSize);
+
+    // Both edges are straight between vertices, so the widest gap is at one
+    // of the fine edge's vertices.
+    for (let z = 0; z <= fineLod; z += 1) {
+      const [, height, worldZ] = gridVertex(fine, fineLod, fineLod, z);
+      const gap = height - westEdgeHeight(coarse, coarseLod, worldZ);
+      const reach = gap > 0 ? fineDepth : coarseDepth;
+      assert.ok(Math.abs(gap) <= reach, `gap ${gap.toFixed(2)} at LODs ${fineLod}/${coarseLod}, row ${z}`);
+    }
+  }
+});
+
+test("the morph is measured per vertex and closes up at ring boundaries", () => {
+  const focusX = 3 * chunkSize;
+  const focusZ = -2 * chunkSize;
+  // Ring 2 morphs out by its outer edge; ring 3 starts its own morph later.
+  const boundary = focusX + 2.5 * chunkSize;
+
+  for (const z of [-2.5, -1, 0, 1.7, 2.5]) {
+    const worldZ = focusZ + z * chunkSize;
+    assert.equal(lodMorphWeight(boundary, worldZ, focusX, focusZ, chunkSize, 2.5), 1, `inner side at ${z}`);
+    assert.equal(lodMorphWeight(boundary, worldZ, focusX, focusZ, chunkSize, 3.5), 0, `outer side at ${z}`);
+  }
+
+  const inner = lodMorphWeight(focusX + 1.6 * chunkSize, focusZ, focusX, focusZ, chunkSize, 2.5);
+  const outer = lodMorphWeight(focusX + 2.3 * chunkSize, focusZ, focusX, focusZ, chunkSize, 2.5);
+  assert.equal(inner, 0);
+  assert.ok(outer > 0 && outer < 1);
+});
+
+test("scatter stands on the drawn surface and on the surface it morphs to", () => {
+  const fine = buildChunkMesh(field, 1, 0, 16, 8, chunkSize);
+  const coarse = buildChunkMesh(field, 1, 0, 8, 8, chunkSize);
+  const candidates = fine.scatter.data;
+  assert.ok(candidates.length > 0);
+  assert.deepEqual(fine.scatter.counts, coarse.scatter.counts);
+
+  for (let from = 0; from < candidates.length; from += SCATTER_CANDIDATE_STRIDE) {
+    const exact = field.sampleHeight(candidates[from], candidates[from + 2]);
+    assert.ok(Math.abs(candidates[from + 1] - exact) < 20, `candidate ${from / SCATTER_CANDIDATE_STRIDE}`);
+    assert.ok(Math.abs(candidates[from + 12] - coarse.scatter.data[from + 1]) < 1e-3);
+    assert.equal(coarse.scatter.data[from + 12], coarse.scatter.data[from + 1]);
+  }
+});
+
+test("chunks built without scatter carry no candidates", () => {
+  const mesh = buildChunkMesh(field, 1, 0, 8, 8, chunkSize, false);
+  assert.equal(mesh.scatter.data.length, 0);
+  assert.ok(mesh.scatter.counts.every((count) => count === 0));
+});
@@ -0,0 +1,174 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { inflateSync } from "node:zlib";
+import {
+  encodeHeightmapPng16,
+  encodeHeightmapRaw16,
+  heightmapMetadata,
+  sampleHeightmap,
+  type Heightmap
+} from "../src/engine/heightmapExport";
+import { noiseOnlyShape, terrainFieldKey, type TerrainField } from "../src/engine/terrainField";
+
+// A heightmap whose samples count up in row-major order, so any reordering
+// shows in the decoded values.
+function rampHeightmap(width: number, height: number): Heightmap {
+  const heights = new Float32Array(width * height);
+  heights.forEach((_, index) => {
+    heights[index] = index;
+  });
+  return {
+    seed: "ramp",
+    shape: noiseOnlyShape,
+    region: { minX: 0, minZ: 0, maxX: 1, maxZ: 1 },
+    width,
+    height,
+    elevation: 1,
+    heights,
+    minHeight: 0,
+    maxHeight: heights.length - 1
+  };
+}
+
+function expected16(map: Heightmap, index: number): number {
+  return Math.round((index * 65535) / (map.heights.length - 1));
+}
+
+// Bit-by-bit CRC-32, independent of the encoder's table.
+function crc32(bytes: Uint8Array): number {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit += 1) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+interface PngChunk {
+  type: string;
+  data: Uint8Array;
+}
+
+function readChunks(png: Uint8Array): PngChunk[] {
+  assert.deepEqual([...png.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+  const view = new DataView(png.buffer, png.byteOffset, png.byteLength);
+  const chunks: PngChunk[] = [];
+  let offset = 8;
+  while (offset < png.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...png.subarray(offset + 4, offset + 8));
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    assert.equal(view.getUint32(offset + 8 + length), crc32(png.subarray(offset + 4, offset + 8 + length)), type);
+    chunks.push({ type, data });
+    offset += 12 + length;
+  }
+  assert.equal(offset, png.length);
+  return chunks;
+}
+
+// Walks the deflate stream block by block; every block must be stored.
+function storedBlocks(zlib: Uint8Array): number[] {
+  assert.equal(zlib[0], 0x78);
+  assert.equal(((zlib[0] << 8) | zlib[1]) % 31, 0);
+  const view = new DataView(zlib.buffer, zlib.byteOffset, zlib.byteLength);
+  const lengths: number[] = [];
+  let offset = 2;
+  for (;;) {
+    const header = zlib[offset];
+    assert.equal(header >> 1, 0, "stored block");
+    const length = view.getUint16(offset + 1, true);
+    assert.equal(view.getUint16(offset + 3, true), ~length & 0xffff);
+    lengths.push(length);
+    offset += 5 + length;
+    if (header & 1) {
+      break;
+    }
+  }
+  assert.equal(offset + 4, zlib.length);
+  return lengths;
+}
+
+test("PNG16 decodes to big-endian 16-bit greyscale rows, minZ first", () => {
+  const map = rampHeightmap(200, 180);
+  const chunks = readChunks(encodeHeightmapPng16(map));
+
+  assert.deepEqual(chunks.map((chunk) => chunk.type), ["IHDR", "IDAT", "IEND"]);
+  const header = new DataView(chunks[0].data.buffer, chunks[0].data.byteOffset, 13);
+  assert.equal(header.getUint32(0), 200);
+  assert.equal(header.getUint32(4), 180);
+  assert.deepEqual([...chunks[0].data.subarray(8)], [16, 0, 0, 0, 0]);
+
+  const rowBytes = 1 + 200 * 2;
+  const blocks = storedBlocks(chunks[1].data);
+  assert.ok(blocks.length > 1, "large images span several stored blocks");
+  assert.ok(blocks.slice(0, -1).every((length) => length === 65535));
+  assert.equal(blocks.reduce((sum, length) => sum + length, 0), rowBytes * 180);
+
+  // inflateSync also checks the Adler-32 trailer.
+  const scanlines = inflateSync(chunks[1].data);
+  assert.equal(scanlines.length, rowBytes * 180);
+  for (let row = 0; row < 180; row += 1) {
+    assert.equal(scanlines[row * rowBytes], 0, `filter of row ${row}`);
+    for (const column of [0, 1, 99, 199]) {
+      const index = row * 200 + column;
+      assert.equal(scanlines.readUInt16BE(row * rowBytes + 1 + column * 2), expected16(map, index));
+    }
+  }
+  assert.equal(scanlines.readUInt16BE(1), 0);
+  assert.equal(scanlines.readUInt16BE(rowBytes * 180 - 2), 65535);
+});
+
+test("RAW16 is headerless little-endian samples in the same order", () => {
+  const map = rampHeightmap(7, 5);
+  const raw = encodeHeightmapRaw16(map);
+  const view = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+
+  assert.equal(raw.length, 7 * 5 * 2);
+  for (let index = 0; index < 35; index += 1) {
+    assert.equal(view.getUint16(index * 2, true), expected16(map, index));
+  }
+  assert.equal(view.getUint16(2, true), 1928);
+  assert.deepEqual([...raw.subarray(2, 4)], [0x88, 0x07]);
+});
+
+test("samples run along x within a row and rows step up from minZ", () => {
+  const shape = noiseOnlyShape;
+  const field = {
+    key: terrainFieldKey("order", shape),
+    sampleHeight: (x: number, z: number) => x + z * 1000
+  } as unknown as TerrainField;
+
+  const map = sampleHeightmap(
+    { seed: "order", shape, region: { minX: 10, minZ: -20, maxX: 13, maxZ: -18 }, width: 4, height: 3, elevation: 2 },
+    field
+  );
+
+  assert.deepEqual(
+    [...map.heights],
+    [-39980, -39978, -39976, -39974, -37980, -37978, -37976, -37974, -35980, -35978, -35976, -35974]
+  );
+  assert.equal(map.minHeight, -39980);
+  assert.equal(map.maxHeight, -35974);
+
+  const metadata = heightmapMetadata(map, "raw16");
+  assert.equal(metadata.rowOrder, "minZ-first");
+  assert.equal(metadata.byteOrder, "little-endian");
+  assert.equal(heightmapMetadata(map, "png16").byteOrder, "big-endian");
+  assert.deepEqual(metadata.bounds, { minX: 10, minZ: -20, maxX: 13, maxZ: -18 });
+});
+
+test("a field for another seed or shape is refused", () => {
+  const field = { key: terrainFieldKey("other", noiseOnlyShape), sampleHeight: () => 0 } as unknown as TerrainField;
+  const request = {
+    seed: "mine",
+    shape: noiseOnlyShape,
+    region: { minX: 0, minZ: 0, maxX: 1, maxZ: 1 },
+    width: 2,
+    height: 2,
+    elevation: 1
+  };
+
+  assert.throws(() => sampleHeightmap(request, field), /does not match/);
+});
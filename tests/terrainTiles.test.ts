@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { TerrainTileLayer, type TerrainTileOptions } from "../src/engine/terrainTiles";
+
+const options: TerrainTileOptions = { spacing: 64, cell: 8, channels: 1, maxCachedTiles: 16 };
+
+// Every tile fills its square with its own x index, so a sample shows which
+// tiles it was read from.
+function tileIndexLayer(seamWidth?: number): TerrainTileLayer {
+  return new TerrainTileLayer(
+    () => 0,
+    (heights, size, tileX) => [new Float32Array(size * size).fill(tileX)],
+    { ...options, seamWidth }
+  );
+}
+
+test("tent blending mixes neighbouring tiles across the whole overlap", () => {
+  const layer = tileIndexLayer();
+  // Tile 0 is centred on x = 32 and tile 1 on x = 96.
+  assert.equal(layer.sample(32, 32), 0);
+  assert.equal(layer.sample(48, 32), 0.25);
+  assert.equal(layer.sample(64, 32), 0.5);
+});
+
+test("a seam width reads the nearest tile and cross-fades only inside the seam", () => {
+  const layer = tileIndexLayer(16);
+  assert.equal(layer.sample(48, 32), 0);
+  assert.equal(layer.sample(55.9, 32), 0);
+  assert.equal(layer.sample(64, 32), 0.5);
+  assert.equal(layer.sample(72.1, 32), 1);
+  assert.equal(layer.sample(90, 32), 1);
+
+  let previous = layer.sample(56, 32);
+  for (let x = 57; x <= 72; x += 1) {
+    const value = layer.sample(x, 32);
+    assert.ok(value >= previous, `x ${x}`);
+    previous = value;
+  }
+});
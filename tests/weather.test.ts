@@ -0,0 +1,53 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { WeatherSystem } from "../src/engine/weather";
+
+const wet = 0.95;
+
+// A system that has settled into rain at a mild temperature. The first roll
+// picks rain from the climate's odds; the second gives the spell its shortest
+// length, 40 seconds.
+function rainingSystem(): WeatherSystem {
+  const rolls = [0.6, 0];
+  const weather = new WeatherSystem(() => rolls.shift() ?? 0.5);
+  weather.update(40, { humidity: wet, temperature: 0.5 }, "auto");
+  assert.equal(weather.kind, "rain");
+  return weather;
+}
+
+test("rain and snow hold their ground inside the band around freezing", () => {
+  const weather = rainingSystem();
+
+  for (const temperature of [0.29, 0.31, 0.28, 0.32, 0.3]) {
+    weather.update(0.1, { humidity: wet, temperature }, "auto");
+    assert.equal(weather.kind, "rain", `at ${temperature}`);
+  }
+
+  weather.update(0.1, { humidity: wet, temperature: 0.26 }, "auto");
+  assert.equal(weather.kind, "snow");
+
+  for (const temperature of [0.31, 0.29, 0.32]) {
+    weather.update(0.1, { humidity: wet, temperature }, "auto");
+    assert.equal(weather.kind, "snow", `at ${temperature}`);
+  }
+
+  weather.update(0.1, { humidity: wet, temperature: 0.34 }, "auto");
+  assert.equal(weather.kind, "rain");
+});
+
+test("turning rain to snow keeps the time left on the spell", () => {
+  const weather = rainingSystem();
+
+  // The spell began at 40 seconds; crossing the line at 30 must not restart it.
+  weather.update(30, { humidity: wet, temperature: 0.2 }, "auto");
+  assert.equal(weather.kind, "snow");
+  weather.update(5, { humidity: wet, temperature: 0.5 }, "auto");
+  assert.equal(weather.kind, "rain");
+  weather.update(4, { humidity: wet, temperature: 0.2 }, "auto");
+  assert.equal(weather.kind, "snow");
+
+  // 39 of its 40 seconds are gone, so the next update draws fresh weather,
+  // which a bone-dry climate makes clear.
+  weather.update(2, { humidity: 0, temperature: 0.2 }, "auto");
+  assert.equal(weather.kind, "clear");
+});
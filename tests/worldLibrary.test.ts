@@ -0,0 +1,172 @@
+import assert from "node:assert/strict";
+import { afterEach, test } from "node:test";
+import {
+  loadStoredWorlds,
+  parseWorldLibrary,
+  parseWorldLibraryText,
+  serializeWorldLibrary,
+  storeWorlds,
+  WORLD_LIBRARY_FORMAT,
+  WORLD_LIBRARY_VERSION,
+  type SavedWorld
+} from "../src/worldLibrary";
+import type { TerrainParams } from "../src/engine/terrainEngine";
+
+const defaults = {
+  seed: "default-seed",
+  elevation: 1,
+  humidity: 1,
+  temperature: 1,
+  dayNightEnabled: true,
+  timeOfDay: 12,
+  mode: "orbit",
+  chunkSize: 96,
+  chunkRadius: 3,
+  lodLevels: [{ maxRing: 3, subdivisions: 18 }],
+  rivers: false,
+  seaLevel: 0,
+  shadowQuality: "low",
+  weather: "auto"
+} as unknown as TerrainParams;
+
+function world(name: string, params: Partial<TerrainParams> = {}): SavedWorld {
+  return {
+    id: `world-${name}`,
+    name,
+    params: { ...defaults, ...params },
+    view: { orbit: { target: [1, 2, 3], yaw: 0.5, pitch: 0.4, distance: 300 } },
+    createdAt: "2026-01-01T00:00:00.000Z",
+    updatedAt: "2026-01-02T00:00:00.000Z"
+  };
+}
+
+function libraryText(version: number, worlds: unknown[]): string {
+  return JSON.stringify({ format: WORLD_LIBRARY_FORMAT, version, worlds });
+}
+
+test("a serialized library reads back unchanged", () => {
+  const worlds = [world("Coast", { seed: "coast", elevation: 0.8, weather: "fog" }), world("Peaks")];
+
+  const { worlds: read, errors } = parseWorldLibraryText(serializeWorldLibrary(worlds), defaults);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(read, worlds);
+});
+
+test("text that is not JSON reports the parser's reason", () => {
+  const { worlds, errors } = parseWorldLibraryText("{ not json", defaults);
+
+  assert.deepEqual(worlds, []);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^Not valid JSON: ./);
+});
+
+test("files that are not a library, or are from a newer app, are refused", () => {
+  assert.deepEqual(parseWorldLibrary({ worlds: [] }, defaults).errors, ["Not a TerraGen world library file."]);
+  assert.deepEqual(parseWorldLibrary({ format: WORLD_LIBRARY_FORMAT, version: 0 }, defaults).errors, [
+    "World library has an invalid version."
+  ]);
+  assert.match(
+    parseWorldLibraryText(libraryText(WORLD_LIBRARY_VERSION + 1, []), defaults).errors[0],
+    /is newer than this app supports/
+  );
+  assert.deepEqual(parseWorldLibrary({ format: WORLD_LIBRARY_FORMAT, version: 2 }, defaults).errors, [
+    "World library has no worlds list."
+  ]);
+});
+
+test("invalid worlds are skipped by name and the rest still load", () => {
+  const text = libraryText(WORLD_LIBRARY_VERSION, [
+    { name: "Good", params: { seed: "good" } },
+    { name: "Bad mode", params: { seed: "x", mode: "flying" } },
+    { name: "Bad number", params: { seed: "x", elevation: "high" } },
+    { name: "Bad view", params: { seed: "x" }, view: { orbit: { yaw: 1 } } },
+    { name: "   ", params: { seed: "x" } },
+    { name: "No seed", params: { seed: "  " } }
+  ]);
+
+  const { worlds, errors } = parseWorldLibraryText(text, defaults);
+
+  assert.deepEqual(worlds.map((entry) => entry.name), ["Good"]);
+  assert.deepEqual(errors, [
+    '"Bad mode": params.mode must be "orbit" or "firstPerson"',
+    '"Bad number": params.elevation must be a number',
+    '"Bad view": view.orbit must have target, yaw, pitch and distance',
+    "world entry is missing a name",
+    '"No seed": params.seed must not be empty'
+  ]);
+});
+
+test("parameters missing from a saved world come from the defaults", () => {
+  const { worlds } = parseWorldLibraryText(
+    libraryText(WORLD_LIBRARY_VERSION, [{ name: "Old", params: { seed: "old", elevation: 2 } }]),
+    defaults
+  );
+
+  assert.deepEqual(worlds[0].params, { ...defaults, seed: "old", elevation: 2 });
+  assert.deepEqual(worlds[0].view, {});
+});
+
+test("version 1 libraries move the view's dayPhase into params.timeOfDay", () => {
+  const text = libraryText(1, [
+    { name: "Dawn", params: { seed: "dawn" }, view: { dayPhase: 0, orbit: world("x").view.orbit } },
+    { name: "Dusk", params: { seed: "dusk" }, view: { dayPhase: 0.5 } },
+    { name: "Kept", params: { seed: "kept", timeOfDay: 9 }, view: { dayPhase: 0.25 } },
+    { name: "Plain", params: { seed: "plain" } }
+  ]);
+
+  const { worlds, errors } = parseWorldLibraryText(text, defaults);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(worlds.map((entry) => entry.params.timeOfDay), [6, 18, 9, 12]);
+  assert.deepEqual(worlds[0].view, { orbit: world("x").view.orbit });
+  assert.equal("dayPhase" in worlds[1].view, false);
+});
+
+const globals = globalThis as { window?: unknown };
+
+function stubStorage(storage: Partial<Storage>): void {
+  globals.window = { localStorage: storage };
+}
+
+afterEach(() => {
+  delete globals.window;
+});
+
+test("a stored library that cannot be read reports why and loads nothing", () => {
+  stubStorage({ getItem: () => "{ broken" });
+
+  const { worlds, errors } = loadStoredWorlds(defaults);
+
+  assert.deepEqual(worlds, []);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^Not valid JSON: /);
+});
+
+test("stored worlds round-trip through storage", () => {
+  const items = new Map<string, string>();
+  stubStorage({
+    getItem: (key: string) => items.get(key) ?? null,
+    setItem: (key: string, value: string) => {
+      items.set(key, value);
+    }
+  });
+
+  assert.deepEqual(loadStoredWorlds(defaults), { worlds: [], errors: [] });
+  assert.equal(storeWorlds([world("Saved")]), true);
+  assert.deepEqual(loadStoredWorlds(defaults), { worlds: [world("Saved")], errors: [] });
+});
+
+test("unavailable storage loads an empty library and refuses to store", () => {
+  stubStorage({
+    getItem: () => {
+      throw new Error("SecurityError");
+    },
+    setItem: () => {
+      throw new Error("QuotaExceededError");
+    }
+  });
+
+  assert.deepEqual(loadStoredWorlds(defaults), { worlds: [], errors: [] });
+  assert.equal(storeWorlds([world("Lost")]), false);
+});
@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { encodeWorldLink, parseWorldLink, type WorldLinkParams } from "../src/worldLink";
+
+const params: WorldLinkParams = {
+  seed: "shared seed/with & symbols",
+  elevation: 1.35,
+  humidity: 0.8,
+  temperature: 1.2,
+  dayNightEnabled: false,
+  timeOfDay: 17.25,
+  daySpeed: 0.5,
+  latitude: 42,
+  season: 0.75,
+  mode: "orbit",
+  hydraulicErosion: true,
+  erosionDroplets: 0.6,
+  erosionRate: 0.3,
+  depositionRate: 0.25,
+  evaporationRate: 0.02,
+  thermalErosion: true,
+  talusAngle: 38,
+  thermalIterations: 12,
+  rivers: true,
+  seaLevel: -3.5,
+  cloudCoverage: 0.45,
+  cloudAltitude: 260,
+  windSpeed: 8,
+  windDirection: 135,
+  weather: "snow"
+};
+
+const view = {
+  orbit: { target: [12.5, 30, -40] as [number, number, number], yaw: -2.1, pitch: 0.6, distance: 310 },
+  firstPerson: { position: [5, 60, 7] as [number, number, number], yaw: 1.2, pitch: -0.2 }
+};
+
+test("an orbit link reads back the world and the orbit pose", () => {
+  const link = parseWorldLink(`#${encodeWorldLink(params, view)}`);
+
+  assert.deepEqual(link, { params, view: { orbit: view.orbit } });
+});
+
+test("a first-person link reads back the first-person pose only", () => {
+  const firstPerson: WorldLinkParams = {
+    ...params,
+    mode: "firstPerson",
+    hydraulicErosion: false,
+    thermalErosion: false,
+    rivers: false,
+    weather: "auto"
+  };
+
+  const link = parseWorldLink(encodeWorldLink(firstPerson, view));
+
+  assert.ok(link);
+  assert.deepEqual(link.view, { firstPerson: view.firstPerson });
+  assert.equal(link.params.mode, "firstPerson");
+  assert.equal(link.params.hydraulicErosion, false);
+  assert.equal(link.params.thermalErosion, false);
+  assert.equal(link.params.rivers, false);
+  assert.equal(link.params.weather, "auto");
+  assert.equal(link.params.erosionRate, undefined);
+  assert.equal(link.params.talusAngle, undefined);
+});
+
+test("legacy links map day to the clock and predate clouds", () => {
+  const link = parseWorldLink("#seed=old-world&elev=1.2&day=0.25&cam=0,10,0,-2,0.5,300");
+
+  assert.ok(link);
+  assert.equal(link.params.seed, "old-world");
+  assert.equal(link.params.elevation, 1.2);
+  assert.equal(link.params.timeOfDay, 12);
+  assert.equal(link.params.cloudCoverage, 0);
+  assert.equal(link.params.cloudAltitude, undefined);
+  assert.equal(link.params.weather, "auto");
+  assert.equal(link.params.hydraulicErosion, false);
+  assert.deepEqual(link.view, { orbit: { target: [0, 10, 0], yaw: -2, pitch: 0.5, distance: 300 } });
+});
+
+test("time wins over a legacy day, and values are clamped", () => {
+  const link = parseWorldLink("#seed=x&time=30&day=0.5&elev=9&clouds=2,50,99,370");
+
+  assert.ok(link);
+  assert.equal(link.params.timeOfDay, 0);
+  assert.equal(link.params.elevation, 2.6);
+  assert.equal(link.params.cloudCoverage, 1);
+  assert.equal(link.params.cloudAltitude, 120);
+  assert.equal(link.params.windSpeed, 40);
+  assert.equal(link.params.windDirection, 0);
+});
+
+test("hashes without a seed are not world links", () => {
+  assert.equal(parseWorldLink(""), null);
+  assert.equal(parseWorldLink("#elev=1.2"), null);
+  assert.equal(parseWorldLink("#seed=%20%20"), null);
+});